@@ -1,4 +1,4 @@
-// mega-db.js — MEGA-only persistence helpers (customers + credits + sessions + feedback)
+// mega-db.js — MEGA-only persistence helpers (customers + credits + holds + sessions + feedback + idempotency keys)
 // Matches your schema columns exactly:
 // mega_customers: mg_pass_id, mg_shopify_customer_id, mg_user_id, mg_email, mg_mma_preferences,
 //                 mg_mma_preferences_updated_at, mg_created_at, mg_updated_at, mg_credits,
@@ -196,12 +196,72 @@ export async function megaEnsureCustomer({
 
 // ---------------------------
 // Credits read
+// Credits live in lots (mg_record_type "credit_lot"), one per grant with its own
+// expiry. public.mega_get_credits() expires lapsed lots and returns the balance
+// plus the soonest expiry (docs-mma/MEGA_MMA.md §7.1).
 // ---------------------------
+const GET_CREDITS_RPC = "mega_get_credits";
+
+function isMissingRpc(error) {
+  const code = String(error?.code || "");
+  return code === "PGRST202" || code === "42883";
+}
+
 export async function megaGetCredits(passId) {
   const supabase = requireSupabase();
   const pid = safeString(passId, "");
   if (!pid) throw new Error("PASS_ID_REQUIRED");
 
+  const { data, error } = await supabase.rpc(GET_CREDITS_RPC, { p_pass_id: pid });
+  if (error) {
+    if (!isMissingRpc(error)) throw error;
+    return getCreditsLegacy(supabase, pid);
+  }
+
+  const out = Array.isArray(data) ? data[0] : data;
+  return {
+    credits: intOr(out?.credits, 0),
+    expiresAt: out?.expires_at ? new Date(out.expires_at).toISOString() : null,
+  };
+}
+
+// Open lots, soonest expiry first (the order charges consume them in).
+export async function megaGetCreditLots(passId) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_delta, mg_reason, mg_source, mg_meta, mg_created_at")
+    .eq("mg_record_type", "credit_lot")
+    .eq("mg_pass_id", pid)
+    .eq("mg_status", "open");
+
+  if (error) throw error;
+
+  const expiryMs = (lot) => {
+    const t = Date.parse(lot.expiresAt || "");
+    return Number.isFinite(t) ? t : Infinity;
+  };
+
+  return (data || [])
+    .map((r) => ({
+      id: r.mg_id,
+      source: r.mg_source ?? null,
+      reason: r.mg_reason ?? null,
+      amount: intOr(r.mg_delta, 0),
+      remaining: intOr(r.mg_meta?.remaining, 0),
+      grantedAt: r.mg_meta?.granted_at ?? r.mg_created_at ?? null,
+      expiresAt: r.mg_meta?.expires_at ?? null,
+    }))
+    .filter((lot) => lot.remaining > 0)
+    .sort((a, b) => expiryMs(a) - expiryMs(b) || String(a.grantedAt).localeCompare(String(b.grantedAt)));
+}
+
+// Pre-lots behaviour (single rolling mg_expires_at); only used while the
+// functions are missing.
+async function getCreditsLegacy(supabase, pid) {
   const { data, error } = await supabase
     .from("mega_customers")
     .select("mg_credits, mg_expires_at")
@@ -250,6 +310,73 @@ export async function megaGetCredits(passId) {
   return { credits, expiresAt };
 }
 
+// ---------------------------
+// Credit statement (credit_transaction rows, newest first)
+// cursor = opaque "<created_at>|<mg_id>" so equal timestamps don't skip rows
+// ---------------------------
+function encodeLedgerCursor(row) {
+  return Buffer.from(`${row.mg_created_at}|${row.mg_id}`, "utf8").toString("base64url");
+}
+
+function decodeLedgerCursor(cursor) {
+  const raw = safeString(cursor, "");
+  if (!raw) return null;
+  const decoded = Buffer.from(raw, "base64url").toString("utf8");
+  const sep = decoded.indexOf("|");
+  if (sep <= 0) return null;
+  const createdAt = decoded.slice(0, sep);
+  const id = decoded.slice(sep + 1);
+  if (!Number.isFinite(Date.parse(createdAt)) || !id.startsWith("credit_transaction:")) return null;
+  return { createdAt, id };
+}
+
+export async function megaListCreditTransactions({
+  passId,
+  limit = 50,
+  cursor = null,
+  from = null,
+  to = null,
+  reasons = null,
+} = {}) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+
+  const after = cursor ? decodeLedgerCursor(cursor) : null;
+  if (cursor && !after) throw new Error("CURSOR_INVALID");
+
+  let q = supabase
+    .from("mega_generations")
+    .select("mg_id, mg_delta, mg_reason, mg_source, mg_ref_type, mg_ref_id, mg_generation_id, mg_meta, mg_event_at, mg_created_at")
+    .eq("mg_record_type", "credit_transaction")
+    .eq("mg_pass_id", pid)
+    .eq("mg_status", "succeeded")
+    .neq("mg_delta", 0) // fingertips pool draws/refunds are markers, not matcha
+    .order("mg_created_at", { ascending: false })
+    .order("mg_id", { ascending: false })
+    .limit(limit + 1);
+
+  if (from) q = q.gte("mg_created_at", from);
+  if (to) q = q.lt("mg_created_at", to);
+  if (Array.isArray(reasons) && reasons.length) q = q.in("mg_reason", reasons);
+  if (after) {
+    q = q.or(`mg_created_at.lt."${after.createdAt}",and(mg_created_at.eq."${after.createdAt}",mg_id.lt."${after.id}")`);
+  }
+
+  const { data, error } = await q;
+  if (error) throw error;
+
+  const rows = data || [];
+  const page = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+
+  return {
+    rows: page,
+    hasMore,
+    nextCursor: hasMore && page.length ? encodeLedgerCursor(page[page.length - 1]) : null,
+  };
+}
+
 // ---------------------------
 // Idempotency helper for Shopify webhook
 // ---------------------------
@@ -272,9 +399,54 @@ export async function megaHasCreditRef({ refType, refId } = {}) {
 }
 
 // ---------------------------
-// Credits adjust + rolling expiry + ledger row
-// NOTE: not fully atomic under concurrency (OK for low traffic).
+// Credits adjust + credit lots + ledger row
+// Runs as one transaction in Postgres (public.mega_adjust_credits, see
+// docs-mma/MEGA_MMA.md §7.1): the customer row is locked FOR UPDATE, the ref
+// is checked, a grant opens a lot (expiring after expireDays) or a debit
+// consumes lots soonest-expiry first, and the ledger row + balance are written
+// together. allowNegative lets a debit go below 0 (Shopify claw-backs) instead
+// of clamping; meta is merged into the ledger row.
 // ---------------------------
+const ADJUST_CREDITS_RPC = "mega_adjust_credits";
+// Without the function, adjustments fall back to read-then-write and concurrent
+// charges can lose updates: refuse them unless explicitly allowed (local dev).
+const ALLOW_NONATOMIC_CREDITS =
+  String(process.env.MEGA_ALLOW_NONATOMIC_CREDITS || "false").toLowerCase() === "true";
+let warnedMissingAdjustRpc = false;
+
+function warnMissingAdjustRpc() {
+  if (warnedMissingAdjustRpc) return;
+  warnedMissingAdjustRpc = true;
+  if (ALLOW_NONATOMIC_CREDITS) {
+    console.error(`[mega-db] ${ADJUST_CREDITS_RPC}() missing; credit adjustments are NOT atomic (MEGA_ALLOW_NONATOMIC_CREDITS=true)`);
+  } else {
+    console.error(`[mega-db] ${ADJUST_CREDITS_RPC}() missing; credit adjustments will fail until it is created (docs-mma/MEGA_MMA.md §7.1)`);
+  }
+}
+
+// Startup probe: a zero delta is rejected by the function before it touches
+// anything, so the call only tells us whether it is deployed.
+export async function megaCheckCreditFunctions() {
+  const supabase = requireSupabase();
+  const { error } = await supabase.rpc(ADJUST_CREDITS_RPC, {
+    p_pass_id: "pass:startup_probe",
+    p_delta: 0,
+    p_reason: null,
+    p_source: null,
+    p_ref_type: null,
+    p_ref_id: null,
+    p_event_at: nowIso(),
+    p_expire_days: 0,
+    p_allow_negative: false,
+    p_meta: null,
+  });
+  if (error && isMissingRpc(error)) {
+    warnMissingAdjustRpc();
+    return { adjustCredits: false };
+  }
+  return { adjustCredits: true };
+}
+
 export async function megaAdjustCredits({
   passId,
   delta,
@@ -283,6 +455,9 @@ export async function megaAdjustCredits({
   refType = null,
   refId = null,
   grantedAt = null,
+  expireDays = null,
+  allowNegative = false,
+  meta = null,
 } = {}) {
   const supabase = requireSupabase();
   const pid = safeString(passId, "");
@@ -291,17 +466,50 @@ export async function megaAdjustCredits({
   const d = Number(delta ?? 0);
   if (!Number.isFinite(d) || d === 0) throw new Error("DELTA_INVALID");
 
-  const ts = nowIso();
-  const eventAt = grantedAt ? new Date(grantedAt).toISOString() : ts;
+  const eventAt = grantedAt ? new Date(grantedAt).toISOString() : nowIso();
 
-  // Ensure customer exists
+  // Ensure customer exists (the function locks its row)
   await megaEnsureCustomer({ passId: pid });
 
-  // Normalize ref (IMPORTANT for idempotency)
   const rt = refType ? safeString(refType, "") : "";
   const rid = refId ? safeString(refId, "") : "";
   const hasRef = Boolean(rt && rid);
 
+  const { data, error } = await supabase.rpc(ADJUST_CREDITS_RPC, {
+    p_pass_id: pid,
+    p_delta: Math.trunc(d),
+    p_reason: safeString(reason, null),
+    p_source: safeString(source, null),
+    p_ref_type: hasRef ? rt : null,
+    p_ref_id: hasRef ? rid : null,
+    p_event_at: eventAt,
+    p_expire_days: intOr(expireDays, intOr(process.env.DEFAULT_CREDITS_EXPIRE_DAYS, 30)),
+    p_allow_negative: Boolean(allowNegative),
+    p_meta: meta && typeof meta === "object" ? meta : null,
+  });
+
+  if (error) {
+    if (!isMissingRpc(error)) throw error;
+    warnMissingAdjustRpc();
+    if (!ALLOW_NONATOMIC_CREDITS) throw new Error("CREDITS_RPC_MISSING");
+    return adjustCreditsNonAtomic(supabase, { pid, d, reason, source, rt, rid, eventAt, allowNegative, meta });
+  }
+
+  const out = Array.isArray(data) ? data[0] : data;
+  return {
+    creditsBefore: intOr(out?.credits_before, 0),
+    creditsAfter: intOr(out?.credits_after, 0),
+    expiresAt: out?.expires_at ? new Date(out.expires_at).toISOString() : null,
+    alreadyApplied: Boolean(out?.already_applied),
+  };
+}
+
+// Pre-RPC read-then-write path; only used while the function is missing and
+// MEGA_ALLOW_NONATOMIC_CREDITS=true.
+async function adjustCreditsNonAtomic(supabase, { pid, d, reason, source, rt, rid, eventAt, allowNegative, meta }) {
+  const ts = nowIso();
+  const hasRef = Boolean(rt && rid);
+
   // If caller gave a ref, we make the operation idempotent:
   // 1) try to INSERT the credit_transaction first
   // 2) if it's a duplicate ref, RETURN without changing balance
@@ -359,7 +567,7 @@ export async function megaAdjustCredits({
   if (readErr) throw readErr;
 
   const before = intOr(row?.mg_credits, 0);
-  const after = Math.max(0, before + d);
+  const after = allowNegative ? before + d : Math.max(0, before + d);
 
   // Rolling expiry on positive grants
   const expireDays = intOr(process.env.DEFAULT_CREDITS_EXPIRE_DAYS, 30);
@@ -406,6 +614,7 @@ export async function megaAdjustCredits({
       .update({
         mg_status: "succeeded",
         mg_meta: {
+          ...(meta || {}),
           credits_before: before,
           credits_after: after,
           expires_at: nextExpiry,
@@ -428,6 +637,7 @@ export async function megaAdjustCredits({
       mg_ref_id: null,
       mg_status: "succeeded",
       mg_meta: {
+        ...(meta || {}),
         credits_before: before,
         credits_after: after,
         expires_at: nextExpiry,
@@ -445,6 +655,205 @@ export async function megaAdjustCredits({
 }
 
 
+// ---------------------------
+// Credit holds (authorize / capture / release)
+// mega_generations rows: mg_record_type "credit_hold", mg_id = credit_hold:<refId>
+// mg_delta = held amount, mg_status = held | captured | released
+// available = mg_credits - open (held, unexpired) holds
+// ---------------------------
+const CREDIT_HOLD_TTL_MS = intOr(process.env.MEGA_CREDIT_HOLD_TTL_MS, 3 * 60 * 60 * 1000);
+
+function holdRowId(refId) {
+  return `credit_hold:${refId}`;
+}
+
+function isOpenHold(row, nowMs = Date.now()) {
+  if (row?.mg_status !== "held") return false;
+  const exp = Date.parse(row?.mg_meta?.expires_at || "");
+  return !Number.isFinite(exp) || exp > nowMs;
+}
+
+export async function megaGetHeldCredits(passId) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_delta, mg_status, mg_meta")
+    .eq("mg_record_type", "credit_hold")
+    .eq("mg_pass_id", pid)
+    .eq("mg_status", "held");
+
+  if (error) throw error;
+
+  const nowMs = Date.now();
+  return (data || []).filter((r) => isOpenHold(r, nowMs)).reduce((sum, r) => sum + intOr(r.mg_delta, 0), 0);
+}
+
+export async function megaGetAvailableCredits(passId) {
+  const { credits, expiresAt } = await megaGetCredits(passId);
+  const held = await megaGetHeldCredits(passId);
+  return { credits, held, available: Math.max(0, credits - held), expiresAt };
+}
+
+export async function megaGetCreditHold(refId) {
+  const supabase = requireSupabase();
+  const rid = safeString(refId, "");
+  if (!rid) return null;
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_pass_id, mg_delta, mg_status, mg_reason, mg_source, mg_meta, mg_updated_at")
+    .eq("mg_id", holdRowId(rid))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+// Insert first, then check the balance with our own hold counted: two racing
+// reservations can both lose, but never both win past the balance.
+// Returns { reserved, already?, insufficient?, amount, credits, held, available }
+export async function megaReserveCredits({
+  passId,
+  amount,
+  refId,
+  reason = "hold",
+  source = "api",
+  ttlMs = CREDIT_HOLD_TTL_MS,
+} = {}) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  const rid = safeString(refId, "");
+  const amt = Math.trunc(Number(amount || 0));
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+  if (!rid) throw new Error("REF_ID_REQUIRED");
+  if (!Number.isFinite(amt) || amt <= 0) throw new Error("AMOUNT_INVALID");
+
+  const ts = nowIso();
+  const { error: insErr } = await supabase.from("mega_generations").insert({
+    mg_id: holdRowId(rid),
+    mg_record_type: "credit_hold",
+    mg_pass_id: pid,
+    mg_delta: amt,
+    mg_reason: safeString(reason, null),
+    mg_source: safeString(source, null),
+    mg_ref_type: "credit_hold",
+    mg_ref_id: rid,
+    mg_status: "held",
+    mg_meta: { expires_at: new Date(Date.now() + ttlMs).toISOString() },
+    mg_payload: null,
+    mg_event_at: ts,
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  });
+
+  if (insErr) {
+    if (String(insErr.code || "") !== "23505") throw insErr;
+    const existing = await megaGetCreditHold(rid);
+    const bal = await megaGetAvailableCredits(pid);
+    return { reserved: existing?.mg_status !== "released", already: true, amount: intOr(existing?.mg_delta, amt), ...bal };
+  }
+
+  const bal = await megaGetAvailableCredits(pid);
+  if (bal.credits - bal.held < 0) {
+    await supabase.from("mega_generations").delete().eq("mg_id", holdRowId(rid)).eq("mg_status", "held");
+    return {
+      reserved: false,
+      insufficient: true,
+      amount: amt,
+      credits: bal.credits,
+      held: bal.held - amt,
+      available: Math.max(0, bal.credits - (bal.held - amt)),
+      expiresAt: bal.expiresAt,
+    };
+  }
+
+  return { reserved: true, amount: amt, ...bal };
+}
+
+// Flip an open hold to captured/released. Returns the row or null if it wasn't held.
+async function closeHold(supabase, rid, status, meta) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .update({ mg_status: status, mg_updated_at: nowIso() })
+    .eq("mg_id", holdRowId(rid))
+    .eq("mg_status", "held")
+    .select("mg_id, mg_pass_id, mg_delta, mg_meta");
+
+  if (error) throw error;
+  const row = Array.isArray(data) ? data[0] : null;
+  if (!row) return null;
+
+  await supabase
+    .from("mega_generations")
+    .update({ mg_meta: { ...(row.mg_meta || {}), ...meta } })
+    .eq("mg_id", row.mg_id);
+
+  return row;
+}
+
+// Debits the held amount (or a smaller `amount`, releasing the rest) through
+// megaAdjustCredits with the caller's charge ref, so the ledger only ever
+// sees the final charge.
+export async function megaCaptureCredits({
+  refId,
+  amount = null,
+  chargeRefType,
+  chargeRefId = null,
+  reason = null,
+  source = null,
+} = {}) {
+  const supabase = requireSupabase();
+  const rid = safeString(refId, "");
+  if (!rid) throw new Error("REF_ID_REQUIRED");
+  if (!safeString(chargeRefType, "")) throw new Error("CHARGE_REF_TYPE_REQUIRED");
+
+  const hold = await megaGetCreditHold(rid);
+  if (!hold || hold.mg_status !== "held") return { captured: false, status: hold?.mg_status || null };
+
+  const heldAmount = intOr(hold.mg_delta, 0);
+  const capture = amount === null ? heldAmount : Math.max(0, Math.min(heldAmount, Math.trunc(Number(amount) || 0)));
+
+  const closed = await closeHold(supabase, rid, capture > 0 ? "captured" : "released", {
+    captured: capture,
+    released: heldAmount - capture,
+    closed_at: nowIso(),
+  });
+  if (!closed) return { captured: false, status: "closed_concurrently" };
+  if (capture <= 0) return { captured: false, released: heldAmount };
+
+  try {
+    const out = await megaAdjustCredits({
+      passId: closed.mg_pass_id,
+      delta: -capture,
+      reason: reason || hold.mg_reason || "capture",
+      source: source || hold.mg_source || "api",
+      refType: chargeRefType,
+      refId: chargeRefId || rid,
+      grantedAt: nowIso(),
+    });
+    return { captured: true, amount: capture, released: heldAmount - capture, ...out };
+  } catch (e) {
+    // put the hold back so a retry can capture it
+    await supabase
+      .from("mega_generations")
+      .update({ mg_status: "held", mg_updated_at: nowIso() })
+      .eq("mg_id", holdRowId(rid));
+    throw e;
+  }
+}
+
+export async function megaReleaseCredits({ refId, reason = "released" } = {}) {
+  const supabase = requireSupabase();
+  const rid = safeString(refId, "");
+  if (!rid) throw new Error("REF_ID_REQUIRED");
+
+  const closed = await closeHold(supabase, rid, "released", { release_reason: reason, closed_at: nowIso() });
+  return { released: !!closed, amount: intOr(closed?.mg_delta, 0) };
+}
+
 // ---------------------------
 // Session writer (mega_generations)
 // ---------------------------
@@ -522,12 +931,178 @@ export async function megaWriteFeedback({
   return { feedbackId };
 }
 
+// ---------------------------
+// Idempotency keys (mega_generations, record type "idempotency_key")
+// mg_id = idem:<sha256(passId|scope|key)>, mg_payload = first response body
+// ---------------------------
+function idempotencyRowId(passId, scope, key) {
+  const digest = crypto.createHash("sha256").update(`${passId}|${scope}|${key}`).digest("hex");
+  return `idem:${digest}`;
+}
+
+function idempotencyState(row, requestHash) {
+  const meta = row?.mg_meta || {};
+  if (meta.request_hash && requestHash && meta.request_hash !== requestHash) return { state: "mismatch", row };
+  if (row.mg_status === "succeeded") return { state: "replay", row };
+  return { state: "pending", row };
+}
+
+// Returns { state: "claimed" | "replay" | "pending" | "mismatch", row }.
+// Expired rows, and pending rows whose request died, are taken over.
+export async function megaClaimIdempotencyKey({
+  passId,
+  scope,
+  key,
+  requestHash = null,
+  ttlMs = 24 * 60 * 60 * 1000,
+  pendingTimeoutMs = 2 * 60 * 1000,
+} = {}) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  const k = safeString(key, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+  if (!k) throw new Error("IDEMPOTENCY_KEY_REQUIRED");
+
+  const id = idempotencyRowId(pid, scope, k);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const ts = nowIso();
+    const row = {
+      mg_id: id,
+      mg_record_type: "idempotency_key",
+      mg_pass_id: pid,
+      mg_status: "pending",
+      mg_meta: {
+        scope,
+        key: k,
+        request_hash: requestHash,
+        expires_at: new Date(Date.now() + ttlMs).toISOString(),
+      },
+      mg_payload: null,
+      mg_event_at: ts,
+      mg_created_at: ts,
+      mg_updated_at: ts,
+    };
+
+    const { error: insErr } = await supabase.from("mega_generations").insert(row);
+    if (!insErr) return { state: "claimed", row };
+    if (insErr.code !== "23505") throw insErr;
+
+    const { data: existing, error: selErr } = await supabase
+      .from("mega_generations")
+      .select("mg_id, mg_status, mg_meta, mg_payload, mg_generation_id, mg_created_at, mg_updated_at")
+      .eq("mg_id", id)
+      .maybeSingle();
+
+    if (selErr) throw selErr;
+    if (!existing) continue; // released between insert and select
+
+    const expired = Date.parse(existing?.mg_meta?.expires_at || "") < Date.now();
+    const abandoned =
+      existing.mg_status === "pending" && Date.now() - Date.parse(existing.mg_updated_at) > pendingTimeoutMs;
+
+    if (!expired && !abandoned) return idempotencyState(existing, requestHash);
+
+    // conditional delete so only one retry takes the slot over
+    const { error: delErr } = await supabase
+      .from("mega_generations")
+      .delete()
+      .eq("mg_id", id)
+      .eq("mg_updated_at", existing.mg_updated_at);
+    if (delErr) throw delErr;
+  }
+
+  const { data: current, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_status, mg_meta, mg_payload, mg_generation_id, mg_created_at, mg_updated_at")
+    .eq("mg_id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return current ? idempotencyState(current, requestHash) : { state: "pending", row: null };
+}
+
+export async function megaGetIdempotencyKey({ passId, scope, key } = {}) {
+  const supabase = requireSupabase();
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_status, mg_meta, mg_payload, mg_generation_id, mg_created_at, mg_updated_at")
+    .eq("mg_id", idempotencyRowId(safeString(passId, ""), scope, safeString(key, "")))
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+export async function megaCompleteIdempotencyKey({ passId, scope, key, statusCode = 200, body = null } = {}) {
+  const supabase = requireSupabase();
+  const id = idempotencyRowId(safeString(passId, ""), scope, safeString(key, ""));
+
+  const { data: row, error: selErr } = await supabase
+    .from("mega_generations")
+    .select("mg_meta")
+    .eq("mg_id", id)
+    .maybeSingle();
+  if (selErr) throw selErr;
+  if (!row) return false;
+
+  const generationId = safeString(body?.generation_id || body?.generationId, "") || null;
+
+  const { error } = await supabase
+    .from("mega_generations")
+    .update({
+      mg_status: "succeeded",
+      mg_generation_id: generationId,
+      mg_meta: { ...(row.mg_meta || {}), status_code: statusCode },
+      mg_payload: body,
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_id", id);
+  if (error) throw error;
+  return true;
+}
+
+// Heartbeat while the first request is still running, so a long synchronous
+// handler isn't mistaken for a dead one and taken over (pendingTimeoutMs).
+export async function megaTouchIdempotencyKey({ passId, scope, key } = {}) {
+  const supabase = requireSupabase();
+  const { error } = await supabase
+    .from("mega_generations")
+    .update({ mg_updated_at: nowIso() })
+    .eq("mg_id", idempotencyRowId(safeString(passId, ""), scope, safeString(key, "")))
+    .eq("mg_status", "pending");
+  if (error) throw error;
+}
+
+// Failed first attempts don't pin the key: the client may retry (e.g. after topping up).
+export async function megaReleaseIdempotencyKey({ passId, scope, key } = {}) {
+  const supabase = requireSupabase();
+  const { error } = await supabase
+    .from("mega_generations")
+    .delete()
+    .eq("mg_id", idempotencyRowId(safeString(passId, ""), scope, safeString(key, "")))
+    .eq("mg_status", "pending");
+  if (error) throw error;
+}
+
 export default {
   resolvePassId,
   megaEnsureCustomer,
+  megaCheckCreditFunctions,
   megaGetCredits,
+  megaGetCreditLots,
   megaAdjustCredits,
   megaHasCreditRef,
+  megaListCreditTransactions,
+  megaGetHeldCredits,
+  megaGetAvailableCredits,
+  megaGetCreditHold,
+  megaReserveCredits,
+  megaCaptureCredits,
+  megaReleaseCredits,
   megaWriteSession,
   megaWriteFeedback,
+  megaClaimIdempotencyKey,
+  megaGetIdempotencyKey,
+  megaCompleteIdempotencyKey,
+  megaTouchIdempotencyKey,
+  megaReleaseIdempotencyKey,
 };
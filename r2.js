@@ -3,11 +3,20 @@
 // Part 1.1.1: If anything feels off, watch for the ⚠️ comments beside tricky logic.
 // Part 1.2: Environment config (account, keys, bucket, endpoints) lives just below.
 // Part 1.3: Client + key helpers keep upload callers tiny and predictable.
-// r2.js — PUBLIC, NON-EXPIRING URLs ONLY (no presigned GET links)
+// r2.js — PUBLIC, NON-EXPIRING URLs (the one exception: private objects, see "Private objects")
 "use strict";
 
 import crypto from "node:crypto";
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import fs from "node:fs";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 
 // =======================
 // Env
@@ -17,6 +26,10 @@ const R2_ACCESS_KEY_ID = process.env.R2_ACCESS_KEY_ID || "";
 const R2_SECRET_ACCESS_KEY = process.env.R2_SECRET_ACCESS_KEY || "";
 const R2_BUCKET = process.env.R2_BUCKET || "";
 
+// Bucket for private objects (account exports). Should NOT be behind the public domain;
+// falls back to R2_BUCKET with an unguessable key under private/.
+const R2_PRIVATE_BUCKET = process.env.R2_PRIVATE_BUCKET || R2_BUCKET;
+
 // Optional override, otherwise computed from account id
 const R2_ENDPOINT =
   process.env.R2_ENDPOINT || (R2_ACCOUNT_ID ? `https://${R2_ACCOUNT_ID}.r2.cloudflarestorage.com` : "");
@@ -102,6 +115,107 @@ export function isOurAssetUrl(u) {
   }
 }
 
+// Object key behind one of our public URLs ("" if the URL isn't ours)
+export function keyFromPublicUrl(u) {
+  if (!isOurAssetUrl(u)) return "";
+  try {
+    const url = new URL(String(u));
+    let parts = url.pathname.split("/").filter(Boolean).map((p) => decodeURIComponent(p));
+
+    if (R2_PUBLIC_BASE_URL && url.hostname.toLowerCase() === new URL(R2_PUBLIC_BASE_URL).hostname.toLowerCase()) {
+      const baseParts = new URL(R2_PUBLIC_BASE_URL).pathname.split("/").filter(Boolean);
+      parts = parts.slice(baseParts.length);
+    } else if (parts[0] === R2_BUCKET) {
+      parts = parts.slice(1);
+    }
+
+    return parts.join("/");
+  } catch {
+    return "";
+  }
+}
+
+// ⚠️ Permanent: used by account redaction/deletion. 1000 keys per request (S3 limit).
+export async function deleteR2Keys(keys = [], { privateBucket = false } = {}) {
+  assertR2Configured();
+  const bucket = privateBucket ? R2_PRIVATE_BUCKET : R2_BUCKET;
+  const unique = Array.from(new Set((keys || []).map((k) => String(k || "").trim()).filter(Boolean)));
+
+  let deleted = 0;
+  const errors = [];
+  for (let i = 0; i < unique.length; i += 1000) {
+    const batch = unique.slice(i, i + 1000);
+    const out = await r2.send(
+      new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: true },
+      })
+    );
+    const failed = Array.isArray(out?.Errors) ? out.Errors : [];
+    deleted += batch.length - failed.length;
+    for (const e of failed) errors.push({ key: e.Key, code: e.Code, message: e.Message });
+  }
+
+  return { deleted, errors };
+}
+
+// Keys under a prefix in the public bucket. `shallow` stops at the next "/",
+// so only objects directly in the prefix's folder are returned.
+export async function listR2Keys(prefix, { shallow = false } = {}) {
+  assertR2Configured();
+  const keys = [];
+  let token;
+  do {
+    const out = await r2.send(
+      new ListObjectsV2Command({
+        Bucket: R2_BUCKET,
+        Prefix: prefix,
+        ContinuationToken: token,
+        MaxKeys: 1000,
+        ...(shallow ? { Delimiter: "/" } : {}),
+      })
+    );
+    for (const o of out?.Contents || []) if (o?.Key) keys.push(o.Key);
+    token = out?.IsTruncated ? out.NextContinuationToken : undefined;
+  } while (token);
+  return keys;
+}
+
+// ⚠️ Deletes everything under each prefix (e.g. "mma/ugc/<generationId>/"). Empty prefixes are refused.
+export async function deleteR2Prefixes(prefixes = []) {
+  assertR2Configured();
+  const unique = Array.from(new Set((prefixes || []).map((p) => String(p || "").trim()).filter(Boolean)));
+
+  const keys = [];
+  for (const prefix of unique) keys.push(...(await listR2Keys(prefix)));
+
+  return deleteR2Keys(keys);
+}
+
+// true if the key exists in the public bucket (false when R2 isn't configured)
+export async function r2ObjectExists(key) {
+  if (!r2 || !R2_BUCKET || !key) return false;
+  try {
+    await r2.send(new HeadObjectCommand({ Bucket: R2_BUCKET, Key: key }));
+    return true;
+  } catch (e) {
+    if (e?.name === "NotFound" || e?.$metadata?.httpStatusCode === 404) return false;
+    throw e;
+  }
+}
+
+// Object body from the public bucket as a Buffer, or null if it doesn't exist / R2 isn't configured
+export async function getR2ObjectBuffer(key) {
+  if (!r2 || !R2_BUCKET || !key) return null;
+  try {
+    const out = await r2.send(new GetObjectCommand({ Bucket: R2_BUCKET, Key: key }));
+    return Buffer.from(await out.Body.transformToByteArray());
+  } catch (e) {
+    if (e?.name === "NoSuchKey" || e?.$metadata?.httpStatusCode === 404) return null;
+    throw e;
+  }
+}
+
 export function makeKey({ kind = "uploads", customerId = "anon", filename = "", contentType = "" } = {}) {
   const folder = safeFolderName(kind);
   const cid = String(customerId || "anon");
@@ -174,6 +288,48 @@ export async function r2PutAndSignGet({ key, buffer, contentType } = {}) {
   };
 }
 
+// =======================
+// Private objects
+// =======================
+// Never handed out as public URLs: only through short-lived signed GET links.
+export async function putPrivateFileToR2({ key, filePath, contentType } = {}) {
+  assertR2Configured();
+  if (!key) throw new Error("putPrivateFileToR2: key is required.");
+  if (!filePath) throw new Error("putPrivateFileToR2: filePath is required.");
+
+  const { size } = await fs.promises.stat(filePath);
+  await r2.send(
+    new PutObjectCommand({
+      Bucket: R2_PRIVATE_BUCKET,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType || "application/octet-stream",
+      CacheControl: "private, no-store",
+    })
+  );
+
+  return { key, size };
+}
+
+export async function signedPrivateGetUrl(key, { expiresIn = 3600, filename = "" } = {}) {
+  assertR2Configured();
+  if (!key) throw new Error("signedPrivateGetUrl: key is required.");
+
+  const seconds = Math.max(60, Math.min(Number(expiresIn) || 3600, 7 * 24 * 60 * 60));
+  const url = await getSignedUrl(
+    r2,
+    new GetObjectCommand({
+      Bucket: R2_PRIVATE_BUCKET,
+      Key: key,
+      ...(filename ? { ResponseContentDisposition: `attachment; filename="${safeName(filename)}"` } : {}),
+    }),
+    { expiresIn: seconds }
+  );
+
+  return { url, expiresAt: new Date(Date.now() + seconds * 1000).toISOString() };
+}
+
 // dataURL parsing used by server.js
 export function parseDataUrl(dataUrl) {
   const s = String(dataUrl || "");
@@ -0,0 +1,55 @@
+// scripts/check-credit-concurrency.js — Parallel credit adjustments against one pass (MEGA_MMA §7.1)
+// Fires 20 debits with distinct refs plus 10 replays of a single ref at once through
+// megaAdjustCredits(). With mega_adjust_credits in place each ref applies exactly
+// once, so the balance must drop by exactly 21; the read-then-write fallback fails
+// this (lost or doubled debits). Grants the test pass 50 matcha first: run it
+// against a test project only.
+//   npm run check:credit-concurrency [-- <passId>]
+"use strict";
+
+import "dotenv/config";
+import { sbEnabled } from "../supabase.js";
+import { megaAdjustCredits, megaGetCredits } from "../mega-db.js";
+
+const DISTINCT = 20;
+const REPLAYS = 10;
+const GRANT = 50;
+
+async function main() {
+  if (!sbEnabled()) {
+    console.error("SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY are not set");
+    return 2;
+  }
+
+  const passId = process.argv[2] || "pass:concurrency_check";
+  const run = String(Date.now());
+  const adjust = (delta, refType, refId) =>
+    megaAdjustCredits({ passId, delta, reason: "concurrency_check", source: "script", refType, refId });
+
+  await adjust(GRANT, "concurrency_check_grant", run);
+  const before = (await megaGetCredits(passId)).credits;
+
+  const out = await Promise.all([
+    ...Array.from({ length: DISTINCT }, (_, i) => adjust(-1, "concurrency_check", `${run}:${i}`)),
+    ...Array.from({ length: REPLAYS }, () => adjust(-1, "concurrency_check", `${run}:dup`)),
+  ]);
+
+  const after = (await megaGetCredits(passId)).credits;
+  const applied = out.filter((r) => !r.alreadyApplied).length;
+  const expected = DISTINCT + 1;
+  console.log({ passId, before, after, applied, expected });
+
+  if (before - after !== expected || applied !== expected) {
+    console.error("FAIL: concurrent adjustments lost or doubled");
+    return 1;
+  }
+  console.log("ok");
+  return 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((e) => {
+    console.error("FAIL:", e?.message || e);
+    process.exit(1);
+  });
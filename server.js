@@ -8,16 +8,19 @@ import cors from "cors";
 import { normalizeError } from "./server/logging/normalizeError.js";
 import { logError } from "./server/logging/logError.js";
 import { errorMiddleware } from "./server/logging/errorMiddleware.js";
+import { sbEnabled } from "./supabase.js";
+import { megaCheckCreditFunctions } from "./mega-db.js";
 
 // Routers (each file owns one concern)
 import mmaRouter from "./server/mma/mma-router.js";
+import mmaWebhookRouter from "./server/mma/mma-webhook-router.js";
 import fingertipsRouter from "./server/fingertips/fingertips-router.js";
 import mmaLogAdminRouter from "./src/routes/admin/mma-logadmin.js";
-import historyRouter from "./server/history-router.js";
+import historyRouter, { startHistoryTrashPurger } from "./server/history-router.js";
 
 import healthRouter from "./server/routes/health.js";
 import publicStatsRouter from "./server/routes/public-stats.js";
-import shopifyWebhookRouter from "./server/routes/shopify-webhook.js";
+import shopifyWebhookRouter, { startShopifyInboxWorker } from "./server/routes/shopify-webhook.js";
 import checkoutRouter from "./server/routes/checkout.js";
 import downloadProxyRouter from "./server/routes/download-proxy.js";
 import authSyncRouter from "./server/routes/auth-sync.js";
@@ -25,11 +28,19 @@ import welcomeMatchaRouter from "./server/routes/welcome-matcha.js";
 import creditsRouter from "./server/routes/credits.js";
 import r2UploadRouter from "./server/routes/r2-upload.js";
 import adminRouter from "./server/routes/admin.js";
+import accountRouter from "./server/routes/account.js";
+import collectionsRouter from "./server/routes/collections.js";
+import shareRouter from "./server/routes/share.js";
+import provenanceRouter from "./server/routes/provenance.js";
 
 // Middleware
 import { buildCorsMiddleware, exposePassIdHeader } from "./server/middleware/cors.js";
 import { mmaPassIdMiddleware, fingertipsPassIdMiddleware } from "./server/middleware/passId.js";
 
+// Background workers
+import { startMmaJobWorker } from "./server/mma/mma-jobs.js";
+import { startMmaReaper } from "./server/mma/mma-reaper.js";
+
 // ======================================================
 // App boot
 // ======================================================
@@ -85,6 +96,7 @@ app.use(exposePassIdHeader);
 // Routes that need RAW body (before express.json)
 // ======================================================
 app.use(shopifyWebhookRouter);
+app.use("/mma/webhooks", mmaWebhookRouter);
 
 // ======================================================
 // Body parsers
@@ -102,12 +114,16 @@ app.use(checkoutRouter);
 app.use(authSyncRouter);
 app.use(welcomeMatchaRouter);
 app.use(creditsRouter);
+app.use(accountRouter);
 app.use(r2UploadRouter);
+app.use(shareRouter);
+app.use(provenanceRouter);
 
 // ======================================================
-// History (after CORS + body parsers)
+// History + collections (after CORS + body parsers)
 // ======================================================
 app.use(historyRouter);
+app.use(collectionsRouter);
 
 // ======================================================
 // MMA API (with passId middleware)
@@ -134,4 +150,11 @@ app.use(errorMiddleware);
 
 app.listen(PORT, () => {
   console.log(`Mina MMA API (MMA+MEGA) listening on port ${PORT}`);
+  if (sbEnabled()) {
+    megaCheckCreditFunctions().catch((e) => console.error("[mega-db] credit function check failed", e?.message || e));
+  }
+  startMmaJobWorker();
+  startMmaReaper();
+  startShopifyInboxWorker();
+  startHistoryTrashPurger();
 });
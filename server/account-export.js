@@ -0,0 +1,383 @@
+// server/account-export.js — Self-service account export (zip in private R2, signed link)
+// An export is a mega_generations row (mg_record_type="account_export") built in
+// the background: every generation output from R2, prompts + inputs, feedback,
+// sessions and the credit ledger, zipped to a temp file and uploaded privately.
+"use strict";
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import crypto from "node:crypto";
+import { Readable } from "node:stream";
+import archiver from "archiver";
+
+import { getSupabaseAdmin } from "../supabase.js";
+import { megaListCreditTransactions } from "../mega-db.js";
+import { isOurAssetUrl, putPrivateFileToR2, signedPrivateGetUrl } from "../r2.js";
+import { nowIso, safeString } from "./helpers.js";
+import { sanitizeMmaVarsForClient } from "./history-router.js";
+import { csvCell, ledgerCsv, toLedgerEntry } from "./credit-ledger.js";
+
+// ============================================================================
+// Config
+// ============================================================================
+// mg_id = "account_export:<uuid>", mg_pass_id = the requesting pass, mg_status = queued/running/done/error
+// mg_meta = { key, pass_ids, size, counts, missing, started_at, finished_at, last_error }
+const EXPORT_LINK_TTL_S = Number(process.env.ACCOUNT_EXPORT_LINK_TTL_S || 3600) || 3600;
+// a "running" export older than this belonged to a process that died
+const EXPORT_STALE_MS = Number(process.env.ACCOUNT_EXPORT_STALE_MS || 30 * 60000) || 30 * 60000;
+const EXPORT_FETCH_TIMEOUT_MS = Number(process.env.ACCOUNT_EXPORT_FETCH_TIMEOUT_MS || 60000) || 60000;
+
+const RECORD_TYPE = "account_export";
+const PAGE = 1000;
+
+function requireSupabase() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+  return supabase;
+}
+
+function exportKey(passId, exportId) {
+  const owner = crypto.createHash("sha256").update(String(passId)).digest("hex").slice(0, 16);
+  return `private/exports/${owner}/${exportId}.zip`;
+}
+
+function isStaleRunning(row) {
+  if (row?.mg_status !== "running") return false;
+  const started = Date.parse(row?.mg_meta?.started_at || row?.mg_updated_at || "");
+  return Number.isFinite(started) && Date.now() - started > EXPORT_STALE_MS;
+}
+
+// ============================================================================
+// Rows
+// ============================================================================
+export async function getAccountExport(exportId) {
+  const supabase = requireSupabase();
+  const id = safeString(exportId, "");
+  const mgId = id.startsWith(`${RECORD_TYPE}:`) ? id : `${RECORD_TYPE}:${id}`;
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_pass_id, mg_status, mg_meta, mg_created_at, mg_updated_at")
+    .eq("mg_id", mgId)
+    .eq("mg_record_type", RECORD_TYPE)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function findActiveExport(supabase, passId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_pass_id, mg_status, mg_meta, mg_created_at, mg_updated_at")
+    .eq("mg_pass_id", passId)
+    .eq("mg_record_type", RECORD_TYPE)
+    .in("mg_status", ["queued", "running"])
+    .order("mg_created_at", { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  const row = data?.[0] || null;
+  return row && !isStaleRunning(row) ? row : null;
+}
+
+// One export at a time per pass: asking again while one is building returns it.
+// passIds = every pass linked to the user (buildPassCandidates); the export covers all of them.
+export async function requestAccountExport({ passId, passIds = [] }) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+  const ids = Array.from(new Set([pid, ...(passIds || []).map((p) => safeString(p, "")).filter(Boolean)]));
+
+  const active = await findActiveExport(supabase, pid);
+  if (active) return { row: active, created: false };
+
+  const exportId = crypto.randomUUID();
+  const ts = nowIso();
+  const row = {
+    mg_id: `${RECORD_TYPE}:${exportId}`,
+    mg_record_type: RECORD_TYPE,
+    mg_pass_id: pid,
+    mg_status: "queued",
+    mg_meta: { key: exportKey(pid, exportId), pass_ids: ids, size: null, counts: null, missing: [], last_error: null },
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  };
+
+  const { error } = await supabase.from("mega_generations").insert(row);
+  if (error) throw error;
+
+  setImmediate(() => {
+    runAccountExport(row.mg_id).catch((e) => {
+      console.error("[account export] failed", row.mg_id, e?.message || e);
+    });
+  });
+
+  return { row, created: true };
+}
+
+async function updateExport(supabase, row, patch) {
+  const ts = nowIso();
+  const { error } = await supabase
+    .from("mega_generations")
+    .update({ ...patch, mg_updated_at: ts })
+    .eq("mg_id", row.mg_id);
+  if (error) throw error;
+  return { ...row, ...patch, mg_updated_at: ts };
+}
+
+// Status for the client; the link is signed fresh on every read of a done export.
+export async function describeAccountExport(row) {
+  const meta = row.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+  const out = {
+    exportId: String(row.mg_id).slice(RECORD_TYPE.length + 1),
+    status: isStaleRunning(row) ? "error" : row.mg_status,
+    createdAt: row.mg_created_at,
+    finishedAt: meta.finished_at || null,
+    counts: meta.counts || null,
+    missing: Array.isArray(meta.missing) ? meta.missing.length : 0,
+    size: meta.size ?? null,
+    error: isStaleRunning(row) ? "EXPORT_INTERRUPTED" : meta.last_error?.code || null,
+    downloadUrl: null,
+    downloadExpiresAt: null,
+  };
+
+  if (row.mg_status === "done" && meta.key) {
+    const day = String(row.mg_created_at || nowIso()).slice(0, 10);
+    const link = await signedPrivateGetUrl(meta.key, {
+      expiresIn: EXPORT_LINK_TTL_S,
+      filename: `mina-export-${day}.zip`,
+    });
+    out.downloadUrl = link.url;
+    out.downloadExpiresAt = link.expiresAt;
+  }
+
+  return out;
+}
+
+// ============================================================================
+// Build
+// ============================================================================
+async function listPassRows(supabase, passIds) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select(
+        "mg_id, mg_record_type, mg_generation_id, mg_session_id, mg_platform, mg_title, mg_type, mg_content_type, mg_mma_mode, mg_prompt, mg_output_url, mg_mma_vars, mg_meta, mg_created_at"
+      )
+      .in("mg_pass_id", passIds)
+      .in("mg_record_type", ["generation", "feedback", "session"])
+      .is("mg_deleted_at", null)
+      .order("mg_created_at", { ascending: true })
+      .range(from, from + PAGE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE) return rows;
+  }
+}
+
+// Newest first across all passes (running balances stay per pass).
+async function listLedger(passIds) {
+  const entries = [];
+  for (const passId of passIds) {
+    let cursor = null;
+    do {
+      const page = await megaListCreditTransactions({ passId, cursor, limit: 500 });
+      entries.push(...page.rows.map(toLedgerEntry));
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+  return entries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+export function outputExt(url, contentType) {
+  const ct = String(contentType || "").toLowerCase();
+  if (ct.includes("png")) return "png";
+  if (ct.includes("jpeg") || ct.includes("jpg")) return "jpg";
+  if (ct.includes("webp")) return "webp";
+  if (ct.includes("gif")) return "gif";
+  if (ct.includes("mp4")) return "mp4";
+  const m = /\.([a-z0-9]{2,5})$/i.exec(new URL(url).pathname);
+  return m ? m[1].toLowerCase() : "bin";
+}
+
+// Resolves once archiver has written the entry, so only one output is read at a time.
+export function appendEntry(archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const onEntry = (entry) => {
+      if (entry?.name !== name) return;
+      archive.off("entry", onEntry);
+      archive.off("error", onError);
+      resolve();
+    };
+    const onError = (err) => {
+      archive.off("entry", onEntry);
+      reject(err);
+    };
+    archive.on("entry", onEntry);
+    archive.once("error", onError);
+    archive.append(source, { name });
+  });
+}
+
+// → the response with its body unread (streamed into the zip, so a video never
+// sits in memory). The timeout covers the response headers only.
+async function fetchOutput(url) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(new Error("FETCH_TIMEOUT")), EXPORT_FETCH_TIMEOUT_MS);
+  let resp;
+  try {
+    resp = await fetch(url, { signal: ctrl.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!resp.ok || !resp.body) {
+    await resp.body?.cancel().catch(() => {});
+    throw new Error(`HTTP ${resp.status}`);
+  }
+  return resp;
+}
+
+const GENERATION_CSV_COLUMNS = [
+  ["created_at", "createdAt"],
+  ["generation_id", "generationId"],
+  ["type", "type"],
+  ["mode", "mode"],
+  ["prompt", "prompt"],
+  ["file", "file"],
+  ["output_url", "outputUrl"],
+  ["inputs", "inputsJson"],
+];
+
+function generationsCsv(items) {
+  const lines = [GENERATION_CSV_COLUMNS.map(([h]) => h).join(",")];
+  for (const g of items) {
+    const row = { ...g, inputsJson: g.mg_mma_vars ? JSON.stringify(g.mg_mma_vars) : "" };
+    lines.push(GENERATION_CSV_COLUMNS.map(([, k]) => csvCell(row[k])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+async function writeExportZip({ passIds, filePath }) {
+  const supabase = requireSupabase();
+  const rows = await listPassRows(supabase, passIds);
+  const ledger = await listLedger(passIds);
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const closed = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+  });
+  archive.pipe(output);
+
+  const generations = [];
+  const missing = [];
+
+  for (const r of rows.filter((x) => x.mg_record_type === "generation")) {
+    const generationId = String(r.mg_generation_id || r.mg_id);
+    const outputUrl = safeString(r.mg_output_url, "");
+    let file = null;
+
+    if (outputUrl && isOurAssetUrl(outputUrl)) {
+      try {
+        const resp = await fetchOutput(outputUrl);
+        const stamp = String(r.mg_created_at || "").replace(/[:.]/g, "-");
+        const name = `outputs/${stamp}_${generationId.replace(/[^\w-]/g, "_")}.${outputExt(outputUrl, resp.headers.get("content-type") || "")}`;
+        await appendEntry(archive, Readable.fromWeb(resp.body), name);
+        file = name;
+      } catch (e) {
+        missing.push({ generationId, outputUrl, error: e?.message || String(e) });
+      }
+    } else if (outputUrl) {
+      missing.push({ generationId, outputUrl, error: "NOT_STORED_IN_R2" });
+    }
+
+    generations.push({
+      id: String(r.mg_id),
+      generationId,
+      createdAt: r.mg_created_at,
+      type: r.mg_type || r.mg_content_type || "image",
+      mode: r.mg_mma_mode || null,
+      sessionId: r.mg_session_id || null,
+      platform: r.mg_platform || null,
+      prompt: r.mg_prompt || "",
+      outputUrl: outputUrl || null,
+      file,
+      mg_mma_vars: sanitizeMmaVarsForClient(r.mg_mma_vars),
+    });
+  }
+
+  const feedback = rows
+    .filter((x) => x.mg_record_type === "feedback")
+    .map((r) => ({ id: String(r.mg_id), createdAt: r.mg_created_at, generationId: r.mg_generation_id || null, meta: r.mg_meta ?? null }));
+
+  const sessions = rows
+    .filter((x) => x.mg_record_type === "session")
+    .map((r) => ({
+      id: String(r.mg_id),
+      sessionId: r.mg_session_id || null,
+      platform: r.mg_platform || null,
+      title: r.mg_title || "",
+      createdAt: r.mg_created_at,
+    }));
+
+  const counts = {
+    generations: generations.length,
+    outputs: generations.filter((g) => g.file).length,
+    feedback: feedback.length,
+    sessions: sessions.length,
+    ledger: ledger.length,
+  };
+
+  const json = (v) => JSON.stringify(v, null, 2);
+  archive.append(json(generations), { name: "generations.json" });
+  archive.append(generationsCsv(generations), { name: "generations.csv" });
+  archive.append(json(feedback), { name: "feedback.json" });
+  archive.append(json(sessions), { name: "sessions.json" });
+  archive.append(json(ledger), { name: "credit-ledger.json" });
+  archive.append(ledgerCsv(ledger), { name: "credit-ledger.csv" });
+  archive.append(json({ passIds, exportedAt: nowIso(), counts, missing }), { name: "manifest.json" });
+
+  await archive.finalize();
+  await closed;
+
+  return { counts, missing };
+}
+
+export async function runAccountExport(exportId) {
+  const supabase = requireSupabase();
+  let row = await getAccountExport(exportId);
+  if (!row || row.mg_status !== "queued") return null;
+
+  const meta = row.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+  row = await updateExport(supabase, row, { mg_status: "running", mg_meta: { ...meta, started_at: nowIso() } });
+
+  const filePath = path.join(os.tmpdir(), `mina-export-${crypto.randomUUID()}.zip`);
+  try {
+    const passIds = Array.isArray(meta.pass_ids) && meta.pass_ids.length ? meta.pass_ids : [row.mg_pass_id];
+    const { counts, missing } = await writeExportZip({ passIds, filePath });
+    const { size } = await putPrivateFileToR2({ key: meta.key, filePath, contentType: "application/zip" });
+
+    return await updateExport(supabase, row, {
+      mg_status: "done",
+      mg_meta: { ...row.mg_meta, size, counts, missing, finished_at: nowIso(), last_error: null },
+    });
+  } catch (e) {
+    console.error("[account export] build failed", row.mg_id, e?.message || e);
+    return await updateExport(supabase, row, {
+      mg_status: "error",
+      mg_meta: {
+        ...row.mg_meta,
+        finished_at: nowIso(),
+        last_error: { code: "EXPORT_FAILED", message: String(e?.message || e).slice(0, 2000) },
+      },
+    });
+  } finally {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+}
@@ -0,0 +1,439 @@
+// server/collections.js — Collections ("boards") of generations, stored in mega_generations
+// A collection is one row (mg_record_type="collection") owned by a pass; each
+// member generation is a "collection_item" row pointing at it through mg_parent_id.
+// Errors are thrown as Error(CODE) with the codes listed in COLLECTION_ERRORS.
+"use strict";
+
+import crypto from "node:crypto";
+import { getSupabaseAdmin } from "../supabase.js";
+import { nowIso, safeString } from "./helpers.js";
+
+// ============================================================================
+// Config
+// ============================================================================
+const COLLECTIONS_MAX_PER_PASS = Number(process.env.COLLECTIONS_MAX_PER_PASS || 200) || 200;
+const COLLECTION_MAX_ITEMS = Number(process.env.COLLECTION_MAX_ITEMS || 1000) || 1000;
+const NAME_MAX = 120;
+const DESCRIPTION_MAX = 2000;
+// gap between item positions, so an insert rarely needs a renumber
+const POSITION_STEP = 1024;
+// PostgREST caps a response at max-rows (1000 by default): item lists are paged
+const ITEMS_PAGE = 1000;
+// ids per .in() filter: the list travels in the GET url
+const IN_CHUNK = 100;
+// per-collection count queries run this many at a time
+const LIST_CONCURRENCY = 10;
+
+export const COLLECTION_ERRORS = {
+  COLLECTION_NOT_FOUND: 404,
+  GENERATION_NOT_FOUND: 404,
+  NAME_REQUIRED: 400,
+  INVALID_ORDER: 400,
+  COVER_NOT_IN_COLLECTION: 400,
+  TOO_MANY_COLLECTIONS: 409,
+  COLLECTION_FULL: 409,
+};
+
+function requireSupabase() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+  return supabase;
+}
+
+function collectionRowId(collectionId) {
+  return `collection:${collectionId}`;
+}
+
+function itemRowId(collectionId, generationId) {
+  return `collection_item:${collectionId}:${generationId}`;
+}
+
+function cleanName(raw) {
+  return safeString(raw, "").slice(0, NAME_MAX);
+}
+
+function toCollection(row, { itemCount = null, coverUrl = null } = {}) {
+  const meta = row.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+  return {
+    id: String(row.mg_id).slice("collection:".length),
+    passId: row.mg_pass_id,
+    name: row.mg_title || "",
+    description: meta.description || "",
+    coverGenerationId: meta.cover_generation_id || null,
+    coverUrl,
+    itemCount,
+    createdAt: row.mg_created_at,
+    updatedAt: row.mg_updated_at,
+  };
+}
+
+// ============================================================================
+// Collections
+// ============================================================================
+// passIds = the caller's pass candidates; a collection is visible if its owner is one of them.
+export async function getCollectionRow(collectionId, passIds) {
+  const supabase = requireSupabase();
+  const id = safeString(collectionId, "");
+  if (!id) throw new Error("COLLECTION_NOT_FOUND");
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_pass_id, mg_title, mg_meta, mg_created_at, mg_updated_at")
+    .eq("mg_id", collectionRowId(id))
+    .eq("mg_record_type", "collection")
+    .in("mg_pass_id", passIds)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new Error("COLLECTION_NOT_FOUND");
+  return data;
+}
+
+async function listItemRows(supabase, collectionRowIds) {
+  if (!collectionRowIds.length) return [];
+  const rows = [];
+  for (let from = 0; ; from += ITEMS_PAGE) {
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select("mg_id, mg_parent_id, mg_generation_id, mg_meta, mg_created_at")
+      .eq("mg_record_type", "collection_item")
+      .in("mg_parent_id", collectionRowIds)
+      .order("mg_id", { ascending: true })
+      .range(from, from + ITEMS_PAGE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < ITEMS_PAGE) break;
+  }
+  return rows.sort(
+    (a, b) => Number(a.mg_meta?.position || 0) - Number(b.mg_meta?.position || 0) || String(a.mg_id).localeCompare(b.mg_id)
+  );
+}
+
+// Generations the caller can see (their passes, not in the trash), keyed by generation id.
+async function loadGenerations(supabase, generationIds, passIds) {
+  const ids = Array.from(new Set(generationIds.filter(Boolean)));
+  const out = new Map();
+
+  for (let i = 0; i < ids.length; i += IN_CHUNK) {
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select("mg_generation_id, mg_pass_id, mg_type, mg_content_type, mg_mma_mode, mg_mma_status, mg_prompt, mg_output_url, mg_created_at")
+      .eq("mg_record_type", "generation")
+      .in("mg_generation_id", ids.slice(i, i + IN_CHUNK))
+      .in("mg_pass_id", passIds)
+      .is("mg_deleted_at", null);
+
+    if (error) throw error;
+    (data || []).forEach((g) => out.set(g.mg_generation_id, g));
+  }
+  return out;
+}
+
+// Live member count and first live member of one collection. Items of trashed
+// generations carry the generation's mg_deleted_at (see setCollectionItemsTrashed).
+async function collectionSummary(supabase, collectionRowId) {
+  const { data, count, error } = await supabase
+    .from("mega_generations")
+    .select("mg_generation_id", { count: "exact" })
+    .eq("mg_record_type", "collection_item")
+    .eq("mg_parent_id", collectionRowId)
+    .is("mg_deleted_at", null)
+    .order("mg_meta->position", { ascending: true })
+    .order("mg_id", { ascending: true })
+    .limit(1);
+
+  if (error) throw error;
+  return { itemCount: count || 0, firstGenerationId: data?.[0]?.mg_generation_id || null };
+}
+
+export async function listCollections({ passIds }) {
+  const supabase = requireSupabase();
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_pass_id, mg_title, mg_meta, mg_created_at, mg_updated_at")
+    .eq("mg_record_type", "collection")
+    .in("mg_pass_id", passIds)
+    .order("mg_updated_at", { ascending: false })
+    .limit(COLLECTIONS_MAX_PER_PASS);
+
+  if (error) throw error;
+  const rows = data || [];
+
+  const summaries = [];
+  for (let i = 0; i < rows.length; i += LIST_CONCURRENCY) {
+    summaries.push(...(await Promise.all(rows.slice(i, i + LIST_CONCURRENCY).map((r) => collectionSummary(supabase, r.mg_id)))));
+  }
+
+  // cover = the chosen one, else the first item
+  const coverIds = rows.map((r, i) => r.mg_meta?.cover_generation_id || summaries[i].firstGenerationId);
+  const generations = await loadGenerations(supabase, coverIds, passIds);
+
+  return rows.map((r, i) =>
+    toCollection(r, { itemCount: summaries[i].itemCount, coverUrl: generations.get(coverIds[i])?.mg_output_url || null })
+  );
+}
+
+// Called when generations go to or come back from the history trash (deletedAt =
+// null), so list counts can skip their memberships without a join.
+export async function setCollectionItemsTrashed(generationIds, deletedAt) {
+  const supabase = requireSupabase();
+  const ids = Array.from(new Set((generationIds || []).filter(Boolean)));
+
+  for (let i = 0; i < ids.length; i += IN_CHUNK) {
+    const { error } = await supabase
+      .from("mega_generations")
+      .update({ mg_deleted_at: deletedAt })
+      .eq("mg_record_type", "collection_item")
+      .in("mg_generation_id", ids.slice(i, i + IN_CHUNK));
+    if (error) throw error;
+  }
+}
+
+export async function createCollection({ passId, name, description = "" }) {
+  const supabase = requireSupabase();
+  const title = cleanName(name);
+  if (!title) throw new Error("NAME_REQUIRED");
+
+  const { count, error: countErr } = await supabase
+    .from("mega_generations")
+    .select("mg_id", { count: "exact", head: true })
+    .eq("mg_record_type", "collection")
+    .eq("mg_pass_id", passId);
+  if (countErr) throw countErr;
+  if ((count || 0) >= COLLECTIONS_MAX_PER_PASS) throw new Error("TOO_MANY_COLLECTIONS");
+
+  const ts = nowIso();
+  const row = {
+    mg_id: collectionRowId(crypto.randomUUID()),
+    mg_record_type: "collection",
+    mg_pass_id: passId,
+    mg_title: title,
+    mg_meta: { description: safeString(description, "").slice(0, DESCRIPTION_MAX), cover_generation_id: null },
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  };
+
+  const { error } = await supabase.from("mega_generations").insert(row);
+  if (error) throw error;
+  return toCollection(row, { itemCount: 0 });
+}
+
+export async function updateCollection({ collectionId, passIds, name, description, coverGenerationId }) {
+  const supabase = requireSupabase();
+  const row = await getCollectionRow(collectionId, passIds);
+  const meta = { ...(row.mg_meta || {}) };
+  const patch = {};
+
+  if (name !== undefined) {
+    const title = cleanName(name);
+    if (!title) throw new Error("NAME_REQUIRED");
+    patch.mg_title = title;
+  }
+  if (description !== undefined) meta.description = safeString(description, "").slice(0, DESCRIPTION_MAX);
+  if (coverGenerationId !== undefined) {
+    const gid = safeString(coverGenerationId, "") || null;
+    if (gid) {
+      const { data, error } = await supabase
+        .from("mega_generations")
+        .select("mg_id")
+        .eq("mg_id", itemRowId(collectionId, gid))
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) throw new Error("COVER_NOT_IN_COLLECTION");
+    }
+    meta.cover_generation_id = gid;
+  }
+
+  const ts = nowIso();
+  const { error } = await supabase
+    .from("mega_generations")
+    .update({ ...patch, mg_meta: meta, mg_updated_at: ts })
+    .eq("mg_id", row.mg_id);
+  if (error) throw error;
+
+  return getCollection({ collectionId, passIds });
+}
+
+export async function deleteCollection({ collectionId, passIds }) {
+  const supabase = requireSupabase();
+  const row = await getCollectionRow(collectionId, passIds);
+
+  const { error: itemsErr } = await supabase
+    .from("mega_generations")
+    .delete()
+    .eq("mg_record_type", "collection_item")
+    .eq("mg_parent_id", row.mg_id);
+  if (itemsErr) throw itemsErr;
+
+  const { error } = await supabase.from("mega_generations").delete().eq("mg_id", row.mg_id);
+  if (error) throw error;
+  return { deleted: true };
+}
+
+// Collection view: the board plus its generations in order. Members that were
+// trashed or purged since are left out (and don't count).
+export async function getCollection({ collectionId, passIds }) {
+  const supabase = requireSupabase();
+  const row = await getCollectionRow(collectionId, passIds);
+  const items = await listItemRows(supabase, [row.mg_id]);
+  const generations = await loadGenerations(
+    supabase,
+    items.map((i) => i.mg_generation_id),
+    passIds
+  );
+
+  const out = [];
+  for (const it of items) {
+    const g = generations.get(it.mg_generation_id);
+    if (!g) continue;
+    out.push({
+      generationId: g.mg_generation_id,
+      position: Number(it.mg_meta?.position || 0),
+      addedAt: it.mg_created_at,
+      type: g.mg_type || g.mg_content_type || "image",
+      mode: g.mg_mma_mode || "",
+      status: g.mg_mma_status || "",
+      prompt: g.mg_prompt || "",
+      outputUrl: g.mg_output_url || "",
+      createdAt: g.mg_created_at,
+    });
+  }
+
+  const coverId = row.mg_meta?.cover_generation_id || out[0]?.generationId || null;
+  const cover = out.find((i) => i.generationId === coverId) || null;
+  return { ...toCollection(row, { itemCount: out.length, coverUrl: cover?.outputUrl || null }), items: out };
+}
+
+// ============================================================================
+// Membership
+// ============================================================================
+// Adds generations (already-present ones keep their place). position = index to
+// insert at; omitted = append.
+export async function addCollectionItems({ collectionId, passIds, generationIds, position = null }) {
+  const supabase = requireSupabase();
+  const row = await getCollectionRow(collectionId, passIds);
+
+  const wanted = Array.from(new Set((generationIds || []).map((g) => safeString(g, "")).filter(Boolean)));
+  if (!wanted.length) throw new Error("GENERATION_NOT_FOUND");
+
+  const generations = await loadGenerations(supabase, wanted, passIds);
+  if (wanted.some((g) => !generations.has(g))) throw new Error("GENERATION_NOT_FOUND");
+
+  const items = await listItemRows(supabase, [row.mg_id]);
+  const existing = new Set(items.map((i) => i.mg_generation_id));
+  const added = wanted.filter((g) => !existing.has(g));
+  if (items.length + added.length > COLLECTION_MAX_ITEMS) throw new Error("COLLECTION_FULL");
+
+  if (added.length) {
+    const at = position === null || position === undefined ? items.length : Math.max(0, Math.min(items.length, Math.floor(Number(position)) || 0));
+    // new items go between their neighbours; only a gap that ran out renumbers
+    const positions = positionsBetween(itemPosition(items[at - 1]), itemPosition(items[at]), added.length);
+
+    const ts = nowIso();
+    const { error } = await supabase.from("mega_generations").insert(
+      added.map((gid, i) => ({
+        mg_id: itemRowId(collectionId, gid),
+        mg_record_type: "collection_item",
+        mg_pass_id: row.mg_pass_id,
+        mg_parent_id: row.mg_id,
+        mg_generation_id: gid,
+        mg_meta: { position: positions ? positions[i] : 0 },
+        mg_created_at: ts,
+        mg_updated_at: ts,
+      }))
+    );
+    if (error) throw error;
+
+    if (!positions) {
+      const ordered = items.map((i) => i.mg_generation_id);
+      ordered.splice(at, 0, ...added);
+      await writePositions(supabase, row, ordered);
+    }
+    await touchCollection(supabase, row.mg_id);
+  }
+
+  return getCollection({ collectionId, passIds });
+}
+
+export async function removeCollectionItem({ collectionId, passIds, generationId }) {
+  const supabase = requireSupabase();
+  const row = await getCollectionRow(collectionId, passIds);
+  const gid = safeString(generationId, "");
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .delete()
+    .eq("mg_id", itemRowId(collectionId, gid))
+    .select("mg_id");
+  if (error) throw error;
+  if (!data?.length) throw new Error("GENERATION_NOT_FOUND");
+
+  // a removed cover falls back to the first item
+  if (row.mg_meta?.cover_generation_id === gid) {
+    const { error: coverErr } = await supabase
+      .from("mega_generations")
+      .update({ mg_meta: { ...row.mg_meta, cover_generation_id: null } })
+      .eq("mg_id", row.mg_id);
+    if (coverErr) throw coverErr;
+  }
+  await touchCollection(supabase, row.mg_id);
+
+  return getCollection({ collectionId, passIds });
+}
+
+// Full new order: must list exactly the current members.
+export async function reorderCollectionItems({ collectionId, passIds, generationIds }) {
+  const supabase = requireSupabase();
+  const row = await getCollectionRow(collectionId, passIds);
+  const items = await listItemRows(supabase, [row.mg_id]);
+
+  const ordered = (generationIds || []).map((g) => safeString(g, ""));
+  const current = new Set(items.map((i) => i.mg_generation_id));
+  if (ordered.length !== current.size || new Set(ordered).size !== ordered.length || ordered.some((g) => !current.has(g))) {
+    throw new Error("INVALID_ORDER");
+  }
+
+  await writePositions(supabase, row, ordered);
+  await touchCollection(supabase, row.mg_id);
+  return getCollection({ collectionId, passIds });
+}
+
+function itemPosition(item) {
+  return item ? Number(item.mg_meta?.position || 0) : null;
+}
+
+// Positions for `count` items inserted between two neighbours (null = no
+// neighbour on that side), or null when the gap between them is used up.
+function positionsBetween(before, after, count) {
+  const lo = before ?? 0;
+  if (after === null) return Array.from({ length: count }, (_, i) => lo + (i + 1) * POSITION_STEP);
+  const gap = (after - lo) / (count + 1);
+  if (gap < 1) return null;
+  return Array.from({ length: count }, (_, i) => Math.floor(lo + (i + 1) * gap));
+}
+
+// Renumbers every item in one upsert (reorders, and inserts whose gap ran out).
+async function writePositions(supabase, collectionRow, orderedGenerationIds) {
+  if (!orderedGenerationIds.length) return;
+  const collectionId = String(collectionRow.mg_id).slice("collection:".length);
+  const ts = nowIso();
+  const { error } = await supabase.from("mega_generations").upsert(
+    orderedGenerationIds.map((gid, i) => ({
+      mg_id: itemRowId(collectionId, gid),
+      mg_record_type: "collection_item",
+      mg_pass_id: collectionRow.mg_pass_id,
+      mg_parent_id: collectionRow.mg_id,
+      mg_generation_id: gid,
+      mg_meta: { position: (i + 1) * POSITION_STEP },
+      mg_updated_at: ts,
+    })),
+    { onConflict: "mg_id" }
+  );
+  if (error) throw error;
+}
+
+async function touchCollection(supabase, rowId) {
+  const { error } = await supabase.from("mega_generations").update({ mg_updated_at: nowIso() }).eq("mg_id", rowId);
+  if (error) throw error;
+}
@@ -0,0 +1,58 @@
+// server/credit-ledger.js — Credit statement entries and CSV (GET /credits/ledger, account exports)
+"use strict";
+
+// mma:<generationId> / fingertips:<generationId> refs point at a generation
+function ledgerGenerationId(row) {
+  if (row.mg_generation_id) return String(row.mg_generation_id);
+  const m = /^(?:mma|fingertips):(.+)$/.exec(String(row.mg_ref_id || ""));
+  return m ? m[1] : null;
+}
+
+export function toLedgerEntry(row) {
+  const meta = row.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+  const num = (v) => (v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Number(v));
+
+  return {
+    id: String(row.mg_id),
+    createdAt: row.mg_created_at,
+    eventAt: row.mg_event_at || row.mg_created_at,
+    delta: Number(row.mg_delta || 0),
+    reason: row.mg_reason || null,
+    source: row.mg_source || null,
+    refType: row.mg_ref_type || null,
+    refId: row.mg_ref_id || null,
+    generationId: ledgerGenerationId(row),
+    orderId: meta.shopify_order_id || (row.mg_ref_type === "shopify_order" ? row.mg_ref_id : null) || null,
+    balanceBefore: num(meta.credits_before),
+    balanceAfter: num(meta.credits_after),
+  };
+}
+
+const LEDGER_CSV_COLUMNS = [
+  ["created_at", "createdAt"],
+  ["event_at", "eventAt"],
+  ["delta", "delta"],
+  ["balance_before", "balanceBefore"],
+  ["balance_after", "balanceAfter"],
+  ["reason", "reason"],
+  ["source", "source"],
+  ["generation_id", "generationId"],
+  ["order_id", "orderId"],
+  ["ref_type", "refType"],
+  ["ref_id", "refId"],
+  ["id", "id"],
+];
+
+export function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "number") return String(v);
+  let s = String(v);
+  if (/^[=+\-@]/.test(s)) s = `'${s}`; // keep spreadsheets from evaluating it
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function ledgerCsv(entries) {
+  const lines = [LEDGER_CSV_COLUMNS.map(([h]) => h).join(",")];
+  for (const e of entries) lines.push(LEDGER_CSV_COLUMNS.map(([, k]) => csvCell(e[k])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
@@ -19,7 +19,7 @@ import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 
 import {
   megaEnsureCustomer,
-  megaGetCredits,
+  megaGetAvailableCredits,
   megaAdjustCredits,
   megaHasCreditRef,
 } from "../../mega-db.js";
@@ -28,6 +28,7 @@ import { getSupabaseAdmin } from "../../supabase.js";
 import { replicatePredictWithTimeout } from "../mma/replicate-poll.js";
 import { FINGERTIPS_MODELS, getFingertipsModel, FINGERTIPS_MODEL_KEYS } from "./fingertips-config.js";
 import { estimateGenerationCost } from "../mma/mma-cost-calculator.js";
+import { prepareProvenance, storeProvenanceManifest } from "../mma/mma-r2.js";
 
 // ============================================================================
 // Replicate client (shared singleton)
@@ -225,7 +226,8 @@ function guessExt(url, fallback = ".png") {
   }
 }
 
-async function storeToR2(url, keyPrefix) {
+// provenance: { generationId, engine } — XMP + manifest, as for MMA outputs
+async function storeToR2(url, keyPrefix, provenance = null) {
   const { enabled, client, bucket, publicBase } = getR2();
   if (!enabled || !client) return url; // R2 not configured — pass through
   if (!url || typeof url !== "string") return url;
@@ -234,21 +236,29 @@ async function storeToR2(url, keyPrefix) {
   const res = await fetch(url);
   if (!res.ok) throw new Error(`R2_FETCH_FAILED_${res.status}`);
 
-  const buf = Buffer.from(await res.arrayBuffer());
   const contentType = res.headers.get("content-type") || "application/octet-stream";
   const ext = guessExt(url, ".png");
   const objKey = `${keyPrefix}${ext}`;
+  const prepared = await prepareProvenance({
+    buffer: Buffer.from(await res.arrayBuffer()),
+    contentType,
+    key: objKey,
+    publicBase,
+    provenance,
+  });
 
   await client.send(
     new PutObjectCommand({
       Bucket: bucket,
       Key: objKey,
-      Body: buf,
+      Body: prepared.buffer,
       ContentType: contentType,
     })
   );
 
-  return `${publicBase.replace(/\/$/, "")}/${objKey}`;
+  const publicUrl = `${publicBase.replace(/\/$/, "")}/${objKey}`;
+  await storeProvenanceManifest({ key: objKey, url: publicUrl, contentType, ...prepared });
+  return publicUrl;
 }
 
 // ============================================================================
@@ -331,8 +341,8 @@ export async function chargeFingertips({ passId, generationId, modelKey }) {
 
   // If pool is insufficient, deduct 1 whole matcha
   if (pool < cost) {
-    // Check user has at least 1 matcha
-    const { credits } = await megaGetCredits(passId);
+    // Check user has at least 1 matcha not held by in-flight MMA jobs
+    const { available: credits } = await megaGetAvailableCredits(passId);
     if (credits < 1) {
       throw makeHttpError(402, "INSUFFICIENT_CREDITS", {
         passId,
@@ -817,7 +827,10 @@ export async function handleFingertipsGenerate({ passId, modelKey, inputs }) {
   // Always persist to our own R2 — never return provider URLs to the client
   let outputUrl;
   try {
-    outputUrl = await storeToR2(rawOutputUrl, `fingertips/${modelKey}/${generationId}`);
+    outputUrl = await storeToR2(rawOutputUrl, `fingertips/${modelKey}/${generationId}`, {
+      generationId,
+      engine: `fingertips_${modelKey}`,
+    });
   } catch (e) {
     console.error("[fingertips] storeToR2 failed for model", modelKey, ":", e?.message || e);
 
@@ -878,6 +891,75 @@ export async function handleFingertipsGenerate({ passId, modelKey, inputs }) {
   };
 }
 
+// ============================================================================
+// resumeFingertipsGeneration — finish a generation that timed out on our side
+//
+// Asks Replicate for the stored prediction: succeeded → stored to R2 and marked
+// done, failed/canceled → refunded and marked failed, otherwise still running.
+// Returns: { generation_id, status: "done"|"error"|"processing", output_url }, or null if unknown.
+// ============================================================================
+export async function resumeFingertipsGeneration(generationId) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !generationId) return null;
+
+  const { data: row, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_generation_id, mg_pass_id, mg_mma_status, mg_output_url, mg_mma_vars, mg_meta")
+    .eq("mg_generation_id", generationId)
+    .eq("mg_record_type", "generation")
+    .eq("mg_mma_mode", "fingertips")
+    .maybeSingle();
+  if (error) throw error;
+  if (!row) return null;
+
+  const out = (status, outputUrl = null) => ({ generation_id: row.mg_generation_id, status, output_url: outputUrl });
+  if (row.mg_mma_status === "done" && row.mg_output_url) return out("done", row.mg_output_url);
+  if (row.mg_mma_status !== "generating") return out("error");
+
+  const predictionId = row.mg_meta?.predictionId;
+  if (!predictionId) return out("processing");
+  const modelKey = row.mg_mma_vars?.modelKey || "";
+
+  const prediction = await getReplicate().predictions.get(String(predictionId));
+  const rawOutputUrl = prediction?.status === "succeeded" ? extractOutputUrl(prediction.output) : null;
+  if (prediction?.status === "failed" || prediction?.status === "canceled" || (prediction?.status === "succeeded" && !rawOutputUrl)) {
+    const refund = await refundFingertips({ passId: row.mg_pass_id, generationId: row.mg_generation_id, modelKey });
+    await supabase
+      .from("mega_generations")
+      .update({
+        mg_mma_status: "error",
+        mg_status: "failed",
+        mg_error: rawOutputUrl === null && prediction.status === "succeeded"
+          ? { code: "NO_OUTPUT_URL", message: "Provider returned no usable image." }
+          : { code: "REPLICATE_ERROR", message: String(prediction.error || prediction.status) },
+        mg_mma_vars: { ...(row.mg_mma_vars || {}), refund },
+        mg_updated_at: nowIso(),
+      })
+      .eq("mg_id", row.mg_id)
+      .eq("mg_mma_status", "generating");
+    return out("error");
+  }
+  if (!rawOutputUrl) return out("processing");
+
+  const outputUrl = await storeToR2(rawOutputUrl, `fingertips/${modelKey}/${row.mg_generation_id}`, {
+    generationId: row.mg_generation_id,
+    engine: `fingertips_${modelKey}`,
+  });
+
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_mma_status: "done",
+      mg_status: "succeeded",
+      mg_output_url: outputUrl,
+      mg_meta: { ...(row.mg_meta || {}), timedOut: false },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_id", row.mg_id)
+    .eq("mg_mma_status", "generating");
+  return out("done", outputUrl);
+}
+
 // ============================================================================
 // fetchFingertipsGeneration — get status of a fingertips generation
 // ============================================================================
@@ -916,15 +998,48 @@ export async function getPoolStatus(passId) {
   if (!supabase) return { pool: 0 };
 
   const { pool } = await readFingertipsPool(supabase, passId);
-  const { credits, expiresAt } = await megaGetCredits(passId);
+  const { credits, available, expiresAt } = await megaGetAvailableCredits(passId);
 
   return {
     pool,
     matchaBalance: credits,
+    matchaAvailable: available,
     expiresAt,
   };
 }
 
+// ============================================================================
+// quoteFingertips — what /generate would charge, without charging
+// Mirrors chargeFingertips: draw from the pool, else refill it with 1 matcha.
+// ============================================================================
+export async function quoteFingertips({ passId, modelKey }) {
+  const model = getFingertipsModel(modelKey);
+  if (!model) {
+    throw makeHttpError(400, "UNKNOWN_FINGERTIPS_MODEL", {
+      modelKey,
+      availableModels: FINGERTIPS_MODEL_KEYS,
+    });
+  }
+
+  const { pool, matchaBalance, matchaAvailable } = await getPoolStatus(passId);
+  const cost = model.costPerGeneration;
+  const matchasNeeded = pool >= cost ? 0 : 1;
+  const balance = Number(matchaBalance || 0);
+  const available = Number(matchaAvailable || 0);
+
+  return {
+    modelKey,
+    modelLabel: model.label,
+    costPerGeneration: cost,
+    generationsPerMatcha: Math.floor(1 / cost),
+    pool,
+    matchaBalance: balance,
+    matchaAvailable: available,
+    matchasNeeded,
+    affordable: available >= matchasNeeded,
+  };
+}
+
 // ============================================================================
 // listModels — return available models + their costs and schemas
 // ============================================================================
@@ -3,11 +3,13 @@
 
 import express from "express";
 import { resolvePassId as megaResolvePassId } from "../../mega-db.js";
+import { withIdempotency } from "../middleware/idempotency.js";
 import {
   handleFingertipsGenerate,
   fetchFingertipsGeneration,
   getPoolStatus,
   listFingertipsModels,
+  quoteFingertips,
 } from "./fingertips-controller.js";
 
 const router = express.Router();
@@ -25,7 +27,7 @@ function withPassId(req, rawBody) {
 // POST /fingertips/generate
 // Body: { modelKey, inputs: { ... } }
 // ======================================================
-router.post("/generate", async (req, res) => {
+router.post("/generate", withIdempotency("fingertips_generate", async (req, res) => {
   const { passId, body } = withPassId(req, req.body);
 
   try {
@@ -62,6 +64,33 @@ router.post("/generate", async (req, res) => {
       availableModels: err?.availableModels || undefined,
     });
   }
+}));
+
+// ======================================================
+// POST /fingertips/quote
+// Body: same as /generate — returns cost, pool and affordability, charges nothing
+// ======================================================
+router.post("/quote", async (req, res) => {
+  const { passId, body } = withPassId(req, req.body);
+
+  try {
+    res.set("X-Mina-Pass-Id", passId);
+
+    const quote = await quoteFingertips({
+      passId,
+      modelKey: body.modelKey || body.model_key || body.model,
+    });
+
+    res.json({ ok: true, ...quote });
+  } catch (err) {
+    console.error("[fingertips] quote error", err);
+    res.status(err?.statusCode || 500).json({
+      error: err?.code || "FINGERTIPS_QUOTE_FAILED",
+      message: err?.message,
+      modelKey: err?.modelKey || undefined,
+      availableModels: err?.availableModels || undefined,
+    });
+  }
 });
 
 // ======================================================
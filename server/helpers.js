@@ -24,3 +24,28 @@ export function normalizeIncomingPassId(raw) {
 export function setPassIdHeader(res, passId) {
   if (passId) res.set("X-Mina-Pass-Id", passId);
 }
+
+// Runs at most `concurrency` tasks at once; up to `queueMax` more wait their turn,
+// past that the task is refused with Error(busyCode).
+// Usage: const limit = createLimiter({ concurrency: 2, queueMax: 20, busyCode: "BUSY" }); await limit(() => work());
+export function createLimiter({ concurrency, queueMax, busyCode }) {
+  let running = 0;
+  const waiting = [];
+
+  return async function limit(fn) {
+    if (running >= concurrency) {
+      if (waiting.length >= queueMax) throw new Error(busyCode);
+      await new Promise((resolve) => waiting.push(resolve));
+    } else {
+      running += 1;
+    }
+    try {
+      return await fn();
+    } finally {
+      // hand the slot straight to the next waiter, or free it
+      const next = waiting.shift();
+      if (next) next();
+      else running -= 1;
+    }
+  };
+}
@@ -8,6 +8,10 @@ import crypto from "node:crypto";
 
 import { getSupabaseAdmin, sbEnabled } from "../supabase.js";
 import { megaEnsureCustomer, megaGetCredits } from "../mega-db.js";
+import { deleteR2Keys, deleteR2Prefixes, keyFromPublicUrl } from "../r2.js";
+import { generationAssetPrefixes, printExportKeys } from "./privacy.js";
+import { setCollectionItemsTrashed } from "./collections.js";
+import { manifestKeyFor } from "./provenance.js";
 
 const router = express.Router();
 
@@ -18,6 +22,34 @@ const HISTORY_MAX_ROWS = Number(process.env.HISTORY_MAX_ROWS || 500);
 const HISTORY_PAGE_DEFAULT = Number(process.env.HISTORY_PAGE_DEFAULT || 200);
 const HISTORY_PAGE_MAX = Number(process.env.HISTORY_PAGE_MAX || HISTORY_MAX_ROWS);
 
+// Trash: DELETE /history/:id only sets mg_deleted_at; rows (and generation
+// outputs in R2) are purged for good once they've been in the trash this long.
+const HISTORY_TRASH_RETENTION_DAYS = Number(process.env.HISTORY_TRASH_RETENTION_DAYS || 30) || 30;
+const HISTORY_TRASH_PURGE_INTERVAL_MS =
+  Number(process.env.HISTORY_TRASH_PURGE_INTERVAL_MS || 6 * 60 * 60 * 1000) || 6 * 60 * 60 * 1000;
+const HISTORY_TRASH_PURGE_BATCH = Number(process.env.HISTORY_TRASH_PURGE_BATCH || 200) || 200;
+const HISTORY_TRASH_PURGE_MAX_BATCHES = Number(process.env.HISTORY_TRASH_PURGE_MAX_BATCHES || 50) || 50;
+const HISTORY_TRASH_PURGER_ENABLED =
+  String(process.env.HISTORY_TRASH_PURGER_ENABLED || "true").toLowerCase() !== "false";
+
+// Only what /history shows can be trashed (never steps, jobs or ledger rows).
+const HISTORY_RECORD_TYPES = ["generation", "feedback", "session"];
+
+// Filters / search on /history/pass/:passId
+// `q` uses Postgres full-text search with this config ("simple" = no stemming, any language)
+const HISTORY_SEARCH_CONFIG = String(process.env.HISTORY_SEARCH_CONFIG || "simple").replace(/[^a-z_]/gi, "") || "simple";
+// liked=true turns into an IN list of generation ids; newest likes first, capped here
+const HISTORY_LIKED_MAX = Number(process.env.HISTORY_LIKED_MAX || 500) || 500;
+// liked ids per .in() filter: the list travels in the GET url
+const HISTORY_LIKED_IN_CHUNK = 100;
+const HISTORY_MODES = ["still", "video", "fingertips", "ugc"];
+// where the user's own words live in mg_mma_vars.inputs (still brief, motion brief)
+const HISTORY_BRIEF_PATHS = [
+  "mg_mma_vars->inputs->>brief",
+  "mg_mma_vars->inputs->>userBrief",
+  "mg_mma_vars->inputs->>motion_user_brief",
+];
+
 // =========================
 // Helpers
 // =========================
@@ -53,7 +85,7 @@ function tryParseJson(v) {
 }
 
 // IMPORTANT: send only what Profile needs (inputs + assets), remove outputs (provider stuff)
-function sanitizeMmaVarsForClient(rawVars) {
+export function sanitizeMmaVarsForClient(rawVars) {
   const vars = tryParseJson(rawVars) ?? rawVars ?? null;
   if (!vars || typeof vars !== "object") return null;
 
@@ -109,7 +141,7 @@ async function getAuthUser(req) {
 }
 
 // Build a candidate list so history doesn’t “look empty” due to legacy anon-short IDs
-async function buildPassCandidates({ primaryPassId, authUser, supabase }) {
+export async function buildPassCandidates({ primaryPassId, authUser, supabase }) {
   const set = new Set();
 
   const pid = normalizePassId(primaryPassId);
@@ -118,7 +150,7 @@ async function buildPassCandidates({ primaryPassId, authUser, supabase }) {
   // legacy mapping: pass:anon:<uuid> <-> <uuid>
   if (pid.startsWith("pass:anon:")) {
     set.add(pid.slice("pass:anon:".length));
-  } else if (!pid.startsWith("pass:")) {
+  } else if (pid && !pid.startsWith("pass:")) {
     set.add(`pass:anon:${pid}`);
   }
 
@@ -162,6 +194,248 @@ async function buildPassCandidates({ primaryPassId, authUser, supabase }) {
   return Array.from(set).filter(Boolean).slice(0, 20);
 }
 
+// Caller's pass (query / body / X-Mina-Pass-Id) expanded to the same candidates as history.
+async function requestPassCandidates(req, supabase) {
+  const authUser = await getAuthUser(req);
+  const primaryPassId = normalizePassId(
+    req.query.passId || req.query.customerId || req.body?.passId || req.body?.customerId || req.get("x-mina-pass-id") || ""
+  );
+  if (!primaryPassId && !authUser) return { primaryPassId: "", passIds: [] };
+
+  const passIds = await buildPassCandidates({ primaryPassId, authUser, supabase });
+  return { primaryPassId, passIds };
+}
+
+// Rows behind an id the client sent (mg_id, or a generation id), limited to the caller's passes.
+async function findOwnedHistoryRows(supabase, id, passIds, { trashed }) {
+  for (const col of ["mg_id", "mg_generation_id"]) {
+    let q = supabase
+      .from("mega_generations")
+      .select("mg_id, mg_record_type, mg_generation_id, mg_deleted_at")
+      .eq(col, id)
+      .in("mg_pass_id", passIds)
+      .in("mg_record_type", HISTORY_RECORD_TYPES);
+    q = trashed ? q.not("mg_deleted_at", "is", null) : q.is("mg_deleted_at", null);
+
+    const { data, error } = await q;
+    if (error) throw error;
+    if (data?.length) return data;
+  }
+  return [];
+}
+
+// Generation ids among rows being trashed or restored (their collection items follow them).
+function trashedGenerationIds(rows) {
+  return rows.filter((r) => r.mg_record_type === "generation").map((r) => r.mg_generation_id);
+}
+
+function purgeAtFor(deletedAt) {
+  const t = Date.parse(deletedAt || "");
+  return Number.isFinite(t) ? new Date(t + HISTORY_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString() : null;
+}
+
+// =========================
+// Filters + cursor
+// =========================
+function parseHistoryDate(raw, { endOfDay = false } = {}) {
+  const s = safeString(raw, "");
+  if (!s) return null;
+  const t = Date.parse(s);
+  if (!Number.isFinite(t)) return undefined;
+  const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(s);
+  return new Date(endOfDay && dayOnly ? t + 24 * 60 * 60 * 1000 : t).toISOString();
+}
+
+function listParam(raw) {
+  return safeString(Array.isArray(raw) ? raw.join(",") : raw, "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .slice(0, 20);
+}
+
+function boolParam(raw) {
+  const s = safeString(raw, "").toLowerCase();
+  if (!s) return null;
+  if (["1", "true", "yes"].includes(s)) return true;
+  if (["0", "false", "no"].includes(s)) return false;
+  return undefined;
+}
+
+// Quote a value for a PostgREST or=(...) list.
+function pgrstQuote(v) {
+  return `"${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// Returns { filters } or { error }. Any filter limits the page to generation rows.
+function parseHistoryFilters(query) {
+  const modes = listParam(query.mode).map((m) => m.toLowerCase());
+  const badMode = modes.find((m) => !HISTORY_MODES.includes(m));
+  if (badMode) return { error: `mode must be one of ${HISTORY_MODES.join(", ")}` };
+
+  const statuses = listParam(query.status).map((x) => x.toLowerCase());
+  if (statuses.some((x) => !/^[a-z_]+$/.test(x))) return { error: "status must be a list of status names" };
+
+  const engines = listParam(query.engine).map((x) => x.toLowerCase());
+  if (engines.some((x) => !/^[a-z0-9_-]+$/.test(x))) return { error: "engine must be a list of engine names" };
+
+  const from = parseHistoryDate(query.from);
+  const to = parseHistoryDate(query.to, { endOfDay: true });
+  if (from === undefined || to === undefined) return { error: "from/to must be YYYY-MM-DD or an ISO timestamp" };
+
+  const liked = boolParam(query.liked);
+  const derived = boolParam(query.derived);
+  if (liked === undefined || derived === undefined) return { error: "liked/derived must be true or false" };
+
+  const filters = {
+    modes,
+    statuses,
+    engines,
+    sessionId: safeString(query.session || query.sessionId, "") || null,
+    from,
+    to,
+    liked: liked === true,
+    parentId: safeString(query.parent || query.parentId, "") || null,
+    derived,
+    q: safeString(query.q, "").slice(0, 200) || null,
+  };
+
+  const active =
+    modes.length ||
+    statuses.length ||
+    engines.length ||
+    filters.sessionId ||
+    from ||
+    to ||
+    filters.liked ||
+    filters.parentId ||
+    derived !== null ||
+    filters.q;
+
+  return { filters, active: !!active };
+}
+
+// Latest like/dislike per generation wins (POST /feedback/like rows and mma_event likes).
+// Read newest first, so the first event seen for a generation is its current
+// state, paging until enough liked ids are found or the events run out.
+const LIKE_EVENTS_PAGE = 1000;
+const LIKE_EVENTS_MAX_PAGES = 20;
+
+function likeState(r) {
+  const meta = r.mg_meta && typeof r.mg_meta === "object" ? r.mg_meta : {};
+  if (r.mg_record_type === "feedback" && meta.event_type === "feedback.like") return meta.liked !== false;
+  if (meta.event_type === "like" || meta.event_type === "dislike") return meta.event_type === "like";
+  return null;
+}
+
+async function likedGenerationIds(supabase, passIds) {
+  const seen = new Set();
+  const ids = [];
+
+  for (let page = 0; page < LIKE_EVENTS_MAX_PAGES && ids.length <= HISTORY_LIKED_MAX; page++) {
+    const from = page * LIKE_EVENTS_PAGE;
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select("mg_record_type, mg_generation_id, mg_meta")
+      .in("mg_pass_id", passIds)
+      .in("mg_record_type", ["feedback", "mma_event"])
+      .in("mg_meta->>event_type", ["feedback.like", "like", "dislike"])
+      .not("mg_generation_id", "is", null)
+      .is("mg_deleted_at", null)
+      .order("mg_created_at", { ascending: false })
+      .order("mg_id", { ascending: false })
+      .range(from, from + LIKE_EVENTS_PAGE - 1);
+
+    if (error) throw error;
+
+    for (const r of data || []) {
+      if (seen.has(r.mg_generation_id)) continue;
+      const liked = likeState(r);
+      if (liked === null) continue;
+      seen.add(r.mg_generation_id);
+      if (liked) ids.push(r.mg_generation_id);
+    }
+
+    if (!data || data.length < LIKE_EVENTS_PAGE) break;
+  }
+
+  return { ids: ids.slice(0, HISTORY_LIKED_MAX), truncated: ids.length > HISTORY_LIKED_MAX };
+}
+
+function applyHistoryFilters(q, filters, likedIds) {
+  if (filters.modes.length) {
+    const parts = [];
+    for (const m of filters.modes) {
+      if (m === "ugc") parts.push("mg_mma_vars->meta->>flow.eq.ugc");
+      else if (m === "video") {
+        parts.push("and(mg_mma_mode.eq.video,or(mg_mma_vars->meta->>flow.is.null,mg_mma_vars->meta->>flow.neq.ugc))");
+      } else parts.push(`mg_mma_mode.eq.${m}`);
+    }
+    q = q.or(parts.join(","));
+  }
+
+  if (filters.statuses.length) q = q.in("mg_mma_status", filters.statuses);
+  if (filters.engines.length) q = q.in("mg_mma_vars->meta->>still_engine", filters.engines);
+  if (filters.sessionId) q = q.eq("mg_session_id", filters.sessionId);
+  if (filters.from) q = q.gte("mg_created_at", filters.from);
+  if (filters.to) q = q.lt("mg_created_at", filters.to);
+  // no likes yet → an id no generation has, so the page comes back empty
+  if (filters.liked) q = q.in("mg_generation_id", likedIds.length ? likedIds : ["__none__"]);
+  if (filters.parentId) q = q.eq("mg_parent_id", `generation:${filters.parentId}`);
+  if (filters.derived === true) q = q.not("mg_parent_id", "is", null);
+  if (filters.derived === false) q = q.is("mg_parent_id", null);
+
+  if (filters.q) {
+    const term = pgrstQuote(filters.q);
+    const cols = ["mg_prompt", ...HISTORY_BRIEF_PATHS];
+    q = q.or(cols.map((c) => `${c}.wfts(${HISTORY_SEARCH_CONFIG}).${term}`).join(","));
+  }
+
+  return q;
+}
+
+// One history page. The liked filter can carry HISTORY_LIKED_MAX ids, too many
+// for a single .in(): each chunk gets its own page query and the pages are
+// merged back into feed order (newest first, mg_id breaking ties).
+async function fetchHistoryPage(pageQuery, likedIds, limit) {
+  const chunks = [];
+  for (let i = 0; i < likedIds.length; i += HISTORY_LIKED_IN_CHUNK) chunks.push(likedIds.slice(i, i + HISTORY_LIKED_IN_CHUNK));
+  if (!chunks.length) chunks.push(likedIds);
+
+  const rows = [];
+  for (const ids of chunks) {
+    const { data, error } = await pageQuery(ids);
+    if (error) throw error;
+    rows.push(...(Array.isArray(data) ? data : []));
+  }
+  if (chunks.length === 1) return rows;
+
+  return rows
+    .sort((a, b) => Date.parse(b.mg_created_at) - Date.parse(a.mg_created_at) || (a.mg_id < b.mg_id ? 1 : a.mg_id > b.mg_id ? -1 : 0))
+    .slice(0, limit);
+}
+
+// Opaque cursor = created_at + mg_id of the last row, so rows sharing a timestamp
+// are never skipped or repeated. A bare timestamp (older clients) still works.
+function encodeHistoryCursor(row) {
+  return Buffer.from(`${row.mg_created_at}|${row.mg_id}`, "utf8").toString("base64url");
+}
+
+function decodeHistoryCursor(raw) {
+  const s = safeString(raw, "");
+  if (!s) return null;
+  if (Number.isFinite(Date.parse(s)) && /^\d{4}-/.test(s)) return { createdAt: s, id: null };
+
+  try {
+    const [createdAt, ...rest] = Buffer.from(s, "base64url").toString("utf8").split("|");
+    const id = rest.join("|");
+    if (!Number.isFinite(Date.parse(createdAt)) || !id) return undefined;
+    return { createdAt, id };
+  } catch {
+    return undefined;
+  }
+}
+
 // =========================
 // Routes
 // =========================
@@ -195,25 +469,46 @@ router.get("/history/pass/:passId", async (req, res) => {
     const passIds = await buildPassCandidates({ primaryPassId, authUser, supabase });
 
     const limit = clampInt(req.query.limit ?? HISTORY_PAGE_DEFAULT, 1, HISTORY_PAGE_MAX);
-    const cursor = safeString(req.query.cursor ?? "", "");
-
-    let q = supabase
-      .from("mega_generations")
-      .select(
-        "mg_id, mg_record_type, mg_pass_id, mg_generation_id, mg_session_id, mg_platform, mg_title, mg_type, mg_prompt, mg_output_url, mg_created_at, mg_meta, mg_payload, mg_mma_vars, mg_content_type, mg_mma_mode"
-      )
-      .in("mg_pass_id", passIds)
-      .in("mg_record_type", ["generation", "feedback", "session"])
-      .order("mg_created_at", { ascending: false })
-      .limit(limit);
-
-    if (cursor) q = q.lt("mg_created_at", cursor);
+    const cursorRaw = safeString(req.query.cursor ?? "", "");
+    const cursor = decodeHistoryCursor(cursorRaw);
+    if (cursor === undefined) {
+      return res.status(400).json({ ok: false, requestId, error: "INVALID_CURSOR" });
+    }
 
-    const { data, error } = await q;
+    const { filters, active: filtered, error: filterError } = parseHistoryFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ ok: false, requestId, error: "INVALID_FILTER", message: filterError });
+    }
 
-    if (error) throw error;
+    const liked = filters.liked ? await likedGenerationIds(supabase, passIds) : { ids: [], truncated: false };
+
+    const pageQuery = (likedIds) => {
+      let q = supabase
+        .from("mega_generations")
+        .select(
+          "mg_id, mg_record_type, mg_pass_id, mg_generation_id, mg_parent_id, mg_session_id, mg_platform, mg_title, mg_type, mg_prompt, mg_output_url, mg_created_at, mg_meta, mg_payload, mg_mma_vars, mg_content_type, mg_mma_mode, mg_mma_status"
+        )
+        .in("mg_pass_id", passIds)
+        // filters describe generations, so sessions/feedback drop out of a filtered page
+        .in("mg_record_type", filtered ? ["generation"] : HISTORY_RECORD_TYPES)
+        .is("mg_deleted_at", null)
+        .order("mg_created_at", { ascending: false })
+        .order("mg_id", { ascending: false })
+        .limit(limit);
+
+      if (filtered) q = applyHistoryFilters(q, filters, likedIds);
+
+      if (cursor?.id) {
+        q = q.or(
+          `mg_created_at.lt.${pgrstQuote(cursor.createdAt)},and(mg_created_at.eq.${pgrstQuote(cursor.createdAt)},mg_id.lt.${pgrstQuote(cursor.id)})`
+        );
+      } else if (cursor) {
+        q = q.lt("mg_created_at", cursor.createdAt);
+      }
+      return q;
+    };
 
-    const rows = Array.isArray(data) ? data : [];
+    const rows = await fetchHistoryPage(pageQuery, filters.liked ? liked.ids : [], limit);
 
     const sessions = rows
       .filter((r) => r.mg_record_type === "session")
@@ -233,6 +528,8 @@ router.get("/history/pass/:passId", async (req, res) => {
         generationId: String(r.mg_generation_id || ""),
         type: String(r.mg_type || r.mg_content_type || "image"),
         mode: String(r.mg_mma_mode || ""),
+        status: String(r.mg_mma_status || ""),
+        parentGenerationId: r.mg_parent_id ? String(r.mg_parent_id).replace(/^generation:/, "") : null,
         sessionId: String(r.mg_session_id || ""),
         passId: String(r.mg_pass_id || primaryPassId),
         platform: String(r.mg_platform || "web"),
@@ -264,8 +561,8 @@ router.get("/history/pass/:passId", async (req, res) => {
         };
       });
 
-    const nextCursor = rows.length ? String(rows[rows.length - 1].mg_created_at || "") : "";
-    const hasMore = rows.length === limit && !!nextCursor;
+    const hasMore = rows.length === limit;
+    const nextCursor = hasMore ? encodeHistoryCursor(rows[rows.length - 1]) : "";
 
     return res.json({
       ok: true,
@@ -275,11 +572,12 @@ router.get("/history/pass/:passId", async (req, res) => {
       credits: { balance: credits, expiresAt },
       page: {
         limit,
-        cursor: cursor || null,
+        cursor: cursorRaw || null,
         nextCursor: nextCursor || null,
         hasMore,
         returned: rows.length,
       },
+      filters: filtered ? { ...filters, likedTruncated: liked.truncated } : null,
       sessions,
       generations,
       feedbacks,
@@ -290,7 +588,65 @@ router.get("/history/pass/:passId", async (req, res) => {
   }
 });
 
-// DELETE /history/:id
+// GET /history/trash — soft-deleted rows still within the retention window
+router.get("/history/trash", async (req, res) => {
+  const requestId = `trash_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE_CLIENT" });
+
+    const { primaryPassId, passIds } = await requestPassCandidates(req, supabase);
+    if (!passIds.length) return res.status(400).json({ ok: false, requestId, error: "MISSING_PASS_ID" });
+    if (primaryPassId) res.set("X-Mina-Pass-Id", primaryPassId);
+
+    const limit = clampInt(req.query.limit ?? HISTORY_PAGE_DEFAULT, 1, HISTORY_PAGE_MAX);
+
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select(
+        "mg_id, mg_record_type, mg_pass_id, mg_generation_id, mg_session_id, mg_title, mg_type, mg_content_type, mg_mma_mode, mg_prompt, mg_output_url, mg_created_at, mg_deleted_at"
+      )
+      .in("mg_pass_id", passIds)
+      .in("mg_record_type", HISTORY_RECORD_TYPES)
+      .not("mg_deleted_at", "is", null)
+      .order("mg_deleted_at", { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const items = (data || []).map((r) => ({
+      id: String(r.mg_id || ""),
+      recordType: String(r.mg_record_type || ""),
+      generationId: String(r.mg_generation_id || ""),
+      sessionId: String(r.mg_session_id || ""),
+      passId: String(r.mg_pass_id || ""),
+      type: String(r.mg_type || r.mg_content_type || ""),
+      mode: String(r.mg_mma_mode || ""),
+      title: r.mg_title ? String(r.mg_title) : "",
+      prompt: String(r.mg_prompt || ""),
+      outputUrl: String(r.mg_output_url || ""),
+      createdAt: String(r.mg_created_at || ""),
+      deletedAt: String(r.mg_deleted_at || ""),
+      purgeAt: purgeAtFor(r.mg_deleted_at),
+    }));
+
+    return res.json({
+      ok: true,
+      requestId,
+      passId: primaryPassId || null,
+      retentionDays: HISTORY_TRASH_RETENTION_DAYS,
+      items,
+    });
+  } catch (e) {
+    console.error("GET /history/trash failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "TRASH_FAILED", message: e?.message || String(e) });
+  }
+});
+
+// DELETE /history/:id — moves the caller's row(s) to the trash
 router.delete("/history/:id", async (req, res) => {
   const requestId = `del_${Date.now()}_${crypto.randomUUID()}`;
 
@@ -303,21 +659,188 @@ router.delete("/history/:id", async (req, res) => {
     const id = safeString(req.params.id, "");
     if (!id) return res.status(400).json({ ok: false, requestId, error: "MISSING_ID" });
 
-    // Try delete by mg_id first
-    const del1 = await supabase.from("mega_generations").delete().eq("mg_id", id).select("mg_id");
-    let deleted = Array.isArray(del1.data) ? del1.data.length : 0;
+    const { passIds } = await requestPassCandidates(req, supabase);
+    if (!passIds.length) return res.status(400).json({ ok: false, requestId, error: "MISSING_PASS_ID" });
 
-    // Fallback: if frontend sends generationId instead of mg_id
-    if (deleted === 0) {
-      const del2 = await supabase.from("mega_generations").delete().eq("mg_generation_id", id).select("mg_id");
-      deleted = Array.isArray(del2.data) ? del2.data.length : 0;
-    }
+    // someone else's row looks exactly like a missing one
+    const rows = await findOwnedHistoryRows(supabase, id, passIds, { trashed: false });
+    if (!rows.length) return res.status(404).json({ ok: false, requestId, error: "NOT_FOUND" });
 
-    return res.json({ ok: true, requestId, deleted: deleted > 0, deletedCount: deleted });
+    const ts = nowIso();
+    const { error } = await supabase
+      .from("mega_generations")
+      .update({ mg_deleted_at: ts, mg_updated_at: ts })
+      .in("mg_id", rows.map((r) => r.mg_id));
+    if (error) throw error;
+    await setCollectionItemsTrashed(trashedGenerationIds(rows), ts);
+
+    return res.json({
+      ok: true,
+      requestId,
+      deleted: true,
+      deletedCount: rows.length,
+      deletedAt: ts,
+      purgeAt: purgeAtFor(ts),
+    });
   } catch (e) {
     console.error("DELETE /history/:id failed", e);
     return res.status(500).json({ ok: false, requestId, error: "DELETE_FAILED", message: e?.message || String(e) });
   }
 });
 
+// POST /history/:id/restore — takes the caller's row(s) back out of the trash
+router.post("/history/:id/restore", async (req, res) => {
+  const requestId = `restore_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE_CLIENT" });
+
+    const id = safeString(req.params.id, "");
+    if (!id) return res.status(400).json({ ok: false, requestId, error: "MISSING_ID" });
+
+    const { passIds } = await requestPassCandidates(req, supabase);
+    if (!passIds.length) return res.status(400).json({ ok: false, requestId, error: "MISSING_PASS_ID" });
+
+    const rows = await findOwnedHistoryRows(supabase, id, passIds, { trashed: true });
+    if (!rows.length) return res.status(404).json({ ok: false, requestId, error: "NOT_FOUND" });
+
+    const { error } = await supabase
+      .from("mega_generations")
+      .update({ mg_deleted_at: null, mg_updated_at: nowIso() })
+      .in("mg_id", rows.map((r) => r.mg_id));
+    if (error) throw error;
+    await setCollectionItemsTrashed(trashedGenerationIds(rows), null);
+
+    return res.json({ ok: true, requestId, restored: true, restoredCount: rows.length });
+  } catch (e) {
+    console.error("POST /history/:id/restore failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "RESTORE_FAILED", message: e?.message || String(e) });
+  }
+});
+
+// =========================
+// Trash purge
+// =========================
+// R2 objects of one trashed generation. Throws unless every delete went through.
+async function deleteTrashedGenerationAssets(row) {
+  const keys = [keyFromPublicUrl(row.mg_output_url), ...printExportKeys(row)].filter(Boolean);
+  // provenance manifest outside the MMA prefixes (fingertips outputs)
+  const outputKey = keyFromPublicUrl(row.mg_output_url);
+  if (outputKey) keys.push(manifestKeyFor(outputKey));
+  const prefixes = row.mg_generation_id ? generationAssetPrefixes(row.mg_generation_id) : [];
+
+  const results = [keys.length ? await deleteR2Keys(keys) : null, prefixes.length ? await deleteR2Prefixes(prefixes) : null];
+  const errors = results.flatMap((r) => r?.errors || []);
+  if (errors.length) throw new Error(`R2_DELETE_FAILED: ${errors[0].key} ${errors[0].code || ""}`.trim());
+}
+
+// One batch, oldest first. `offset` skips rows an earlier batch of this run had
+// to keep: a row is only hard-deleted once its R2 objects are gone, otherwise
+// it stays in the trash for the next run.
+async function purgeTrashBatch(supabase, cutoffIso, offset) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_record_type, mg_generation_id, mg_output_url, mg_meta")
+    .in("mg_record_type", HISTORY_RECORD_TYPES)
+    .lt("mg_deleted_at", cutoffIso)
+    .order("mg_deleted_at", { ascending: true })
+    .order("mg_id", { ascending: true })
+    .range(offset, offset + HISTORY_TRASH_PURGE_BATCH - 1);
+
+  if (error) throw error;
+  const rows = data || [];
+
+  const purgeable = [];
+  const purgedGenerationIds = [];
+  let kept = 0;
+  for (const r of rows) {
+    if (r.mg_record_type === "generation") {
+      try {
+        await deleteTrashedGenerationAssets(r);
+      } catch (e) {
+        kept += 1;
+        console.warn("[history trash] R2 delete failed, keeping row", r.mg_id, e?.message || e);
+        continue;
+      }
+      if (r.mg_generation_id) purgedGenerationIds.push(r.mg_generation_id);
+    }
+    purgeable.push(r.mg_id);
+  }
+
+  if (purgeable.length) {
+    const { error: delErr } = await supabase
+      .from("mega_generations")
+      .delete()
+      .in("mg_id", purgeable)
+      .lt("mg_deleted_at", cutoffIso);
+    if (delErr) throw delErr;
+  }
+
+  // collection memberships go with the generation
+  if (purgedGenerationIds.length) {
+    const { error: itemsErr } = await supabase
+      .from("mega_generations")
+      .delete()
+      .eq("mg_record_type", "collection_item")
+      .in("mg_generation_id", purgedGenerationIds);
+    if (itemsErr) throw itemsErr;
+  }
+
+  return { fetched: rows.length, purged: purgeable.length, kept };
+}
+
+// Works through the whole backlog (up to HISTORY_TRASH_PURGE_MAX_BATCHES batches per run).
+export async function purgeHistoryTrash() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return { purged: 0, kept: 0 };
+
+  const cutoffIso = new Date(Date.now() - HISTORY_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  let purged = 0;
+  let kept = 0;
+  for (let batch = 0; batch < HISTORY_TRASH_PURGE_MAX_BATCHES; batch++) {
+    const out = await purgeTrashBatch(supabase, cutoffIso, kept);
+    purged += out.purged;
+    kept += out.kept;
+    if (out.fetched < HISTORY_TRASH_PURGE_BATCH) break;
+  }
+
+  return { purged, kept };
+}
+
+let purgeTimer = null;
+let purging = false;
+
+async function runHistoryTrashPurge() {
+  if (purging) return;
+  purging = true;
+  try {
+    const { purged, kept } = await purgeHistoryTrash();
+    if (purged || kept) console.log("[history trash] purged", purged, "kept", kept);
+  } catch (e) {
+    console.warn("[history trash] purge failed", e?.message || e);
+  } finally {
+    purging = false;
+  }
+}
+
+// First run right away (a restart shouldn't push the purge back a whole interval)
+export function startHistoryTrashPurger() {
+  if (!HISTORY_TRASH_PURGER_ENABLED || purgeTimer) return false;
+
+  purgeTimer = setInterval(runHistoryTrashPurge, HISTORY_TRASH_PURGE_INTERVAL_MS);
+  purgeTimer.unref?.();
+  setImmediate(runHistoryTrashPurge);
+
+  return true;
+}
+
+export function stopHistoryTrashPurger() {
+  if (purgeTimer) clearInterval(purgeTimer);
+  purgeTimer = null;
+}
+
 export default router;
@@ -0,0 +1,216 @@
+// server/image-derivatives.js — Format/size conversions for downloads (sharp), cached in R2
+// A derivative of one of our R2 objects lives at
+// derivatives/<source key>/<sha256(options)[:16]>.<ext>, so the same source +
+// options always maps to the same object and can be deleted with its source.
+// Allowlisted non-R2 sources are converted on every request, never stored.
+"use strict";
+
+import crypto from "node:crypto";
+import sharp from "sharp";
+import { keyFromPublicUrl, publicUrlForKey, putBufferToR2, r2ObjectExists } from "../r2.js";
+import { createLimiter } from "./helpers.js";
+
+// ============================================================================
+// Config
+// ============================================================================
+const DOWNLOAD_MAX_DIMENSION = Number(process.env.DOWNLOAD_MAX_DIMENSION || 8192) || 8192;
+// decoded size cap: a small file can decode to gigapixels (decompression bomb).
+// No output side exceeds DOWNLOAD_MAX_DIMENSION, so neither needs a larger source.
+const DOWNLOAD_MAX_INPUT_PIXELS = DOWNLOAD_MAX_DIMENSION * DOWNLOAD_MAX_DIMENSION;
+const DOWNLOAD_CONVERT_MAX_BYTES = Number(process.env.DOWNLOAD_CONVERT_MAX_BYTES || 50 * 1024 * 1024) || 50 * 1024 * 1024;
+// conversions running at once (each holds a decoded image in memory); more wait in
+// a queue of DOWNLOAD_CONVERT_QUEUE_MAX, past that → CONVERSION_BUSY
+const DOWNLOAD_CONVERT_CONCURRENCY = Number(process.env.DOWNLOAD_CONVERT_CONCURRENCY || 2) || 2;
+const DOWNLOAD_CONVERT_QUEUE_MAX = Number(process.env.DOWNLOAD_CONVERT_QUEUE_MAX || 20) || 20;
+// bump when the conversion pipeline changes so old cached derivatives are ignored
+const DERIVATIVE_VERSION = 1;
+export const DERIVATIVE_PREFIX = "derivatives/";
+
+export const DOWNLOAD_FORMATS = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  webp: "image/webp",
+  avif: "image/avif",
+  tiff: "image/tiff",
+};
+const FORMAT_ALIASES = { jpeg: "jpg", tif: "tiff" };
+const FITS = ["cover", "contain", "fill", "inside", "outside"];
+// lossy formats only; png and tiff (LZW) are lossless
+const DEFAULT_QUALITY = { jpg: 90, webp: 90, avif: 60 };
+
+function intParam(v, { min, max }) {
+  if (v === undefined || v === null || v === "") return { value: null };
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max) return { error: true };
+  return { value: n };
+}
+
+function formatFromKey(key) {
+  const m = /\.([a-z0-9]{2,5})$/i.exec(String(key || ""));
+  const ext = m ? m[1].toLowerCase() : "";
+  const f = FORMAT_ALIASES[ext] || ext;
+  return DOWNLOAD_FORMATS[f] ? f : "";
+}
+
+// Query → normalized options, null when no conversion was asked for, or { error }.
+// Without `format` the source's own format is kept (png for unknown sources).
+export function parseConversionOptions(query = {}, sourceUrl = "") {
+  const keys = ["format", "width", "height", "fit", "quality", "dpi"];
+  if (!keys.some((k) => query[k] !== undefined && query[k] !== "")) return null;
+
+  const rawFormat = String(query.format || "").toLowerCase();
+  let format = FORMAT_ALIASES[rawFormat] || rawFormat;
+  if (format && !DOWNLOAD_FORMATS[format]) return { error: `format must be one of ${Object.keys(DOWNLOAD_FORMATS).join(", ")}` };
+  if (!format) {
+    let path = "";
+    try {
+      path = new URL(sourceUrl).pathname;
+    } catch {}
+    format = formatFromKey(path) || "png";
+  }
+
+  const width = intParam(query.width, { min: 1, max: DOWNLOAD_MAX_DIMENSION });
+  const height = intParam(query.height, { min: 1, max: DOWNLOAD_MAX_DIMENSION });
+  if (width.error || height.error) return { error: `width/height must be integers from 1 to ${DOWNLOAD_MAX_DIMENSION}` };
+
+  const fit = String(query.fit || "inside").toLowerCase();
+  if (!FITS.includes(fit)) return { error: `fit must be one of ${FITS.join(", ")}` };
+
+  const quality = intParam(query.quality, { min: 1, max: 100 });
+  if (quality.error) return { error: "quality must be an integer from 1 to 100" };
+
+  const dpi = intParam(query.dpi, { min: 1, max: 2400 });
+  if (dpi.error) return { error: "dpi must be an integer from 1 to 2400" };
+
+  return {
+    format,
+    width: width.value,
+    height: height.value,
+    // fit only matters when both sides are given
+    fit: width.value && height.value ? fit : "inside",
+    quality: DEFAULT_QUALITY[format] ? quality.value ?? DEFAULT_QUALITY[format] : null,
+    dpi: dpi.value,
+  };
+}
+
+// "" for sources outside our bucket
+export function derivativeKey(sourceUrl, options) {
+  const sourceKey = keyFromPublicUrl(sourceUrl);
+  if (!sourceKey) return "";
+  const { format, width, height, fit, quality, dpi } = options;
+  const hash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ v: DERIVATIVE_VERSION, format, width, height, fit, quality, dpi }))
+    .digest("hex")
+    .slice(0, 16);
+  return `${DERIVATIVE_PREFIX}${sourceKey}/${hash}.${format}`;
+}
+
+// Prefixes holding the derivatives of the given source keys / key prefixes.
+export function derivativePrefixes(sourceKeysOrPrefixes = []) {
+  return sourceKeysOrPrefixes.map((k) => `${DERIVATIVE_PREFIX}${k}`);
+}
+
+// sharp's "Input image exceeds pixel limit"
+function isPixelLimitError(e) {
+  return /pixel limit/i.test(String(e?.message || ""));
+}
+
+export async function convertImage(buffer, { format, width, height, fit, quality, dpi }) {
+  let img = sharp(buffer, { failOn: "none", limitInputPixels: DOWNLOAD_MAX_INPUT_PIXELS }).rotate();
+  if (width || height) img = img.resize({ width: width || null, height: height || null, fit });
+  // JPG has no alpha: flatten onto white instead of black
+  if (format === "jpg") img = img.flatten({ background: "#ffffff" });
+
+  if (format === "png") img = img.png({ compressionLevel: 9 });
+  if (format === "jpg") img = img.jpeg({ quality, mozjpeg: true });
+  if (format === "webp") img = img.webp({ quality });
+  if (format === "avif") img = img.avif({ quality });
+  if (format === "tiff") img = img.tiff({ compression: "lzw" });
+
+  if (dpi) img = img.withMetadata({ density: dpi });
+  return img.toBuffer();
+}
+
+const withConversionSlot = createLimiter({
+  concurrency: DOWNLOAD_CONVERT_CONCURRENCY,
+  queueMax: DOWNLOAD_CONVERT_QUEUE_MAX,
+  busyCode: "CONVERSION_BUSY",
+});
+
+// Reads a fetch Response body into a Buffer, giving up past maxBytes
+// (content-length can be missing or wrong).
+async function readCapped(resp, maxBytes) {
+  if (!resp.body) return Buffer.alloc(0);
+  const reader = resp.body.getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel().catch(() => {});
+      throw new Error("SOURCE_TOO_LARGE");
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, total);
+}
+
+// Fetches, converts and (when key is set) stores one derivative; runs in a conversion slot.
+async function convertSource({ sourceUrl, options, key, contentType, fetchSource }) {
+  const resp = await fetchSource(sourceUrl);
+  if (!resp.ok) {
+    await resp.body?.cancel().catch(() => {});
+    throw new Error(`UPSTREAM_${resp.status}`);
+  }
+  if (/^(video|audio|text)\//i.test(resp.headers.get("content-type") || "")) {
+    await resp.body?.cancel().catch(() => {});
+    throw new Error("NOT_AN_IMAGE");
+  }
+  if (Number(resp.headers.get("content-length") || 0) > DOWNLOAD_CONVERT_MAX_BYTES) {
+    await resp.body?.cancel().catch(() => {});
+    throw new Error("SOURCE_TOO_LARGE");
+  }
+
+  const source = await readCapped(resp, DOWNLOAD_CONVERT_MAX_BYTES);
+
+  let buffer;
+  try {
+    buffer = await convertImage(source, options);
+  } catch (e) {
+    if (isPixelLimitError(e)) throw new Error("SOURCE_TOO_LARGE", { cause: e });
+    throw new Error("CONVERSION_FAILED", { cause: e });
+  }
+
+  if (!key) return { buffer, contentType, cached: false };
+  try {
+    const stored = await putBufferToR2({ key, buffer, contentType });
+    return { url: stored.publicUrl, contentType, cached: false };
+  } catch (e) {
+    console.error("[download-proxy] derivative cache write failed", e?.message || e);
+    return { buffer, contentType, cached: false };
+  }
+}
+
+const inFlight = new Map();
+
+// → { url } of the cached derivative in R2, or { buffer, contentType } when it
+// isn't cacheable or R2 couldn't store it. fetchSource(url) must return an allowed fetch Response.
+// Concurrent requests for the same derivative share one conversion; the caller
+// checks that the source is theirs.
+export function getOrCreateDerivative({ sourceUrl, options, fetchSource }) {
+  const key = derivativeKey(sourceUrl, options);
+  const flightKey = key || `${sourceUrl}|${JSON.stringify(options)}`;
+  if (inFlight.has(flightKey)) return inFlight.get(flightKey);
+
+  const job = (async () => {
+    const contentType = DOWNLOAD_FORMATS[options.format];
+    if (key && (await r2ObjectExists(key).catch(() => false))) return { url: publicUrlForKey(key), contentType, cached: true };
+    return withConversionSlot(() => convertSource({ sourceUrl, options, key, contentType, fetchSource }));
+  })().finally(() => inFlight.delete(flightKey));
+
+  inFlight.set(flightKey, job);
+  return job;
+}
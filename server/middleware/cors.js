@@ -20,8 +20,8 @@ export function buildCorsMiddleware() {
     },
     credentials: false,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Mina-Pass-Id"],
-    exposedHeaders: ["X-Mina-Pass-Id"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Mina-Pass-Id", "Idempotency-Key", "Last-Event-ID"],
+    exposedHeaders: ["X-Mina-Pass-Id", "Idempotent-Replayed"],
     optionsSuccessStatus: 204,
   };
 
@@ -0,0 +1,169 @@
+// server/middleware/idempotency.js — Idempotency-Key support for charging endpoints
+"use strict";
+
+import crypto from "node:crypto";
+
+import { sbEnabled } from "../../supabase.js";
+import {
+  megaClaimIdempotencyKey,
+  megaCompleteIdempotencyKey,
+  megaGetIdempotencyKey,
+  megaReleaseIdempotencyKey,
+  megaTouchIdempotencyKey,
+  resolvePassId,
+} from "../../mega-db.js";
+
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_MS || 24 * 60 * 60 * 1000) || 24 * 60 * 60 * 1000;
+// A double-tap usually lands while the first call is still charging; wait for it.
+const IDEMPOTENCY_WAIT_MS = Number(process.env.IDEMPOTENCY_WAIT_MS || 10000) || 10000;
+// A pending key not touched for this long is treated as abandoned and taken over.
+// The claimed request heartbeats it, so this only has to outlive a crashed process.
+const IDEMPOTENCY_PENDING_TIMEOUT_MS =
+  Number(process.env.IDEMPOTENCY_PENDING_TIMEOUT_MS || 2 * 60 * 1000) || 2 * 60 * 1000;
+const HEARTBEAT_MS = Math.max(1000, Math.floor(IDEMPOTENCY_PENDING_TIMEOUT_MS / 4));
+const WAIT_STEP_MS = 250;
+const MAX_KEY_LENGTH = 255;
+
+function hashRequest(req) {
+  const { passId, pass_id, customerId, ...body } = req.body && typeof req.body === "object" ? req.body : {};
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ path: req.baseUrl + req.path, params: req.params || {}, body }))
+    .digest("hex");
+}
+
+function replay(res, row) {
+  res.set("Idempotent-Replayed", "true");
+  return res.status(Number(row?.mg_meta?.status_code) || 200).json(row?.mg_payload ?? {});
+}
+
+async function waitForCompletion(ids) {
+  const deadline = Date.now() + IDEMPOTENCY_WAIT_MS;
+  while (Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, WAIT_STEP_MS));
+    try {
+      const row = await megaGetIdempotencyKey(ids);
+      if (!row) return null; // first attempt failed and released the key
+      if (row.mg_status === "succeeded") return row;
+    } catch (e) {
+      console.warn("[idempotency] wait poll failed", e?.message || e);
+    }
+  }
+  return null;
+}
+
+// Reads what the handler sends: res.json goes through res.send, everything through res.end.
+function captureResponse(res, onEnd) {
+  let body;
+  const send = res.send.bind(res);
+  res.send = (payload) => {
+    if (body === undefined && typeof payload === "string") {
+      try {
+        body = JSON.parse(payload);
+      } catch {
+        body = { body: payload };
+      }
+    } else if (body === undefined && payload && typeof payload === "object" && !Buffer.isBuffer(payload)) {
+      body = payload;
+    }
+    return send(payload);
+  };
+  const end = res.end.bind(res);
+  res.end = (...args) => {
+    onEnd(res.statusCode || 200, body ?? {});
+    return end(...args);
+  };
+}
+
+// Usage: router.post("/still/create", withIdempotency("mma_still_create", async (req, res) => { ... }))
+// Wraps the handler (not a separate middleware) so the key is held until the
+// handler itself settles: a client that drops mid-request doesn't free the key
+// for a retry while the first attempt is still charging.
+export function withIdempotency(scope, handler) {
+  return (req, res, next) => {
+    (async () => {
+      const key = String(req.get("Idempotency-Key") || "").trim();
+      if (!key || !sbEnabled()) return handler(req, res, next);
+
+      if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          ok: false,
+          error: "IDEMPOTENCY_KEY_INVALID",
+          message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.`,
+        });
+      }
+
+      const passId = resolvePassId(req, req.body || {});
+      const ids = { passId, scope, key };
+
+      let claim;
+      try {
+        claim = await megaClaimIdempotencyKey({
+          ...ids,
+          requestHash: hashRequest(req),
+          ttlMs: IDEMPOTENCY_TTL_MS,
+          pendingTimeoutMs: IDEMPOTENCY_PENDING_TIMEOUT_MS,
+        });
+      } catch (e) {
+        // Don't block charging routes on the idempotency store
+        console.error("[idempotency] claim failed", scope, e?.message || e);
+        return handler(req, res, next);
+      }
+
+      if (claim.state === "mismatch") {
+        return res.status(422).json({
+          ok: false,
+          error: "IDEMPOTENCY_KEY_REUSED",
+          message: "This Idempotency-Key was already used with a different request.",
+        });
+      }
+
+      if (claim.state === "replay") return replay(res, claim.row);
+
+      if (claim.state === "pending") {
+        const row = await waitForCompletion(ids);
+        if (row) return replay(res, row);
+        return res.status(409).json({
+          ok: false,
+          error: "IDEMPOTENCY_IN_PROGRESS",
+          message: "A request with this Idempotency-Key is still in progress.",
+        });
+      }
+
+      // claimed: keep the key alive until the handler settles (/fingertips/generate
+      // can take minutes), then remember the first response (2xx) or free the key
+      const heartbeat = setInterval(() => {
+        megaTouchIdempotencyKey(ids).catch((e) =>
+          console.warn("[idempotency] heartbeat failed", scope, e?.message || e)
+        );
+      }, HEARTBEAT_MS);
+      heartbeat.unref?.();
+
+      let settled = false;
+      const settle = (statusCode, body) => {
+        if (settled) return;
+        settled = true;
+        clearInterval(heartbeat);
+        const done =
+          statusCode >= 200 && statusCode < 300
+            ? megaCompleteIdempotencyKey({ ...ids, statusCode, body })
+            : megaReleaseIdempotencyKey(ids);
+        done.catch((e) => console.error("[idempotency] settle failed", scope, e?.message || e));
+      };
+      captureResponse(res, settle);
+
+      try {
+        await handler(req, res, next);
+      } catch (e) {
+        settle(500);
+        throw e;
+      } finally {
+        // returned without responding: nothing to replay
+        if (!settled) settle(500);
+      }
+    })().catch((e) => {
+      console.error("[idempotency] request failed", scope, e);
+      if (!res.headersSent) next(e);
+    });
+  };
+}
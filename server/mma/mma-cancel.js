@@ -0,0 +1,112 @@
+// server/mma/mma-cancel.js — Cancellation scopes for in-flight generations + cancel refunds
+"use strict";
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+import { MMA_COSTS, chargedCostForGeneration, refundOnFailure } from "./mma-credits.js";
+
+// ============================================================================
+// Cancel scopes
+// ============================================================================
+// The job worker runs each pipeline inside a scope; provider poll loops
+// (replicatePredictWithTimeout / submitAndPollKlingTask) pick the signal up
+// from here so it doesn't have to be threaded through every runner.
+// The same loops report provider task ids back through `onProviderTask`
+// so a dead process leaves something the reaper can recover from, and their
+// waits on the provider through `onParked` so the worker can lend the slot out.
+const scopes = new AsyncLocalStorage();
+const controllers = new Map(); // generationId -> AbortController
+
+export function runWithCancelScope(generationId, fn, { onProviderTask, onParked } = {}) {
+  const controller = new AbortController();
+  controllers.set(generationId, controller);
+
+  return scopes.run({ generationId, signal: controller.signal, onProviderTask, onParked }, fn).finally(() => {
+    if (controllers.get(generationId) === controller) controllers.delete(generationId);
+  });
+}
+
+export function currentCancelSignal() {
+  return scopes.getStore()?.signal || null;
+}
+
+export function currentScopeGenerationId() {
+  return scopes.getStore()?.generationId || "";
+}
+
+// task = { provider: "kling"|"replicate", task_id, query_path? }
+export function reportProviderTask(task) {
+  const cb = scopes.getStore()?.onProviderTask;
+  if (typeof cb !== "function") return;
+  Promise.resolve()
+    .then(() => cb(task))
+    .catch(() => {});
+}
+
+// Marks the pipeline as only waiting on a provider task (no local work).
+// → unpark(), callable from outside the scope (webhook wake-ups run elsewhere).
+export function reportParked() {
+  const cb = scopes.getStore()?.onParked;
+  if (typeof cb !== "function") return () => {};
+  const call = (v) => {
+    try {
+      cb(v);
+    } catch {}
+  };
+  call(true);
+  let done = false;
+  return () => {
+    if (done) return;
+    done = true;
+    call(false);
+  };
+}
+
+// Aborts a pipeline running in THIS process. Returns false if it isn't here.
+export function abortGeneration(generationId) {
+  const controller = controllers.get(generationId);
+  if (!controller) return false;
+  controller.abort();
+  return true;
+}
+
+export function makeCancelledError(provider = null) {
+  const err = new Error("GENERATION_CANCELLED");
+  err.code = "GENERATION_CANCELLED";
+  err.provider = provider;
+  return err;
+}
+
+export function isCancelledError(err) {
+  return err?.code === "GENERATION_CANCELLED";
+}
+
+// ============================================================================
+// Refund on cancel
+// ============================================================================
+// Full refund of what was charged, except UGC keeps paying for shots that
+// were already rendered. Idempotent through the mma_refund ledger ref, so the
+// cancel route and the worker can both call it.
+export async function refundCancelledGeneration({ supabase, generationId, passId, flow }) {
+  const charged = await chargedCostForGeneration(supabase, generationId);
+  if (charged <= 0) return { refunded: false, cost: 0, charged: 0 };
+
+  let renderedShots = 0;
+
+  if (flow === "ugc") {
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select("mg_payload")
+      .eq("mg_record_type", "mma_step")
+      .eq("mg_generation_id", generationId)
+      .eq("mg_step_type", "ugc_shot_generate");
+
+    if (error) throw error;
+    renderedShots = (data || []).filter((s) => s?.mg_payload?.clip_url && !s?.mg_payload?.error).length;
+  }
+
+  const cost = Math.max(0, charged - renderedShots * MMA_COSTS.ugc_per_shot);
+  const out = await refundOnFailure({ supabase, passId, generationId, cost, err: makeCancelledError() });
+
+  return { ...out, cost, charged, renderedShots };
+}
@@ -14,6 +14,10 @@
 //   mma-kling.js      – Kling v3 HTTP video runner
 //   mma-kling-omni.js – Kling Omni, Motion Control, Fabric Audio
 //   mma-pipelines.js  – The 4 async pipelines
+//   mma-jobs.js       – durable job queue that runs the pipelines
+//   mma-cancel.js     – cancellation scopes + cancel refunds
+//   mma-reaper.js     – periodic recovery/refund of stuck generations
+//   mma-webhooks.js   – provider webhook URLs, signatures, task waiters
 //   mma-handlers.js   – Public API handlers + Express router factory
 
 export { toUserStatus, MMA_UI } from "./mma-ui-text.js";
@@ -27,6 +31,7 @@ export {
   normalizeUrlForKey,
   withKlingImageSizing,
   pushUserMessageLine,
+  nextEventId,
   lastScanLine,
   pickFirstUrl,
   resolveFrame2Reference,
@@ -61,8 +66,11 @@ export {
   getStillCost,
   buildInsufficientCreditsDetails,
   ensureEnoughCredits,
+  reserveGenerationCredits,
+  captureGenerationCredits,
   chargeGeneration,
   refundOnFailure,
+  chargedCostForGeneration,
   preflightTypeForMe,
   commitTypeForMeSuccessAndMaybeCharge,
   readMmaPreferences,
@@ -119,12 +127,47 @@ export {
   runVideoAnimatePipeline,
   runVideoTweakPipeline,
 } from "./mma-pipelines.js";
+export {
+  jobIdentifiers,
+  enqueueMmaJob,
+  pollOnce,
+  startMmaJobWorker,
+  stopMmaJobWorker,
+  settleMmaJob,
+  cancelMmaJob,
+  fetchJobProviderTask,
+  recordProviderWebhook,
+} from "./mma-jobs.js";
+export { reapStuckGenerations, startMmaReaper, stopMmaReaper } from "./mma-reaper.js";
+export {
+  runWithCancelScope,
+  currentCancelSignal,
+  currentScopeGenerationId,
+  reportProviderTask,
+  abortGeneration,
+  makeCancelledError,
+  isCancelledError,
+  refundCancelledGeneration,
+} from "./mma-cancel.js";
+export {
+  WEBHOOK_FALLBACK_POLL_MS,
+  replicateWebhooksEnabled,
+  klingCallbacksEnabled,
+  replicateWebhookUrl,
+  klingCallbackUrl,
+  verifyReplicateWebhook,
+  verifyKlingCallback,
+  waitForProviderTask,
+  notifyProviderTask,
+} from "./mma-webhooks.js";
 export {
   handleMmaCreate,
   handleMmaStillTweak,
   handleMmaVideoTweak,
   handleMmaEvent,
+  quoteMma,
   refreshFromReplicate,
+  cancelGeneration,
   fetchGeneration,
   listSteps,
   listErrors,
@@ -2,9 +2,13 @@
 "use strict";
 
 import {
-  megaGetCredits,
+  megaGetAvailableCredits,
   megaAdjustCredits,
   megaHasCreditRef,
+  megaGetCreditHold,
+  megaReserveCredits,
+  megaCaptureCredits,
+  megaReleaseCredits,
 } from "../../mega-db.js";
 
 import { safeStr, safeArray, asHttpUrl, resolveFrame2Reference } from "./mma-helpers.js";
@@ -244,52 +248,88 @@ function makeHttpError(statusCode, code, extra = {}) {
   return err;
 }
 
+function insufficientCreditsError(passId, balance, needed, lane) {
+  const details = buildInsufficientCreditsDetails({
+    balance,
+    needed,
+    lane: safeStr(lane, ""),
+  });
+
+  return makeHttpError(402, "INSUFFICIENT_CREDITS", {
+    passId,
+    balance,
+    needed,
+    details,
+  });
+}
+
+// Checks the AVAILABLE balance (credits minus open holds).
 export async function ensureEnoughCredits(passId, needed, opts = {}) {
-  const { credits } = await megaGetCredits(passId);
-  const bal = Number(credits || 0);
+  const { available } = await megaGetAvailableCredits(passId);
+  const bal = Number(available || 0);
   const need = Number(needed || 0);
 
-  if (bal < need) {
-    const lane = safeStr(opts?.lane, "");
-    const details = buildInsufficientCreditsDetails({
-      balance: bal,
-      needed: need,
-      lane,
-    });
-
-    throw makeHttpError(402, "INSUFFICIENT_CREDITS", {
-      passId,
-      balance: bal,
-      needed: need,
-      details,
-    });
-  }
+  if (bal < need) throw insufficientCreditsError(passId, bal, need, opts?.lane);
   return { balance: bal };
 }
 
+// ----------------------------------------------------------------------------
+// Holds: reserve at submit, capture in finalizeGeneration, release on failure.
+// The ledger only gets the final mma_charge (and mma_refund for legacy
+// generations that were debited up front).
+// ----------------------------------------------------------------------------
+function holdRefId(generationId) {
+  return `mma:${generationId}`;
+}
+
+export async function reserveGenerationCredits({ passId, generationId, cost, reason, lane }) {
+  const c = Number(cost || 0);
+  if (c <= 0) return { reserved: false, cost: 0 };
+
+  const out = await megaReserveCredits({
+    passId,
+    amount: c,
+    refId: holdRefId(generationId),
+    reason: reason || "mma_charge",
+    source: "mma",
+  });
+
+  if (out.insufficient) throw insufficientCreditsError(passId, out.available, c, lane);
+  return { reserved: true, already: !!out.already, cost: c, available: out.available };
+}
+
+// Called at pipeline start. With a hold from submit this is a no-op; jobs
+// queued before holds existed (or resumed without one) reserve here instead.
 export async function chargeGeneration({ passId, generationId, cost, reason, lane }) {
   const c = Number(cost || 0);
   if (c <= 0) return { charged: false, cost: 0 };
 
-  const refType = "mma_charge";
-  const refId = `mma:${generationId}`;
+  const refId = holdRefId(generationId);
 
-  const already = await megaHasCreditRef({ refType, refId });
+  const already = await megaHasCreditRef({ refType: "mma_charge", refId });
   if (already) return { charged: true, already: true, cost: c };
 
-  await ensureEnoughCredits(passId, c, { lane });
+  const hold = await megaGetCreditHold(refId);
+  if (hold) return { charged: false, held: hold.mg_status === "held", cost: Number(hold.mg_delta || c) };
 
-  await megaAdjustCredits({
-    passId,
-    delta: -c,
-    reason: reason || "mma_charge",
-    source: "mma",
-    refType,
-    refId,
-    grantedAt: nowIso(),
-  });
+  await reserveGenerationCredits({ passId, generationId, cost: c, reason, lane });
+  return { charged: false, held: true, cost: c };
+}
 
-  return { charged: true, cost: c };
+export async function captureGenerationCredits({ generationId }) {
+  const refId = holdRefId(generationId);
+  return megaCaptureCredits({ refId, chargeRefType: "mma_charge", chargeRefId: refId });
+}
+
+// Submit failed after the reserve (customer row, generation row or job insert):
+// no job will ever capture or release the hold, so give it back now.
+export async function releaseGenerationCredits({ generationId, reason = "submit_failed" }) {
+  try {
+    return await megaReleaseCredits({ refId: holdRefId(generationId), reason });
+  } catch (e) {
+    console.error("[mma] release failed", generationId, e?.message || e);
+    return { released: false };
+  }
 }
 
 export async function refundOnFailure({ supabase, passId, generationId, cost, err }) {
@@ -297,10 +337,15 @@ export async function refundOnFailure({ supabase, passId, generationId, cost, er
   if (c <= 0) return { refunded: false, cost: 0 };
 
   const refType = "mma_refund";
-  const refId = `mma:${generationId}`;
+  const refId = holdRefId(generationId);
 
-  const already = await megaHasCreditRef({ refType, refId });
-  if (already) return { refunded: false, already: true, cost: c };
+  const hold = await megaGetCreditHold(refId);
+  const open = hold?.mg_status === "held";
+
+  if (!open) {
+    const already = await megaHasCreditRef({ refType, refId });
+    if (already) return { refunded: false, already: true, cost: c };
+  }
 
   const safety = isSafetyBlockError(err);
 
@@ -309,6 +354,8 @@ export async function refundOnFailure({ supabase, passId, generationId, cost, er
     const prefs = await readMmaPreferences(supabase, passId);
 
     if (prefs?.courtesy_safety_refund_day === today) {
+      // no courtesy left today: the hold becomes a normal charge
+      if (open) await captureGenerationCredits({ generationId });
       return { refunded: false, blockedByDailyLimit: true, safety: true, cost: c };
     }
 
@@ -318,6 +365,18 @@ export async function refundOnFailure({ supabase, passId, generationId, cost, er
     });
   }
 
+  if (open) {
+    // Nothing was debited yet: capture only what's kept (UGC shots already rendered), release the rest.
+    const held = Number(hold.mg_delta || 0) || 0;
+    await megaCaptureCredits({
+      refId,
+      amount: Math.max(0, held - c),
+      chargeRefType: "mma_charge",
+      chargeRefId: refId,
+    });
+    return { refunded: true, released: true, safety, cost: c };
+  }
+
   await megaAdjustCredits({
     passId,
     delta: +c,
@@ -331,6 +390,24 @@ export async function refundOnFailure({ supabase, passId, generationId, cost, er
   return { refunded: true, safety, cost: c };
 }
 
+// Matchas charged (or still held) for a generation (0 if neither).
+export async function chargedCostForGeneration(supabase, generationId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_delta")
+    .eq("mg_record_type", "credit_transaction")
+    .eq("mg_ref_type", "mma_charge")
+    .eq("mg_ref_id", holdRefId(generationId))
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data) return Math.abs(Number(data.mg_delta || 0) || 0);
+
+  const hold = await megaGetCreditHold(holdRefId(generationId));
+  return hold?.mg_status === "held" ? Number(hold.mg_delta || 0) || 0 : 0;
+}
+
 // ============================================================================
 // Type-for-me credit logic
 // ============================================================================
@@ -14,6 +14,7 @@ import {
 
 import { safeStr } from "./mma-helpers.js";
 import { estimateGenerationCost, costParamsFromVars } from "./mma-cost-calculator.js";
+import { captureGenerationCredits } from "./mma-credits.js";
 
 // ============================================================================
 // Write / update helpers
@@ -53,7 +54,8 @@ export async function writeGeneration({ supabase, generationId, parentId, passId
 
 export async function writeStep({ supabase, generationId, passId, stepNo, stepType, payload }) {
   const identifiers = stepIdentifiers(generationId, stepNo);
-  await supabase.from("mega_generations").insert({
+  // upsert: a resumed job replays step numbers, latest attempt wins
+  await supabase.from("mega_generations").upsert({
     ...identifiers,
     mg_parent_id: `generation:${generationId}`,
     mg_pass_id: passId || null,
@@ -61,7 +63,7 @@ export async function writeStep({ supabase, generationId, passId, stepNo, stepTy
     mg_payload: payload,
     mg_created_at: nowIso(),
     mg_updated_at: nowIso(),
-  });
+  }, { onConflict: "mg_id" });
 }
 
 export async function finalizeGeneration({ supabase, generationId, url, prompt, vars, mode, matchasCharged }) {
@@ -82,11 +84,23 @@ export async function finalizeGeneration({ supabase, generationId, url, prompt,
     console.warn("[cost-calc] failed to estimate cost", e?.message);
   }
 
-  await supabase
+  // never resurrect a generation the user cancelled
+  const { data: finalized } = await supabase
     .from("mega_generations")
     .update(updateFields)
     .eq("mg_generation_id", generationId)
-    .eq("mg_record_type", "generation");
+    .eq("mg_record_type", "generation")
+    .neq("mg_mma_status", "cancelled")
+    .select("mg_id");
+
+  // the credit hold from submit becomes the real charge only once the output exists
+  if (Array.isArray(finalized) && finalized.length) {
+    try {
+      await captureGenerationCredits({ generationId });
+    } catch (e) {
+      console.error("[mma] capture failed, left to the reaper's hold sweep", generationId, e?.message || e);
+    }
+  }
 }
 
 export async function updateVars({ supabase, generationId, vars }) {
@@ -102,7 +116,8 @@ export async function updateStatus({ supabase, generationId, status }) {
     .from("mega_generations")
     .update({ mg_status: status, mg_mma_status: status, mg_updated_at: nowIso() })
     .eq("mg_generation_id", generationId)
-    .eq("mg_record_type", "generation");
+    .eq("mg_record_type", "generation")
+    .neq("mg_mma_status", "cancelled");
 }
 
 export async function fetchParentGenerationRow(supabase, parentGenerationId) {
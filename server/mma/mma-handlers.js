@@ -3,7 +3,7 @@
 
 import express from "express";
 
-import { resolvePassId as megaResolvePassId } from "../../mega-db.js";
+import { megaGetAvailableCredits, resolvePassId as megaResolvePassId } from "../../mega-db.js";
 import { getSupabaseAdmin } from "../../supabase.js";
 
 import {
@@ -14,7 +14,7 @@ import {
   nowIso,
 } from "./mma-utils.js";
 
-import { addSseClient, sendDone, sendStatus } from "./mma-sse.js";
+import { addSseClient, parseLastEventId, sendDone, sendStatus } from "./mma-sse.js";
 import { getReplicate } from "./mma-clients.js";
 import { safeStr, asHttpUrl, safeArray, pickFirstUrl, resolveFrame2Reference } from "./mma-helpers.js";
 import { toUserStatus } from "./mma-ui-text.js";
@@ -27,14 +27,20 @@ import {
 } from "./mma-kling.js";
 
 import {
+  MMA_COSTS,
   resolveStillLaneFromInputs,
+  resolveStillEngine,
   stillCostForLane,
   stillResolutionMeta,
   resolveAppliedStillResolution,
   resolveVideoPricing,
   videoCostFromInputs,
-  ensureEnoughCredits,
+  reserveGenerationCredits,
+  releaseGenerationCredits,
+  captureGenerationCredits,
   preflightTypeForMe,
+  readMmaPreferences,
+  buildInsufficientCreditsDetails,
 } from "./mma-credits.js";
 
 import {
@@ -46,12 +52,9 @@ import {
   ensureSessionForHistory,
 } from "./mma-db.js";
 
-import {
-  runStillCreatePipeline,
-  runStillTweakPipeline,
-  runVideoAnimatePipeline,
-  runVideoTweakPipeline,
-} from "./mma-pipelines.js";
+import { enqueueMmaJob, cancelMmaJob, fetchJobProviderTask } from "./mma-jobs.js";
+import { refundCancelledGeneration } from "./mma-cancel.js";
+import { estimateUgcShots, ugcCostForShots } from "./mma-ugc-pipeline.js";
 
 const REPLICATE_CALL_TIMEOUT_MS = Number(process.env.MMA_REPLICATE_CALL_TIMEOUT_MS || 15000) || 15000;
 
@@ -77,74 +80,83 @@ export async function handleMmaStillTweak({ parentGenerationId, body }) {
 
   const requestedLane = resolveStillLaneFromInputs(body?.inputs || {});
   const stillCost = stillCostForLane(requestedLane);
-  await ensureEnoughCredits(passId, stillCost, { lane: requestedLane });
 
   const generationId = newUuid();
-
-  const { preferences } = await ensureCustomerRow(supabase, passId, {
-    shopifyCustomerId: body?.customer_id,
-    userId: body?.user_id,
-    email: body?.email,
+  await reserveGenerationCredits({
+    passId,
+    generationId,
+    cost: stillCost,
+    reason: requestedLane === "niche" ? "mma_still_niche" : "mma_still",
+    lane: requestedLane,
   });
 
-  const vars = makeInitialVars({
-    mode: "still",
-    assets: body?.assets || {},
-    history: body?.history || {},
-    inputs: body?.inputs || {},
-    settings: body?.settings || {},
-    feedback: body?.feedback || {},
-    prompts: body?.prompts || {},
-  });
+  try {
+    await ensureCustomerRow(supabase, passId, {
+      shopifyCustomerId: body?.customer_id,
+      userId: body?.user_id,
+      email: body?.email,
+    });
 
-  const parentAspectRatio = safeStr(
-    parent?.mg_mma_vars?.inputs?.aspect_ratio || parent?.mg_mma_vars?.inputs?.aspectRatio,
-    ""
-  );
-  if (!safeStr(vars?.inputs?.aspect_ratio, "") && parentAspectRatio) {
-    vars.inputs = { ...(vars.inputs || {}), aspect_ratio: parentAspectRatio };
-  }
+    const vars = makeInitialVars({
+      mode: "still",
+      assets: body?.assets || {},
+      history: body?.history || {},
+      inputs: body?.inputs || {},
+      settings: body?.settings || {},
+      feedback: body?.feedback || {},
+      prompts: body?.prompts || {},
+    });
 
-  const appliedResolution = resolveAppliedStillResolution(body?.inputs || {});
-  vars.inputs = { ...(vars.inputs || {}), ...stillResolutionMeta(appliedResolution) };
-  vars.meta = { ...(vars.meta || {}), ...stillResolutionMeta(appliedResolution) };
+    const parentAspectRatio = safeStr(
+      parent?.mg_mma_vars?.inputs?.aspect_ratio || parent?.mg_mma_vars?.inputs?.aspectRatio,
+      ""
+    );
+    if (!safeStr(vars?.inputs?.aspect_ratio, "") && parentAspectRatio) {
+      vars.inputs = { ...(vars.inputs || {}), aspect_ratio: parentAspectRatio };
+    }
 
-  vars.mg_pass_id = passId;
+    const appliedResolution = resolveAppliedStillResolution(body?.inputs || {});
+    vars.inputs = { ...(vars.inputs || {}), ...stillResolutionMeta(appliedResolution) };
+    vars.meta = { ...(vars.meta || {}), ...stillResolutionMeta(appliedResolution) };
 
-  const sessionId =
-    safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
-    safeStr(parent?.mg_session_id, "") ||
-    newUuid();
+    vars.mg_pass_id = passId;
 
-  const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
-  const title = safeStr(body?.title || body?.inputs?.title, "") || safeStr(parent?.mg_title, "") || "Image session";
+    const sessionId =
+      safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
+      safeStr(parent?.mg_session_id, "") ||
+      newUuid();
 
-  vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
-  vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
+    const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
+    const title = safeStr(body?.title || body?.inputs?.title, "") || safeStr(parent?.mg_title, "") || "Image session";
 
-  await ensureSessionForHistory({
-    passId,
-    sessionId,
-    platform,
-    title,
-    meta: { source: "mma", flow: "still_tweak" },
-  });
+    vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
+    vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
 
-  vars.meta = { ...(vars.meta || {}), flow: "still_tweak", parent_generation_id: parentGenerationId };
-  vars.inputs = { ...(vars.inputs || {}), parent_output_url: parent?.mg_output_url || null };
+    await ensureSessionForHistory({
+      passId,
+      sessionId,
+      platform,
+      title,
+      meta: { source: "mma", flow: "still_tweak" },
+    });
 
-  await writeGeneration({
-    supabase,
-    generationId,
-    parentId: parentGenerationId,
-    passId,
-    vars,
-    mode: "still",
-  });
+    vars.meta = { ...(vars.meta || {}), flow: "still_tweak", parent_generation_id: parentGenerationId };
+    vars.inputs = { ...(vars.inputs || {}), parent_output_url: parent?.mg_output_url || null };
+
+    await writeGeneration({
+      supabase,
+      generationId,
+      parentId: parentGenerationId,
+      passId,
+      vars,
+      mode: "still",
+    });
 
-  runStillTweakPipeline({ supabase, generationId, passId, parent, vars, preferences }).catch((e) =>
-    console.error("[mma] still tweak pipeline error", e)
-  );
+    await enqueueMmaJob({ supabase, generationId, passId, flow: "still_tweak", parentGenerationId });
+  } catch (e) {
+    await releaseGenerationCredits({ generationId });
+    throw e;
+  }
 
   return { generation_id: generationId, status: "queued", sse_url: `/mma/stream/${generationId}` };
 }
@@ -174,68 +186,71 @@ export async function handleMmaVideoTweak({ parentGenerationId, body }) {
   const mergedAssets0 = { ...(parentVars?.assets || {}), ...(body?.assets || {}) };
 
   const needed = videoCostFromInputs(mergedInputs0, mergedAssets0);
-  await ensureEnoughCredits(passId, needed, { lane: "video" });
 
   const generationId = newUuid();
+  await reserveGenerationCredits({ passId, generationId, cost: needed, reason: "mma_video", lane: "video" });
 
-  await ensureCustomerRow(supabase, passId, {
-    shopifyCustomerId: body?.customer_id,
-    userId: body?.user_id,
-    email: body?.email,
-  });
+  try {
+    await ensureCustomerRow(supabase, passId, {
+      shopifyCustomerId: body?.customer_id,
+      userId: body?.user_id,
+      email: body?.email,
+    });
 
-  const vars = makeInitialVars({
-    mode: "video",
-    assets: body?.assets || {},
-    history: body?.history || {},
-    inputs: body?.inputs || {},
-    settings: body?.settings || {},
-    feedback: body?.feedback || {},
-    prompts: body?.prompts || {},
-  });
+    const vars = makeInitialVars({
+      mode: "video",
+      assets: body?.assets || {},
+      history: body?.history || {},
+      inputs: body?.inputs || {},
+      settings: body?.settings || {},
+      feedback: body?.feedback || {},
+      prompts: body?.prompts || {},
+    });
 
-  vars.mg_pass_id = passId;
+    vars.mg_pass_id = passId;
 
-  const sessionId =
-    safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
-    safeStr(parent?.mg_session_id, "") ||
-    newUuid();
+    const sessionId =
+      safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
+      safeStr(parent?.mg_session_id, "") ||
+      newUuid();
 
-  const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
-  const title = safeStr(body?.title || body?.inputs?.title, "") || safeStr(parent?.mg_title, "") || "Video session";
+    const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
+    const title = safeStr(body?.title || body?.inputs?.title, "") || safeStr(parent?.mg_title, "") || "Video session";
 
-  vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
-  vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
+    vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
+    vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
 
-  await ensureSessionForHistory({
-    passId,
-    sessionId,
-    platform,
-    title,
-    meta: { source: "mma", flow: "video_tweak" },
-  });
+    await ensureSessionForHistory({
+      passId,
+      sessionId,
+      platform,
+      title,
+      meta: { source: "mma", flow: "video_tweak" },
+    });
 
-  vars.meta = { ...(vars.meta || {}), flow: "video_tweak", parent_generation_id: parentGenerationId };
-  vars.inputs = { ...(vars.inputs || {}), parent_generation_id: parentGenerationId };
+    vars.meta = { ...(vars.meta || {}), flow: "video_tweak", parent_generation_id: parentGenerationId };
+    vars.inputs = { ...(vars.inputs || {}), parent_generation_id: parentGenerationId };
 
-  const parentStart = asHttpUrl(parentVars?.inputs?.start_image_url || parentVars?.inputs?.startImageUrl);
-  const parentEnd = asHttpUrl(parentVars?.inputs?.end_image_url || parentVars?.inputs?.endImageUrl);
+    const parentStart = asHttpUrl(parentVars?.inputs?.start_image_url || parentVars?.inputs?.startImageUrl);
+    const parentEnd = asHttpUrl(parentVars?.inputs?.end_image_url || parentVars?.inputs?.endImageUrl);
 
-  if (parentStart) vars.inputs.start_image_url = parentStart;
-  if (parentEnd) vars.inputs.end_image_url = parentEnd;
+    if (parentStart) vars.inputs.start_image_url = parentStart;
+    if (parentEnd) vars.inputs.end_image_url = parentEnd;
 
-  await writeGeneration({
-    supabase,
-    generationId,
-    parentId: parentGenerationId,
-    passId,
-    vars,
-    mode: "video",
-  });
+    await writeGeneration({
+      supabase,
+      generationId,
+      parentId: parentGenerationId,
+      passId,
+      vars,
+      mode: "video",
+    });
 
-  runVideoTweakPipeline({ supabase, generationId, passId, parent, vars }).catch((err) => {
-    console.error("[mma] video tweak pipeline error", err);
-  });
+    await enqueueMmaJob({ supabase, generationId, passId, flow: "video_tweak", parentGenerationId });
+  } catch (e) {
+    await releaseGenerationCredits({ generationId });
+    throw e;
+  }
 
   return { generation_id: generationId, status: "queued", sse_url: `/mma/stream/${generationId}` };
 }
@@ -266,102 +281,209 @@ export async function handleMmaCreate({ mode, body }) {
     inputs.use_suggestion === true ||
     inputs.useSuggestion === true;
 
+  const generationId = newUuid();
+
   if (mode === "video" && suggestOnly && typeForMe) {
     await preflightTypeForMe({ supabase, passId });
   } else if (mode === "video") {
     const neededVideo = videoCostFromInputs(body?.inputs || {}, body?.assets || {});
-    await ensureEnoughCredits(passId, neededVideo, { lane: "video" });
+    await reserveGenerationCredits({ passId, generationId, cost: neededVideo, reason: "mma_video", lane: "video" });
   } else {
     const requestedLane = resolveStillLaneFromInputs(body?.inputs || {});
     const stillCost = stillCostForLane(requestedLane);
-    await ensureEnoughCredits(passId, stillCost, { lane: requestedLane });
+    await reserveGenerationCredits({
+      passId,
+      generationId,
+      cost: stillCost,
+      reason: requestedLane === "niche" ? "mma_still_niche" : "mma_still",
+      lane: requestedLane,
+    });
   }
 
-  const generationId = newUuid();
+  try {
+    await ensureCustomerRow(supabase, passId, {
+      shopifyCustomerId: body?.customer_id,
+      userId: body?.user_id,
+      email: body?.email,
+    });
 
-  const { preferences } = await ensureCustomerRow(supabase, passId, {
-    shopifyCustomerId: body?.customer_id,
-    userId: body?.user_id,
-    email: body?.email,
-  });
+    const vars = makeInitialVars({
+      mode,
+      assets: body?.assets || {},
+      history: body?.history || {},
+      inputs: body?.inputs || {},
+      settings: body?.settings || {},
+      feedback: body?.feedback || {},
+      prompts: body?.prompts || {},
+    });
 
-  const vars = makeInitialVars({
-    mode,
-    assets: body?.assets || {},
-    history: body?.history || {},
-    inputs: body?.inputs || {},
-    settings: body?.settings || {},
-    feedback: body?.feedback || {},
-    prompts: body?.prompts || {},
-  });
+    if (mode === "still") {
+      const appliedResolution = resolveAppliedStillResolution(body?.inputs || {});
+      vars.inputs = { ...(vars.inputs || {}), ...stillResolutionMeta(appliedResolution) };
+      vars.meta = { ...(vars.meta || {}), ...stillResolutionMeta(appliedResolution) };
+    }
 
-  if (mode === "still") {
-    const appliedResolution = resolveAppliedStillResolution(body?.inputs || {});
-    vars.inputs = { ...(vars.inputs || {}), ...stillResolutionMeta(appliedResolution) };
-    vars.meta = { ...(vars.meta || {}), ...stillResolutionMeta(appliedResolution) };
-  }
+    vars.mg_pass_id = passId;
 
-  vars.mg_pass_id = passId;
+    const parent = parentId ? await fetchParentGenerationRow(supabase, parentId).catch(() => null) : null;
 
-  const parent = parentId ? await fetchParentGenerationRow(supabase, parentId).catch(() => null) : null;
+    const sessionId =
+      safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
+      safeStr(parent?.mg_session_id, "") ||
+      newUuid();
 
-  const sessionId =
-    safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
-    safeStr(parent?.mg_session_id, "") ||
-    newUuid();
+    const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
 
-  const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
+    const title =
+      safeStr(body?.title || body?.inputs?.title, "") ||
+      safeStr(parent?.mg_title, "") ||
+      (mode === "video" ? "Video session" : "Image session");
 
-  const title =
-    safeStr(body?.title || body?.inputs?.title, "") ||
-    safeStr(parent?.mg_title, "") ||
-    (mode === "video" ? "Video session" : "Image session");
+    vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
+    vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
 
-  vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
-  vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
+    await ensureSessionForHistory({
+      passId,
+      sessionId,
+      platform,
+      title,
+      meta: { source: "mma", flow: mode === "video" ? "video_animate" : "still_create" },
+    });
 
-  await ensureSessionForHistory({
-    passId,
-    sessionId,
-    platform,
-    title,
-    meta: { source: "mma", flow: mode === "video" ? "video_animate" : "still_create" },
-  });
+    await writeGeneration({ supabase, generationId, parentId, passId, vars, mode });
+
+    if (mode === "still") {
+      vars.meta = { ...(vars.meta || {}), flow: "still_create" };
+      await updateVars({ supabase, generationId, vars });
+
+      await enqueueMmaJob({ supabase, generationId, passId, flow: "still_create" });
+    } else if (mode === "video") {
+      vars.meta = { ...(vars.meta || {}), flow: "video_animate", parent_generation_id: parentId || null };
+
+      if (parent?.mg_output_url) {
+        vars.inputs = { ...(vars.inputs || {}), parent_output_url: parent.mg_output_url };
+      }
+
+      await updateVars({ supabase, generationId, vars });
+
+      await enqueueMmaJob({ supabase, generationId, passId, flow: "video_animate", parentGenerationId: parentId });
+    } else {
+      await releaseGenerationCredits({ generationId, reason: "bad_mode" });
+      await updateStatus({ supabase, generationId, status: "error" });
+      await supabase
+        .from("mega_generations")
+        .update({
+          mg_error: { code: "BAD_MODE", message: `Unsupported mode: ${mode}` },
+          mg_updated_at: nowIso(),
+        })
+        .eq("mg_generation_id", generationId)
+        .eq("mg_record_type", "generation");
+    }
+  } catch (e) {
+    await releaseGenerationCredits({ generationId });
+    throw e;
+  }
 
-  await writeGeneration({ supabase, generationId, parentId, passId, vars, mode });
+  return { generation_id: generationId, status: "queued", sse_url: `/mma/stream/${generationId}` };
+}
 
-  if (mode === "still") {
-    vars.meta = { ...(vars.meta || {}), flow: "still_create" };
-    await updateVars({ supabase, generationId, vars });
+// ============================================================================
+// quoteMma
+// ============================================================================
+// Prices a request exactly like the create/tweak/ugc handlers would, without
+// writing anything. `flow` picks the route; otherwise `mode` (still/video/ugc).
+const QUOTE_FLOWS = new Set(["still_create", "still_tweak", "video_animate", "video_tweak", "ugc"]);
 
-    runStillCreatePipeline({ supabase, generationId, passId, vars, preferences }).catch((err) =>
-      console.error("[mma] still create pipeline error", err)
-    );
-  } else if (mode === "video") {
-    vars.meta = { ...(vars.meta || {}), flow: "video_animate", parent_generation_id: parentId || null };
+function resolveQuoteFlow(body) {
+  const flow = safeStr(body?.flow, "").toLowerCase();
+  if (QUOTE_FLOWS.has(flow)) return flow;
 
-    if (parent?.mg_output_url) {
-      vars.inputs = { ...(vars.inputs || {}), parent_output_url: parent.mg_output_url };
+  const mode = safeStr(body?.mode, "still").toLowerCase();
+  if (mode === "ugc") return "ugc";
+  return mode === "video" ? "video_animate" : "still_create";
+}
+
+export async function quoteMma({ body }) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const passId =
+    body?.passId ||
+    body?.pass_id ||
+    computePassId({
+      shopifyCustomerId: body?.customer_id,
+      userId: body?.user_id,
+      email: body?.email,
+    });
+
+  const flow = resolveQuoteFlow(body);
+  let inputs = body?.inputs && typeof body.inputs === "object" ? body.inputs : {};
+  let assets = body?.assets && typeof body.assets === "object" ? body.assets : {};
+
+  if (flow === "still_tweak" || flow === "video_tweak") {
+    const parentGenerationId = safeStr(body?.parent_generation_id || body?.parentGenerationId || body?.generation_id, "");
+    const parent = parentGenerationId ? await fetchParentGenerationRow(supabase, parentGenerationId) : null;
+    if (!parent) {
+      const err = new Error("PARENT_GENERATION_NOT_FOUND");
+      err.statusCode = 404;
+      throw err;
     }
 
-    await updateVars({ supabase, generationId, vars });
+    // video tweak prices the parent's inputs with the new ones on top
+    if (flow === "video_tweak") {
+      const parentVars = parent?.mg_mma_vars && typeof parent.mg_mma_vars === "object" ? parent.mg_mma_vars : {};
+      inputs = { ...(parentVars?.inputs || {}), ...inputs };
+      assets = { ...(parentVars?.assets || {}), ...assets };
+    }
+  }
 
-    runVideoAnimatePipeline({ supabase, generationId, passId, parent, vars }).catch((err) =>
-      console.error("[mma] video animate pipeline error", err)
-    );
+  const quote = { flow, mode: flow === "ugc" || flow.startsWith("video") ? "video" : "still" };
+  let lane = flow === "ugc" ? "ugc" : "video";
+
+  if (quote.mode === "still") {
+    lane = resolveStillLaneFromInputs(inputs);
+    quote.cost = stillCostForLane(lane);
+    quote.lane = lane;
+    quote.engine = resolveStillEngine({ inputs });
+    quote.resolution = resolveAppliedStillResolution(inputs);
+  } else if (flow === "ugc") {
+    const { targetDuration, shots } = estimateUgcShots(inputs);
+    quote.cost = ugcCostForShots(shots);
+    quote.shots = shots;
+    quote.target_duration = targetDuration;
   } else {
-    await updateStatus({ supabase, generationId, status: "error" });
-    await supabase
-      .from("mega_generations")
-      .update({
-        mg_error: { code: "BAD_MODE", message: `Unsupported mode: ${mode}` },
-        mg_updated_at: nowIso(),
-      })
-      .eq("mg_generation_id", generationId)
-      .eq("mg_record_type", "generation");
+    const suggestOnly = inputs.suggest_only === true || inputs.suggestOnly === true;
+    const typeForMe =
+      inputs.type_for_me === true ||
+      inputs.typeForMe === true ||
+      inputs.use_suggestion === true ||
+      inputs.useSuggestion === true;
+
+    if (flow === "video_animate" && suggestOnly && typeForMe) {
+      // type-for-me only charges every Nth success
+      const prefs = await readMmaPreferences(supabase, passId);
+      const next = (Number(prefs?.type_for_me_success_count || 0) || 0) + 1;
+      quote.cost = next % MMA_COSTS.typeForMePer === 0 ? MMA_COSTS.typeForMeCharge : 0;
+      quote.type_for_me = true;
+    } else {
+      quote.cost = videoCostFromInputs(inputs, assets);
+      quote.pricing = resolveVideoPricing(inputs, assets);
+    }
   }
 
-  return { generation_id: generationId, status: "queued", sse_url: `/mma/stream/${generationId}` };
+  const { credits, held, available } = await megaGetAvailableCredits(passId);
+  const affordable = available >= quote.cost;
+
+  return {
+    ok: true,
+    passId,
+    ...quote,
+    balance: credits,
+    held,
+    available,
+    affordable,
+    details: affordable ? undefined : buildInsufficientCreditsDetails({ balance: available, needed: quote.cost, lane }),
+  };
 }
 
 // ============================================================================
@@ -431,13 +553,41 @@ export async function handleMmaEvent(body) {
 // ============================================================================
 // refreshFromReplicate
 // ============================================================================
+// Same guards as finalizeGeneration: a cancelled (already refunded) generation
+// stays cancelled, and the submit hold is captured only when the row turns done.
+async function markRefreshedDone({ supabase, generationId, url, vars }) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .update({
+      mg_output_url: url,
+      mg_status: "done",
+      mg_mma_status: "done",
+      mg_mma_vars: vars,
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_generation_id", generationId)
+    .eq("mg_record_type", "generation")
+    .neq("mg_mma_status", "cancelled")
+    .select("mg_id");
+
+  if (error) throw error;
+  if (!Array.isArray(data) || !data.length) return false;
+
+  try {
+    await captureGenerationCredits({ generationId });
+  } catch (e) {
+    console.error("[mma] capture failed, left to the reaper's hold sweep", generationId, e?.message || e);
+  }
+  return true;
+}
+
 export async function refreshFromReplicate({ generationId, passId }) {
   const supabase = getSupabaseAdmin();
   if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
 
   const { data, error } = await supabase
     .from("mega_generations")
-    .select("mg_pass_id, mg_mma_mode, mg_output_url, mg_prompt, mg_mma_vars")
+    .select("mg_pass_id, mg_mma_mode, mg_mma_status, mg_output_url, mg_prompt, mg_mma_vars")
     .eq("mg_generation_id", generationId)
     .eq("mg_record_type", "generation")
     .maybeSingle();
@@ -449,6 +599,10 @@ export async function refreshFromReplicate({ generationId, passId }) {
     return { ok: false, error: "FORBIDDEN" };
   }
 
+  if (data.mg_mma_status === "cancelled") {
+    return { ok: false, error: "CANCELLED" };
+  }
+
   if (data.mg_output_url) {
     return { ok: true, refreshed: false, alreadyDone: true, url: data.mg_output_url };
   }
@@ -457,27 +611,44 @@ export async function refreshFromReplicate({ generationId, passId }) {
   const mode = String(data.mg_mma_mode || "");
   const outputs = vars.outputs && typeof vars.outputs === "object" ? vars.outputs : {};
 
+  // UGC output is a stitch of many shots; a single provider task can't finish it.
+  if (safeStr(vars?.meta?.flow, "") === "ugc") {
+    return { ok: false, error: "UGC_NOT_REFRESHABLE" };
+  }
+
+  // Task ids reported at submit time live on the job row (see mma-jobs), so a
+  // process that died mid-poll is still recoverable.
+  const jobTask = await fetchJobProviderTask(supabase, generationId).catch(() => null);
+
   // VIDEO = direct Kling
   if (mode === "video") {
-    const omniTaskId =
-      outputs.kling_motion_control_prediction_id ||
-      outputs.klingMotionControlPredictionId ||
-      "";
-
-    const image2videoTaskId =
-      outputs.kling_prediction_id ||
-      outputs.klingPredictionId ||
-      "";
+    const motionTaskId = safeStr(
+      outputs.kling_motion_control_prediction_id || outputs.klingMotionControlPredictionId,
+      ""
+    );
+    const klingTaskId = safeStr(outputs.kling_prediction_id || outputs.klingPredictionId, "");
+
+    // Omni, Omni-audio and Motion Control all run on omni-video; only the
+    // plain "kling" engine uses image2video.
+    const engine = safeStr(vars?.meta?.video_engine, "");
+    const isOmni = !!motionTaskId || engine.startsWith("kling_omni") || engine === "kling_motion_control";
+
+    let taskId = motionTaskId || klingTaskId;
+    let queryPath = taskId
+      ? isOmni
+        ? `/v1/videos/omni-video/${encodeURIComponent(taskId)}`
+        : `/v1/videos/image2video/${encodeURIComponent(taskId)}`
+      : "";
+
+    if (!taskId && jobTask?.provider === "kling" && jobTask.task_id && jobTask.query_path) {
+      taskId = safeStr(jobTask.task_id, "");
+      queryPath = jobTask.query_path;
+    }
 
-    const taskId = safeStr(omniTaskId || image2videoTaskId, "");
     if (!taskId) {
       return { ok: false, error: "NO_TASK_ID" };
     }
 
-    const queryPath = omniTaskId
-      ? `/v1/videos/omni-video/${encodeURIComponent(taskId)}`
-      : `/v1/videos/image2video/${encodeURIComponent(taskId)}`;
-
     const final = await klingRequestJson(queryPath, {
       method: "GET",
       timeoutMs: REPLICATE_CALL_TIMEOUT_MS,
@@ -494,22 +665,16 @@ export async function refreshFromReplicate({ generationId, passId }) {
       };
     }
 
-    const remoteUrl = await storeRemoteToR2Public(url, `mma/video/${generationId}`);
+    const remoteUrl = await storeRemoteToR2Public(url, `mma/video/${generationId}`, {
+      generationId,
+      engine: safeStr(vars?.meta?.video_engine, "kling"),
+    });
 
     const nextVars = { ...vars, mg_output_url: remoteUrl };
     nextVars.outputs = { ...(nextVars.outputs || {}), kling_video_url: remoteUrl };
 
-    await supabase
-      .from("mega_generations")
-      .update({
-        mg_output_url: remoteUrl,
-        mg_status: "done",
-        mg_mma_status: "done",
-        mg_mma_vars: nextVars,
-        mg_updated_at: nowIso(),
-      })
-      .eq("mg_generation_id", generationId)
-      .eq("mg_record_type", "generation");
+    const done = await markRefreshedDone({ supabase, generationId, url: remoteUrl, vars: nextVars });
+    if (!done) return { ok: false, error: "CANCELLED" };
 
     return {
       ok: true,
@@ -525,6 +690,7 @@ export async function refreshFromReplicate({ generationId, passId }) {
     outputs.nanobananaPredictionId ||
     outputs.seedream_prediction_id ||
     outputs.seedreamPredictionId ||
+    (jobTask?.provider === "replicate" ? jobTask.task_id : "") ||
     "";
 
   if (!predictionId) {
@@ -540,30 +706,106 @@ export async function refreshFromReplicate({ generationId, passId }) {
     return { ok: true, refreshed: false, provider_status: providerStatus };
   }
 
-  const remoteUrl = await storeRemoteToR2Public(url, `mma/still/${generationId}`);
+  const stillEngine = safeStr(vars?.meta?.still_engine, "");
+  const isNanobanana = !!(outputs.nanobanana_prediction_id || outputs.nanobananaPredictionId || stillEngine === "nanobanana");
+  const remoteUrl = await storeRemoteToR2Public(url, `mma/still/${generationId}`, {
+    generationId,
+    engine: stillEngine || (isNanobanana ? "nanobanana" : "seedream"),
+  });
 
   const nextVars = { ...vars, mg_output_url: remoteUrl };
   nextVars.outputs = { ...(nextVars.outputs || {}) };
 
-  if (outputs.nanobanana_prediction_id || outputs.nanobananaPredictionId) {
+  if (isNanobanana) {
     nextVars.outputs.nanobanana_image_url = remoteUrl;
   } else {
     nextVars.outputs.seedream_image_url = remoteUrl;
   }
 
-  await supabase
+  const done = await markRefreshedDone({ supabase, generationId, url: remoteUrl, vars: nextVars });
+  if (!done) return { ok: false, error: "CANCELLED" };
+
+  return { ok: true, refreshed: true, provider_status: providerStatus, url: remoteUrl };
+}
+
+// ============================================================================
+// cancelGeneration
+// ============================================================================
+const CANCELLABLE_STATUSES = ["queued", "scanning", "prompting", "planning", "generating", "stitching", "postscan"];
+
+export async function cancelGeneration({ generationId, passId }) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_pass_id, mg_mma_status, mg_mma_vars")
+    .eq("mg_generation_id", generationId)
+    .eq("mg_record_type", "generation")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return { ok: false, error: "NOT_FOUND" };
+
+  if (passId && data.mg_pass_id && String(passId) !== String(data.mg_pass_id)) {
+    return { ok: false, error: "FORBIDDEN" };
+  }
+
+  const ownerPassId = data.mg_pass_id || passId;
+  const flow = safeStr(data?.mg_mma_vars?.meta?.flow, "");
+
+  // Conditional flip so a pipeline finishing at the same moment wins or loses cleanly.
+  const { data: flipped, error: flipErr } = await supabase
     .from("mega_generations")
     .update({
-      mg_output_url: remoteUrl,
-      mg_status: "done",
-      mg_mma_status: "done",
-      mg_mma_vars: nextVars,
+      mg_status: "cancelled",
+      mg_mma_status: "cancelled",
+      mg_error: { code: "CANCELLED", message: "Cancelled by user" },
       mg_updated_at: nowIso(),
     })
     .eq("mg_generation_id", generationId)
-    .eq("mg_record_type", "generation");
+    .eq("mg_record_type", "generation")
+    .in("mg_mma_status", CANCELLABLE_STATUSES)
+    .select("mg_id");
 
-  return { ok: true, refreshed: true, provider_status: providerStatus, url: remoteUrl };
+  if (flipErr) throw flipErr;
+  if (!Array.isArray(flipped) || !flipped.length) {
+    return { ok: false, error: "NOT_CANCELLABLE", status: data.mg_mma_status || null };
+  }
+
+  const { abortedLocally } = await cancelMmaJob({ supabase, generationId });
+
+  let refund = null;
+  try {
+    refund = await refundCancelledGeneration({ supabase, generationId, passId: ownerPassId, flow });
+  } catch (e) {
+    console.warn("[mma] cancel refund failed", generationId, e?.message || e);
+  }
+
+  try {
+    await supabase.from("mega_generations").insert({
+      ...eventIdentifiers(newUuid()),
+      mg_generation_id: generationId,
+      mg_pass_id: ownerPassId,
+      mg_parent_id: `generation:${generationId}`,
+      mg_meta: { event_type: "cancel", payload: { flow: flow || null, refund } },
+      mg_created_at: nowIso(),
+      mg_updated_at: nowIso(),
+    });
+  } catch {}
+
+  sendStatus(generationId, "cancelled");
+  sendDone(generationId, "cancelled");
+
+  return {
+    ok: true,
+    generation_id: generationId,
+    status: "cancelled",
+    aborted_locally: abortedLocally,
+    refunded: refund?.refunded ? refund.cost : 0,
+    charged: refund?.charged || 0,
+    rendered_shots: refund?.renderedShots || 0,
+  };
 }
 
 // ============================================================================
@@ -768,7 +1010,8 @@ export function createMmaController() {
     const internal = String(data?.mg_mma_status || "queued");
     const statusText = internal;
 
-    registerSseClient(req.params.generation_id, res, { scanLines, status: statusText });
+    const lastEventId = parseLastEventId(req.get("Last-Event-ID") ?? req.query.lastEventId);
+    registerSseClient(req.params.generation_id, res, { scanLines, status: statusText, lastEventId });
 
     const TERMINAL = new Set(["done", "error", "suggested"]);
     if (TERMINAL.has(internal)) {
@@ -70,6 +70,14 @@ export function withKlingImageSizing(u) {
   }
 }
 
+// Strictly increasing ms clock (per process). Doubles as the SSE event id, so
+// a scan line's stored `at` is also the id its frame went out with.
+let lastEventMs = 0;
+export function nextEventId() {
+  lastEventMs = Math.max(Date.now(), lastEventMs + 1);
+  return lastEventMs;
+}
+
 export function pushUserMessageLine(vars, text) {
   const t = safeStr(text, "");
   if (!t) return vars;
@@ -77,7 +85,7 @@ export function pushUserMessageLine(vars, text) {
   next.userMessages = { ...(next.userMessages || {}) };
   const prev = Array.isArray(next.userMessages.scan_lines) ? next.userMessages.scan_lines : [];
   const index = prev.length;
-  next.userMessages.scan_lines = [...prev, { text: t, index }];
+  next.userMessages.scan_lines = [...prev, { text: t, index, at: nextEventId() }];
   return next;
 }
 
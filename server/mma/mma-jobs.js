@@ -0,0 +1,568 @@
+// server/mma/mma-jobs.js — Durable job queue for MMA pipelines (leases + heartbeat + resume)
+"use strict";
+
+import os from "node:os";
+import crypto from "node:crypto";
+
+import { getSupabaseAdmin } from "../../supabase.js";
+import { nowIso } from "./mma-utils.js";
+import { safeStr, asHttpUrl } from "./mma-helpers.js";
+import { sendDone, sendStatus } from "./mma-sse.js";
+import { chargedCostForGeneration, refundOnFailure } from "./mma-credits.js";
+import { fetchParentGenerationRow, ensureCustomerRow, updateStatus } from "./mma-db.js";
+import {
+  runStillCreatePipeline,
+  runStillTweakPipeline,
+  runVideoAnimatePipeline,
+  runVideoTweakPipeline,
+} from "./mma-pipelines.js";
+import { runUgcPipeline } from "./mma-ugc-pipeline.js";
+import { refreshFromReplicate } from "./mma-handlers.js";
+import {
+  runWithCancelScope,
+  abortGeneration,
+  isCancelledError,
+  refundCancelledGeneration,
+} from "./mma-cancel.js";
+
+// ============================================================================
+// Config
+// ============================================================================
+// Jobs live in mega_generations as mg_record_type="mma_job", one per generation:
+//   mg_id = "mma_job:<generation_id>", mg_status = queued/running/done/error/cancelled
+//   mg_meta = { flow, parent_generation_id, attempts, lease_owner, lease_expires_at,
+//               heartbeat_at, started_at, last_step, last_error, provider_task }
+// Claims are compare-and-swap on mg_updated_at so two workers never run the same job;
+// every later write by the worker (heartbeat, finish, requeue) only lands while
+// mg_meta.lease_owner is still this worker.
+const JOB_POLL_MS = Number(process.env.MMA_JOB_POLL_MS || 5000) || 5000;
+const JOB_LEASE_MS = Number(process.env.MMA_JOB_LEASE_MS || 60000) || 60000;
+const JOB_HEARTBEAT_MS = Number(process.env.MMA_JOB_HEARTBEAT_MS || 15000) || 15000;
+// jobs doing local work at once; jobs parked on a provider task don't count,
+// up to MMA_JOB_MAX_PARKED more per instance
+const JOB_CONCURRENCY = Number(process.env.MMA_JOB_CONCURRENCY || 4) || 4;
+const JOB_MAX_PARKED = Number(process.env.MMA_JOB_MAX_PARKED || 50) || 50;
+const JOB_MAX_ATTEMPTS = Number(process.env.MMA_JOB_MAX_ATTEMPTS || 3) || 3;
+const JOB_WORKER_ENABLED =
+  String(process.env.MMA_JOB_WORKER_ENABLED || "true").toLowerCase() !== "false";
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+const FLOWS = new Set(["still_create", "still_tweak", "video_animate", "video_tweak", "ugc"]);
+const TERMINAL_GENERATION_STATUSES = new Set(["done", "error", "suggested", "cancelled"]);
+
+export function jobIdentifiers(generationId) {
+  return {
+    mg_id: `mma_job:${generationId}`,
+    mg_generation_id: generationId,
+    mg_record_type: "mma_job",
+  };
+}
+
+function leaseExpiryIso() {
+  return new Date(Date.now() + JOB_LEASE_MS).toISOString();
+}
+
+export function isLeaseExpired(meta) {
+  const t = Date.parse(meta?.lease_expires_at || "");
+  return !Number.isFinite(t) || t <= Date.now();
+}
+
+// ============================================================================
+// Enqueue
+// ============================================================================
+export async function enqueueMmaJob({ supabase, generationId, passId, flow, parentGenerationId = null }) {
+  if (!FLOWS.has(flow)) throw new Error(`UNKNOWN_JOB_FLOW: ${flow}`);
+
+  const { error } = await supabase.from("mega_generations").insert({
+    ...jobIdentifiers(generationId),
+    mg_parent_id: `generation:${generationId}`,
+    mg_pass_id: passId || null,
+    mg_status: "queued",
+    mg_meta: {
+      flow,
+      parent_generation_id: parentGenerationId || null,
+      attempts: 0,
+      lease_owner: null,
+      lease_expires_at: null,
+      heartbeat_at: null,
+      last_step: null,
+      last_error: null,
+    },
+    mg_created_at: nowIso(),
+    mg_updated_at: nowIso(),
+  });
+
+  if (error) throw error;
+
+  // Same-process fast path: don't wait for the next poll tick.
+  if (JOB_WORKER_ENABLED) setImmediate(() => pollOnce().catch(() => {}));
+
+  return { jobId: `mma_job:${generationId}` };
+}
+
+// ============================================================================
+// Claim / heartbeat / complete
+// ============================================================================
+// Queued jobs, plus running ones whose lease ran out (filtered in SQL so live
+// running jobs at the head of the queue never crowd out the claimable ones).
+// ISO timestamps compare correctly as text.
+async function listClaimableJobs(supabase) {
+  const now = nowIso();
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_generation_id, mg_pass_id, mg_status, mg_meta, mg_updated_at")
+    .eq("mg_record_type", "mma_job")
+    .or(
+      `mg_status.eq.queued,and(mg_status.eq.running,or(mg_meta->>lease_expires_at.is.null,mg_meta->>lease_expires_at.lt."${now}"))`
+    )
+    .order("mg_created_at", { ascending: true })
+    .limit(25);
+
+  if (error) throw error;
+
+  return (data || []).filter((row) => row.mg_status === "queued" || isLeaseExpired(row.mg_meta));
+}
+
+async function claimJob(supabase, row) {
+  const meta = row.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+  const nextMeta = {
+    ...meta,
+    attempts: (Number(meta.attempts || 0) || 0) + 1,
+    lease_owner: WORKER_ID,
+    lease_expires_at: leaseExpiryIso(),
+    heartbeat_at: nowIso(),
+    // start of this attempt; the reaper measures its timeouts from here
+    started_at: nowIso(),
+  };
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .update({ mg_status: "running", mg_meta: nextMeta, mg_updated_at: nowIso() })
+    .eq("mg_id", row.mg_id)
+    .eq("mg_updated_at", row.mg_updated_at)
+    .select("mg_id");
+
+  if (error) throw error;
+  if (!Array.isArray(data) || data.length !== 1) return null;
+
+  return { ...row, mg_status: "running", mg_meta: nextMeta, resumed: Number(meta.attempts || 0) > 0 };
+}
+
+async function readLastStep(supabase, generationId) {
+  const { data } = await supabase
+    .from("mega_generations")
+    .select("mg_step_no, mg_step_type")
+    .eq("mg_record_type", "mma_step")
+    .eq("mg_generation_id", generationId)
+    .order("mg_step_no", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return data ? { step_no: data.mg_step_no, step_type: data.mg_step_type } : null;
+}
+
+// Compare-and-swap on the lease owner: a worker whose lease was taken over
+// writes nothing. → false when the lease is no longer ours.
+async function patchJobMeta(supabase, job, patch, extra = {}) {
+  const nextMeta = { ...(job.mg_meta || {}), ...patch };
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .update({ ...extra, mg_meta: nextMeta, mg_updated_at: nowIso() })
+    .eq("mg_id", job.mg_id)
+    .eq("mg_record_type", "mma_job")
+    .eq("mg_meta->>lease_owner", WORKER_ID)
+    .select("mg_id");
+
+  if (error) throw error;
+  if (!Array.isArray(data) || data.length !== 1) return false;
+  job.mg_meta = nextMeta;
+  return true;
+}
+
+function startHeartbeat(supabase, job) {
+  const id = setInterval(async () => {
+    try {
+      // cancel/reaper may have closed the row from another instance: the row is the source of truth
+      const gen = await fetchGenerationForJob(supabase, job.mg_generation_id);
+      if (gen?.mg_mma_status === "cancelled" || gen?.mg_mma_status === "error") {
+        abortGeneration(job.mg_generation_id);
+      }
+
+      const lastStep = await readLastStep(supabase, job.mg_generation_id);
+      const renewed = await patchJobMeta(supabase, job, {
+        lease_owner: WORKER_ID,
+        lease_expires_at: leaseExpiryIso(),
+        heartbeat_at: nowIso(),
+        last_step: lastStep || job.mg_meta?.last_step || null,
+      });
+      if (!renewed) {
+        // another worker claimed the job after our lease expired: it owns the result now
+        console.warn("[mma jobs] lease lost, stopping local run", job.mg_id);
+        clearInterval(id);
+        abortGeneration(job.mg_generation_id);
+      }
+    } catch (e) {
+      console.warn("[mma jobs] heartbeat failed", job.mg_id, e?.message || e);
+    }
+  }, JOB_HEARTBEAT_MS);
+
+  return () => clearInterval(id);
+}
+
+async function finishJob(supabase, job, status, lastError = null) {
+  const lastStep = await readLastStep(supabase, job.mg_generation_id).catch(() => null);
+  try {
+    const finished = await patchJobMeta(
+      supabase,
+      job,
+      {
+        lease_owner: null,
+        lease_expires_at: null,
+        last_step: lastStep || job.mg_meta?.last_step || null,
+        last_error: lastError,
+      },
+      { mg_status: status }
+    );
+    if (!finished) console.warn("[mma jobs] lease lost, not recording", status, job.mg_id);
+  } catch (e) {
+    console.warn("[mma jobs] finish failed", job.mg_id, e?.message || e);
+  }
+}
+
+// ============================================================================
+// Resume helpers
+// ============================================================================
+async function fetchGenerationForJob(supabase, generationId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_pass_id, mg_mma_status, mg_mma_vars, mg_output_url")
+    .eq("mg_generation_id", generationId)
+    .eq("mg_record_type", "generation")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+// Rendered UGC work survives restarts: reuse the stored plan + every shot already in R2.
+async function loadUgcResume(supabase, generationId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_step_type, mg_payload")
+    .eq("mg_record_type", "mma_step")
+    .eq("mg_generation_id", generationId)
+    .in("mg_step_type", ["ugc_plan", "ugc_shot_generate"]);
+
+  if (error) throw error;
+
+  let plan = null;
+  const clipUrls = {};
+
+  for (const step of data || []) {
+    const payload = step.mg_payload || {};
+    if (step.mg_step_type === "ugc_plan" && Array.isArray(payload?.output?.shots)) {
+      plan = payload.output;
+    } else if (step.mg_step_type === "ugc_shot_generate" && !payload.error) {
+      const url = asHttpUrl(payload.clip_url);
+      if (url && payload.shot_no) clipUrls[payload.shot_no] = url;
+    }
+  }
+
+  return plan ? { plan, clipUrls } : null;
+}
+
+// ============================================================================
+// Run
+// ============================================================================
+async function runJob(supabase, job) {
+  const generationId = job.mg_generation_id;
+  const meta = job.mg_meta || {};
+  const flow = safeStr(meta.flow, "");
+
+  const gen = await fetchGenerationForJob(supabase, generationId);
+  if (!gen) return finishJob(supabase, job, "error", "GENERATION_NOT_FOUND");
+
+  if (TERMINAL_GENERATION_STATUSES.has(String(gen.mg_mma_status || ""))) {
+    return finishJob(supabase, job, gen.mg_mma_status === "cancelled" ? "cancelled" : "done");
+  }
+
+  const passId = gen.mg_pass_id || job.mg_pass_id;
+  const vars = gen.mg_mma_vars && typeof gen.mg_mma_vars === "object" ? gen.mg_mma_vars : {};
+
+  // A crashed worker may have left a finished provider task behind: collect it instead of re-running.
+  if (job.resumed && flow !== "ugc") {
+    try {
+      const out = await refreshFromReplicate({ generationId, passId });
+      if (out?.refreshed || out?.alreadyDone) {
+        sendStatus(generationId, "done");
+        sendDone(generationId, "done");
+        return finishJob(supabase, job, "done");
+      }
+    } catch (e) {
+      console.warn("[mma jobs] resume refresh failed", generationId, e?.message || e);
+    }
+  }
+
+  const parentGenerationId = safeStr(meta.parent_generation_id || vars?.meta?.parent_generation_id, "");
+  const parent = parentGenerationId
+    ? await fetchParentGenerationRow(supabase, parentGenerationId).catch(() => null)
+    : null;
+
+  const { preferences } = await ensureCustomerRow(supabase, passId, {});
+
+  // Pipelines own their status/refund/SSE on failure and only throw before
+  // their try-block (e.g. MMA_DISABLED, INSUFFICIENT_CREDITS at charge time).
+  if (flow === "still_create") {
+    await runStillCreatePipeline({ supabase, generationId, passId, vars, preferences });
+  } else if (flow === "still_tweak") {
+    await runStillTweakPipeline({ supabase, generationId, passId, parent, vars, preferences });
+  } else if (flow === "video_animate") {
+    await runVideoAnimatePipeline({ supabase, generationId, passId, parent, vars });
+  } else if (flow === "video_tweak") {
+    await runVideoTweakPipeline({ supabase, generationId, passId, parent, vars });
+  } else if (flow === "ugc") {
+    const resume = job.resumed ? await loadUgcResume(supabase, generationId) : null;
+    await runUgcPipeline({ supabase, generationId, passId, vars, resume });
+  } else {
+    throw new Error(`UNKNOWN_JOB_FLOW: ${flow}`);
+  }
+
+  const after = await fetchGenerationForJob(supabase, generationId);
+  const finalStatus = String(after?.mg_mma_status || "");
+
+  if (finalStatus === "cancelled") {
+    // covers a charge that landed after the cancel route already refunded
+    await refundCancelledGeneration({ supabase, generationId, passId, flow }).catch((e) =>
+      console.warn("[mma jobs] cancel refund failed", generationId, e?.message || e)
+    );
+    return finishJob(supabase, job, "cancelled");
+  }
+
+  return finishJob(supabase, job, finalStatus === "error" ? "error" : "done");
+}
+
+async function failGeneration(supabase, job, err) {
+  const generationId = job.mg_generation_id;
+  const passId = job.mg_pass_id;
+
+  await updateStatus({ supabase, generationId, status: "error" });
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_error: {
+        code: err?.code || "JOB_FAILED",
+        message: err?.message || String(err || ""),
+        provider: err?.provider || null,
+      },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_generation_id", generationId)
+    .eq("mg_record_type", "generation");
+
+  try {
+    const cost = await chargedCostForGeneration(supabase, generationId);
+    await refundOnFailure({ supabase, passId, generationId, cost, err });
+  } catch (e) {
+    console.warn("[mma jobs] refund failed", generationId, e?.message || e);
+  }
+
+  sendStatus(generationId, "error");
+  sendDone(generationId, "error");
+}
+
+async function executeJob(supabase, job) {
+  const stopHeartbeat = startHeartbeat(supabase, job);
+
+  try {
+    await runWithCancelScope(job.mg_generation_id, () => runJob(supabase, job), {
+      onProviderTask: (task) =>
+        patchJobMeta(supabase, job, { provider_task: { ...task, created_at: nowIso() } }),
+      onParked: (isParked) => {
+        if (isParked) {
+          parked.add(job.mg_id);
+          // the slot is free while the provider works: let another job have it
+          setImmediate(() => pollOnce().catch(() => {}));
+        } else {
+          parked.delete(job.mg_id);
+        }
+      },
+    });
+  } catch (err) {
+    if (isCancelledError(err)) {
+      await finishJob(supabase, job, "cancelled").catch(() => {});
+      return;
+    }
+
+    console.error("[mma jobs] job failed", job.mg_id, err);
+
+    const attempts = Number(job.mg_meta?.attempts || 0) || 0;
+    const retryable = !err?.statusCode && attempts < JOB_MAX_ATTEMPTS;
+
+    if (retryable) {
+      // Back to the queue; the next claim resumes from what is already persisted.
+      await patchJobMeta(
+        supabase,
+        job,
+        { lease_owner: null, lease_expires_at: null, last_error: err?.message || String(err || "") },
+        { mg_status: "queued" }
+      ).catch(() => {});
+    } else {
+      await failGeneration(supabase, job, err).catch((e) =>
+        console.error("[mma jobs] failed to mark generation error", e)
+      );
+      await finishJob(supabase, job, "error", err?.message || String(err || "")).catch(() => {});
+    }
+  } finally {
+    parked.delete(job.mg_id);
+    stopHeartbeat();
+  }
+}
+
+// Closes a job from outside the worker (cancel route, reaper). Queued jobs are
+// never claimed after this; a running one is aborted here or by its own
+// worker's next heartbeat.
+export async function settleMmaJob({ supabase, generationId, status }) {
+  await supabase
+    .from("mega_generations")
+    .update({ mg_status: status, mg_updated_at: nowIso() })
+    .eq("mg_id", `mma_job:${generationId}`)
+    .eq("mg_record_type", "mma_job")
+    .in("mg_status", ["queued", "running"]);
+
+  return { abortedLocally: abortGeneration(generationId) };
+}
+
+export async function cancelMmaJob({ supabase, generationId }) {
+  return settleMmaJob({ supabase, generationId, status: "cancelled" });
+}
+
+// Webhook bookkeeping: stamps the provider's completion onto the job and tells
+// the caller whether a worker still holds the lease (its poll loop will collect).
+export async function recordProviderWebhook({ supabase, generationId, taskId, status }) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_status, mg_meta")
+    .eq("mg_id", `mma_job:${generationId}`)
+    .eq("mg_record_type", "mma_job")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const meta = data.mg_meta && typeof data.mg_meta === "object" ? data.mg_meta : {};
+  const task = meta.provider_task || {};
+  const matches = !task.task_id || String(task.task_id) === String(taskId);
+
+  if (matches) {
+    await supabase
+      .from("mega_generations")
+      .update({
+        mg_meta: {
+          ...meta,
+          provider_task: { ...task, task_id: task.task_id || taskId, webhook_status: status, webhook_at: nowIso() },
+        },
+        mg_updated_at: nowIso(),
+      })
+      .eq("mg_id", `mma_job:${generationId}`)
+      .eq("mg_record_type", "mma_job");
+  }
+
+  return {
+    status: data.mg_status,
+    live: data.mg_status === "running" && !isLeaseExpired(meta),
+    matches,
+  };
+}
+
+// generation id -> { mg_status, mg_meta } of its job (generations without one are absent)
+export async function fetchJobsForGenerations(supabase, generationIds = []) {
+  const ids = Array.from(new Set(generationIds.filter(Boolean)));
+  if (!ids.length) return new Map();
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_generation_id, mg_status, mg_meta")
+    .eq("mg_record_type", "mma_job")
+    .in("mg_id", ids.map((id) => `mma_job:${id}`));
+
+  if (error) throw error;
+  return new Map((data || []).map((r) => [r.mg_generation_id, r]));
+}
+
+export async function fetchJobProviderTask(supabase, generationId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_meta")
+    .eq("mg_id", `mma_job:${generationId}`)
+    .eq("mg_record_type", "mma_job")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.mg_meta?.provider_task || null;
+}
+
+// ============================================================================
+// Worker loop
+// ============================================================================
+const running = new Set();
+const parked = new Set(); // running jobs currently waiting on a provider task
+let pollTimer = null;
+let polling = false;
+
+function hasFreeSlot() {
+  return running.size - parked.size < JOB_CONCURRENCY && running.size < JOB_CONCURRENCY + JOB_MAX_PARKED;
+}
+
+export async function pollOnce() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || polling) return 0;
+  if (!hasFreeSlot()) return 0;
+
+  polling = true;
+  let started = 0;
+
+  try {
+    const candidates = await listClaimableJobs(supabase);
+
+    for (const row of candidates) {
+      if (!hasFreeSlot()) break;
+      if (running.has(row.mg_id)) continue;
+
+      const job = await claimJob(supabase, row);
+      if (!job) continue;
+
+      running.add(job.mg_id);
+      started++;
+
+      executeJob(supabase, job).finally(() => {
+        running.delete(job.mg_id);
+        setImmediate(() => pollOnce().catch(() => {}));
+      });
+    }
+  } catch (e) {
+    console.warn("[mma jobs] poll failed", e?.message || e);
+  } finally {
+    polling = false;
+  }
+
+  return started;
+}
+
+export function startMmaJobWorker() {
+  if (!JOB_WORKER_ENABLED || pollTimer) return false;
+
+  pollTimer = setInterval(() => {
+    pollOnce().catch(() => {});
+  }, JOB_POLL_MS);
+  pollTimer.unref?.();
+
+  setImmediate(() => pollOnce().catch(() => {}));
+  console.log(`[mma jobs] worker ${WORKER_ID} started (concurrency ${JOB_CONCURRENCY})`);
+  return true;
+}
+
+export function stopMmaJobWorker() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
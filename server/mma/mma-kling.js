@@ -5,6 +5,13 @@ import crypto from "node:crypto";
 import { getMmaConfig } from "./mma-config.js";
 import { safeStr, asHttpUrl, withKlingImageSizing } from "./mma-helpers.js";
 import { nowIso } from "./mma-utils.js";
+import {
+  currentCancelSignal,
+  currentScopeGenerationId,
+  makeCancelledError,
+  reportProviderTask,
+} from "./mma-cancel.js";
+import { klingCallbackUrl, waitForProviderTask, WEBHOOK_FALLBACK_POLL_MS } from "./mma-webhooks.js";
 
 // ---- Timeout constants (shared with Kling-Omni) ----
 const REPLICATE_POLL_MS = Number(process.env.MMA_REPLICATE_POLL_MS || 2500) || 2500;
@@ -180,10 +187,16 @@ export async function submitAndPollKlingTask({
   body,
   timeoutMs,
   pollMs,
+  signal = currentCancelSignal(),
 }) {
+  if (signal?.aborted) throw makeCancelledError();
+
+  // With a callback registered, Kling wakes us on completion and polling is only a fallback.
+  const callbackUrl = klingCallbackUrl(currentScopeGenerationId());
+
   const created = await klingRequestJson(createPath, {
     method: "POST",
-    body,
+    body: callbackUrl ? { ...body, callback_url: callbackUrl } : body,
     timeoutMs: REPLICATE_CALL_TIMEOUT_MS,
   });
 
@@ -195,15 +208,20 @@ export async function submitAndPollKlingTask({
     throw err;
   }
 
+  reportProviderTask({ provider: "kling", task_id: taskId, query_path: queryPathFromTaskId(taskId) });
+
   let final = created;
   const startedAt = Date.now();
   const maxMs = Math.max(5000, Number(timeoutMs || 900000) || 900000);
-  const waitMs = Math.max(1000, Number(pollMs || 2500) || 2500);
+  const waitMs = Math.max(callbackUrl ? WEBHOOK_FALLBACK_POLL_MS : 1000, Number(pollMs || 2500) || 2500);
 
   const SUCCEED_EMPTY_RETRIES = 4;
   const SUCCEED_EMPTY_WAIT_MS = 3000;
 
   while (true) {
+    // Kling has no cancel API: stop polling and let the task expire on their side.
+    if (signal?.aborted) throw makeCancelledError({ kling: { taskId, status: "cancelled_locally" } });
+
     const status = extractKlingTaskStatus(final);
 
     if (status === "succeed") {
@@ -237,7 +255,10 @@ export async function submitAndPollKlingTask({
       return { created, final, taskId, timedOut: true };
     }
 
-    await sleepMs(waitMs);
+    await waitForProviderTask(taskId, waitMs, signal).catch((e) => {
+      e.provider = { kling: { taskId, status: "cancelled_locally" } };
+      throw e;
+    });
 
     final = await klingRequestJson(queryPathFromTaskId(taskId), {
       method: "GET",
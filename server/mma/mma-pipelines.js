@@ -23,6 +23,7 @@ import { buildNanoBananaImageInputs, runNanoBanana, runNanoBananaGemini } from "
 import { runKling, pickKlingStartImage, pickKlingEndImage, KLING_DEFAULT_NEGATIVE_PROMPT } from "./mma-kling.js";
 import { runKlingOmni, runKlingMotionControl } from "./mma-kling-omni.js";
 import { storeRemoteToR2Public } from "./mma-r2.js";
+import { isCancelledError } from "./mma-cancel.js";
 import {
   resolveStillLane,
   resolveStillEngine,
@@ -358,7 +359,7 @@ export async function runStillCreatePipeline({ supabase, generationId, passId, v
       );
     }
 
-    const remoteUrl = await storeRemoteToR2Public(url, `mma/still/${generationId}`);
+    const remoteUrl = await storeRemoteToR2Public(url, `mma/still/${generationId}`, { generationId, engine: stillEngine });
     working.outputs = { ...(working.outputs || {}) };
     if (stillEngine === "nanobanana2") {
       working.outputs.nanobanana2_image_url = remoteUrl;
@@ -386,6 +387,12 @@ export async function runStillCreatePipeline({ supabase, generationId, passId, v
     } catch {}
     chatter = null;
 
+    // Cancel route already marked the row cancelled, refunded and closed SSE.
+    if (isCancelledError(err)) {
+      console.log("[mma] still create pipeline cancelled", generationId);
+      return;
+    }
+
     console.error("[mma] still create pipeline error", err);
 
     await updateStatus({ supabase, generationId, status: "error" });
@@ -632,7 +639,7 @@ export async function runStillTweakPipeline({ supabase, generationId, passId, pa
       );
     }
 
-    const remoteUrl = await storeRemoteToR2Public(genUrl, `mma/still/${generationId}`);
+    const remoteUrl = await storeRemoteToR2Public(genUrl, `mma/still/${generationId}`, { generationId, engine: stillEngine });
 
     working.outputs = { ...(working.outputs || {}) };
     if (stillEngine === "nanobanana2") {
@@ -661,6 +668,12 @@ export async function runStillTweakPipeline({ supabase, generationId, passId, pa
     } catch {}
     chatter = null;
 
+    // Cancel route already marked the row cancelled, refunded and closed SSE.
+    if (isCancelledError(err)) {
+      console.log("[mma] still tweak pipeline cancelled", generationId);
+      return;
+    }
+
     console.error("[mma] still tweak pipeline error", err);
 
     await updateStatus({ supabase, generationId, status: "error" });
@@ -1053,7 +1066,10 @@ const usePromptOverride = !!promptOverride;
       throw err;
     }
 
-    const remoteUrl = await storeRemoteToR2Public(remote, `mma/video/${generationId}`);
+    const remoteUrl = await storeRemoteToR2Public(remote, `mma/video/${generationId}`, {
+      generationId,
+      engine: safeStr(working?.meta?.video_engine, "kling"),
+    });
 
     working.outputs = { ...(working.outputs || {}) };
     working.outputs.kling_video_url = remoteUrl;
@@ -1079,6 +1095,12 @@ const usePromptOverride = !!promptOverride;
     } catch {}
     chatter = null;
 
+    // Cancel route already marked the row cancelled, refunded and closed SSE.
+    if (isCancelledError(err)) {
+      console.log("[mma] video animate pipeline cancelled", generationId);
+      return;
+    }
+
     console.error("[mma] video animate pipeline error", err);
 
     await updateStatus({ supabase, generationId, status: "error" });
@@ -1369,7 +1391,10 @@ export async function runVideoTweakPipeline({ supabase, generationId, passId, pa
       throw err;
     }
 
-    const remoteUrl = await storeRemoteToR2Public(remote, `mma/video/${generationId}`);
+    const remoteUrl = await storeRemoteToR2Public(remote, `mma/video/${generationId}`, {
+      generationId,
+      engine: safeStr(working?.meta?.video_engine, "kling"),
+    });
 
     working.outputs = { ...(working.outputs || {}), kling_video_url: remoteUrl };
     working.mg_output_url = remoteUrl;
@@ -1389,6 +1414,12 @@ export async function runVideoTweakPipeline({ supabase, generationId, passId, pa
     } catch {}
     chatter = null;
 
+    // Cancel route already marked the row cancelled, refunded and closed SSE.
+    if (isCancelledError(err)) {
+      console.log("[mma] video tweak pipeline cancelled", generationId);
+      return;
+    }
+
     console.error("[mma] video tweak pipeline error", err);
 
     await updateStatus({ supabase, generationId, status: "error" });
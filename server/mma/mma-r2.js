@@ -2,6 +2,7 @@
 "use strict";
 
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { buildManifest, buildProvenance, embedProvenance, manifestKeyFor, provenanceEnabled } from "../provenance.js";
 
 export function getR2() {
   const accountId = process.env.R2_ACCOUNT_ID || "";
@@ -40,7 +41,52 @@ export function guessExt(url, fallback = ".bin") {
   }
 }
 
-export async function storeRemoteToR2Public(url, keyPrefix) {
+// Stills get the XMP fields embedded (see server/provenance.js).
+// → { buffer, provenance, xmpEmbedded } to store at `key`; provenance is null when disabled.
+export async function prepareProvenance({ buffer, contentType, key, publicBase, provenance }) {
+  if (!provenance || !provenanceEnabled()) return { buffer, provenance: null, xmpEmbedded: false };
+
+  const prov = buildProvenance({
+    ...provenance,
+    manifestUrl: `${String(publicBase || "").replace(/\/$/, "")}/${manifestKeyFor(key)}`,
+  });
+  if (/^(video|audio)\//i.test(contentType || "") || /\.(mp4|webm|mov)$/i.test(key)) {
+    return { buffer, provenance: prov, xmpEmbedded: false };
+  }
+
+  try {
+    const embedded = await embedProvenance(buffer, prov);
+    if (embedded) return { buffer: embedded, provenance: prov, xmpEmbedded: true };
+  } catch (e) {
+    console.error("[mma-r2] provenance embed failed, storing original", key, e?.message || e);
+  }
+  return { buffer, provenance: prov, xmpEmbedded: false };
+}
+
+// Writes <key without ext>.provenance.json next to a stored output. Best effort:
+// a failed manifest never fails the generation.
+export async function storeProvenanceManifest({ key, url, buffer, contentType, provenance, xmpEmbedded = false }) {
+  const { enabled, client, bucket } = getR2();
+  if (!enabled || !client || !provenance) return;
+
+  try {
+    const manifest = buildManifest({ provenance, buffer, url, contentType, xmpEmbedded });
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: manifestKeyFor(key),
+        Body: JSON.stringify(manifest, null, 2),
+        ContentType: "application/json",
+      })
+    );
+  } catch (e) {
+    console.error("[mma-r2] provenance manifest write failed", key, e?.message || e);
+  }
+}
+
+// provenance: { generationId, engine } — adds the XMP fields (stills) and the
+// manifest. Omit it for copies that aren't generation outputs.
+export async function storeRemoteToR2Public(url, keyPrefix, provenance = null) {
   const { enabled, client, bucket, publicBase } = getR2();
   if (!enabled || !client) return url;
   if (!url || typeof url !== "string") return url;
@@ -50,19 +96,28 @@ export async function storeRemoteToR2Public(url, keyPrefix) {
   const res = await fetch(url);
   if (!res.ok) throw new Error(`R2_FETCH_FAILED_${res.status}`);
 
-  const buf = Buffer.from(await res.arrayBuffer());
   const contentType = res.headers.get("content-type") || "application/octet-stream";
   const ext = guessExt(url, contentType.includes("video") ? ".mp4" : ".png");
   const objKey = `${keyPrefix}${ext}`;
+  const prepared = await prepareProvenance({
+    buffer: Buffer.from(await res.arrayBuffer()),
+    contentType,
+    key: objKey,
+    publicBase,
+    provenance,
+  });
 
   await client.send(
     new PutObjectCommand({
       Bucket: bucket,
       Key: objKey,
-      Body: buf,
+      Body: prepared.buffer,
       ContentType: contentType,
     })
   );
 
-  return `${publicBase.replace(/\/$/, "")}/${objKey}`;
+  const publicUrl = `${publicBase.replace(/\/$/, "")}/${objKey}`;
+  await storeProvenanceManifest({ key: objKey, url: publicUrl, contentType, ...prepared });
+
+  return publicUrl;
 }
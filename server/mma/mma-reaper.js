@@ -0,0 +1,303 @@
+// server/mma/mma-reaper.js — Periodic reaper for generations stuck in a non-terminal status
+"use strict";
+
+import { getSupabaseAdmin } from "../../supabase.js";
+import { nowIso } from "./mma-utils.js";
+import { safeStr } from "./mma-helpers.js";
+import { sendDone, sendStatus } from "./mma-sse.js";
+import {
+  captureGenerationCredits,
+  chargedCostForGeneration,
+  refundOnFailure,
+  releaseGenerationCredits,
+} from "./mma-credits.js";
+import { refreshFromReplicate } from "./mma-handlers.js";
+import { fetchJobsForGenerations, isLeaseExpired, settleMmaJob } from "./mma-jobs.js";
+
+// ============================================================================
+// Config
+// ============================================================================
+const REAPER_INTERVAL_MS = Number(process.env.MMA_REAPER_INTERVAL_MS || 60000) || 60000;
+const REAPER_BATCH = Number(process.env.MMA_REAPER_BATCH || 50) || 50;
+const REAPER_MAX_PAGES = 10;
+const REAPER_ENABLED = String(process.env.MMA_REAPER_ENABLED || "true").toLowerCase() !== "false";
+// an open hold untouched this long is settled from its generation's outcome
+// (the pipeline gets the first try; a failed capture puts the hold back)
+const HOLD_SETTLE_AFTER_MS = Number(process.env.MMA_HOLD_SETTLE_AFTER_MS || 5 * 60000) || 5 * 60000;
+
+// Hard ceilings measured from the start of the job's current attempt
+// (mg_meta.started_at; mg_created_at for generations without a job). Provider
+// polls cap at ~15 min, so a healthy pipeline never gets near these. Jobs still
+// waiting in the queue, or running under a live lease, are never reaped: their
+// worker settles them.
+const FLOW_TIMEOUT_MS = {
+  still_create: Number(process.env.MMA_REAPER_STILL_MS || 20 * 60000) || 20 * 60000,
+  still_tweak: Number(process.env.MMA_REAPER_STILL_MS || 20 * 60000) || 20 * 60000,
+  video_animate: Number(process.env.MMA_REAPER_VIDEO_MS || 30 * 60000) || 30 * 60000,
+  video_tweak: Number(process.env.MMA_REAPER_VIDEO_MS || 30 * 60000) || 30 * 60000,
+  ugc: Number(process.env.MMA_REAPER_UGC_MS || 120 * 60000) || 120 * 60000,
+};
+
+const STUCK_STATUSES = ["queued", "scanning", "prompting", "planning", "generating", "postscan", "stitching"];
+
+function flowOf(row) {
+  const flow = safeStr(row?.mg_mma_vars?.meta?.flow, "");
+  if (FLOW_TIMEOUT_MS[flow]) return flow;
+  return row?.mg_mma_mode === "video" ? "video_animate" : "still_create";
+}
+
+// ============================================================================
+// Reap one row
+// ============================================================================
+function runStartMs(row, job) {
+  const started = Date.parse(job?.mg_meta?.started_at || "");
+  return Number.isFinite(started) ? started : Date.parse(row.mg_created_at);
+}
+
+// → true when a worker still owns (or has yet to pick up) the generation's job
+function jobIsLive(job) {
+  if (!job) return false;
+  if (job.mg_status === "queued") return true;
+  return job.mg_status === "running" && !isLeaseExpired(job.mg_meta);
+}
+
+async function reapGeneration(supabase, row, job) {
+  const generationId = row.mg_generation_id;
+  const flow = flowOf(row);
+  const ageMs = Date.now() - runStartMs(row, job);
+
+  // 1) maybe the provider finished and only our process died
+  let providerStatus = null;
+  if (flow !== "ugc") {
+    try {
+      const out = await refreshFromReplicate({ generationId });
+      if (out?.refreshed || out?.alreadyDone) {
+        await settleMmaJob({ supabase, generationId, status: "done" });
+        sendStatus(generationId, "done");
+        sendDone(generationId, "done");
+        return { generationId, flow, outcome: "recovered" };
+      }
+      providerStatus = out?.provider_status || out?.error || null;
+    } catch (e) {
+      providerStatus = `REFRESH_FAILED: ${e?.message || e}`;
+    }
+  }
+
+  // 2) give up: conditional flip so a late finish or another reaper wins cleanly
+  const err = new Error("TIMEOUT_REAPED");
+  err.code = "TIMEOUT_REAPED";
+
+  const { data: flipped, error } = await supabase
+    .from("mega_generations")
+    .update({
+      mg_status: "error",
+      mg_mma_status: "error",
+      mg_error: {
+        code: "TIMEOUT_REAPED",
+        message: `Generation stuck in "${row.mg_mma_status}" for ${Math.round(ageMs / 60000)} min`,
+        flow,
+        provider_status: providerStatus,
+        reaped_at: nowIso(),
+      },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_generation_id", generationId)
+    .eq("mg_record_type", "generation")
+    .in("mg_mma_status", STUCK_STATUSES)
+    .select("mg_id");
+
+  if (error) throw error;
+  if (!Array.isArray(flipped) || !flipped.length) return { generationId, flow, outcome: "skipped" };
+
+  await settleMmaJob({ supabase, generationId, status: "error" });
+
+  let refund = null;
+  try {
+    const cost = await chargedCostForGeneration(supabase, generationId);
+    refund = await refundOnFailure({ supabase, passId: row.mg_pass_id, generationId, cost, err });
+  } catch (e) {
+    console.warn("[mma reaper] refund failed", generationId, e?.message || e);
+  }
+
+  sendStatus(generationId, "error");
+  sendDone(generationId, "error");
+
+  return { generationId, flow, outcome: "reaped", refund };
+}
+
+// ============================================================================
+// Sweep
+// ============================================================================
+export async function reapStuckGenerations() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return [];
+
+  const shortest = Math.min(...Object.values(FLOW_TIMEOUT_MS));
+  const cutoffIso = new Date(Date.now() - shortest).toISOString();
+
+  // oldest first, paging past generations whose job is still live so a backlog
+  // of queued/running work can't hide the stuck ones behind it
+  const candidates = [];
+  for (let page = 0; page < REAPER_MAX_PAGES && candidates.length < REAPER_BATCH; page++) {
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select("mg_generation_id, mg_pass_id, mg_mma_mode, mg_mma_status, mg_mma_vars, mg_created_at")
+      .eq("mg_record_type", "generation")
+      .in("mg_mma_status", STUCK_STATUSES)
+      .lt("mg_created_at", cutoffIso)
+      .order("mg_created_at", { ascending: true })
+      .range(page * REAPER_BATCH, (page + 1) * REAPER_BATCH - 1);
+
+    if (error) throw error;
+    const rows = data || [];
+    const jobs = await fetchJobsForGenerations(supabase, rows.map((r) => r.mg_generation_id));
+
+    for (const row of rows) {
+      const job = jobs.get(row.mg_generation_id) || null;
+      if (jobIsLive(job)) continue;
+      if (!(Date.now() - runStartMs(row, job) > FLOW_TIMEOUT_MS[flowOf(row)])) continue;
+      candidates.push({ row, job });
+    }
+    if (rows.length < REAPER_BATCH) break;
+  }
+
+  const results = [];
+  for (const { row, job } of candidates.slice(0, REAPER_BATCH)) {
+    try {
+      const out = await reapGeneration(supabase, row, job);
+      if (out.outcome !== "skipped") console.log("[mma reaper]", out.outcome, out.generationId, out.flow);
+      results.push(out);
+    } catch (e) {
+      console.error("[mma reaper] failed", row.mg_generation_id, e?.message || e);
+    }
+  }
+
+  return results;
+}
+
+// ============================================================================
+// Open credit holds
+// ============================================================================
+// Every MMA hold should end captured (output delivered) or released. One left
+// "held" — a capture that failed after the row turned done, a refund that failed,
+// a suggest-only run, a generation that never got written — is settled here from
+// the generation's outcome, so it is neither free output nor parked credits
+// (an expired hold stops counting as held but stays open until then).
+const SETTLEABLE_STATUSES = new Set(["done", "suggested", "error", "cancelled"]);
+
+function holdGenerationId(hold) {
+  return String(hold.mg_ref_id).slice("mma:".length);
+}
+
+async function settleHold(supabase, hold, gen) {
+  const generationId = holdGenerationId(hold);
+  const status = gen?.mg_mma_status || null;
+
+  if (status === "done") {
+    const out = await captureGenerationCredits({ generationId });
+    return { generationId, outcome: out?.captured ? "captured" : "skipped" };
+  }
+  if (!gen || status === "suggested") {
+    const out = await releaseGenerationCredits({ generationId, reason: gen ? "no_output" : "orphaned" });
+    return { generationId, outcome: out?.released ? "released" : "skipped" };
+  }
+
+  // error / cancelled: the usual failure refund (UGC keeps what was rendered)
+  const err = new Error(gen.mg_error?.code || status.toUpperCase());
+  err.code = gen.mg_error?.code || status.toUpperCase();
+  const refund = await refundOnFailure({
+    supabase,
+    passId: gen.mg_pass_id,
+    generationId,
+    cost: Number(hold.mg_delta || 0) || 0,
+    err,
+  });
+  return { generationId, outcome: "refunded", refund };
+}
+
+export async function settleOpenHolds() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return [];
+
+  const cutoffIso = new Date(Date.now() - HOLD_SETTLE_AFTER_MS).toISOString();
+
+  // paging past holds whose generation is still running (the stuck-generation
+  // sweep ends those first)
+  const candidates = [];
+  for (let page = 0; page < REAPER_MAX_PAGES && candidates.length < REAPER_BATCH; page++) {
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select("mg_id, mg_ref_id, mg_delta")
+      .eq("mg_record_type", "credit_hold")
+      .eq("mg_status", "held")
+      .like("mg_ref_id", "mma:%")
+      .lt("mg_updated_at", cutoffIso)
+      .order("mg_updated_at", { ascending: true })
+      .range(page * REAPER_BATCH, (page + 1) * REAPER_BATCH - 1);
+    if (error) throw error;
+    const holds = data || [];
+    if (!holds.length) break;
+
+    const { data: gens, error: genErr } = await supabase
+      .from("mega_generations")
+      .select("mg_generation_id, mg_pass_id, mg_mma_status, mg_error")
+      .eq("mg_record_type", "generation")
+      .in("mg_generation_id", holds.map(holdGenerationId));
+    if (genErr) throw genErr;
+    const byId = new Map((gens || []).map((g) => [g.mg_generation_id, g]));
+
+    for (const hold of holds) {
+      const gen = byId.get(holdGenerationId(hold)) || null;
+      if (gen && !SETTLEABLE_STATUSES.has(gen.mg_mma_status)) continue;
+      candidates.push({ hold, gen });
+    }
+    if (holds.length < REAPER_BATCH) break;
+  }
+
+  const results = [];
+  for (const { hold, gen } of candidates.slice(0, REAPER_BATCH)) {
+    try {
+      const out = await settleHold(supabase, hold, gen);
+      if (out.outcome !== "skipped") console.log("[mma reaper] hold", out.outcome, out.generationId);
+      results.push(out);
+    } catch (e) {
+      console.error("[mma reaper] hold settle failed", hold.mg_ref_id, e?.message || e);
+    }
+  }
+  return results;
+}
+
+// ============================================================================
+// Timer
+// ============================================================================
+let reaperTimer = null;
+let sweeping = false;
+
+export function startMmaReaper() {
+  if (!REAPER_ENABLED || reaperTimer) return false;
+
+  reaperTimer = setInterval(async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      await reapStuckGenerations();
+    } catch (e) {
+      console.warn("[mma reaper] sweep failed", e?.message || e);
+    }
+    try {
+      await settleOpenHolds();
+    } catch (e) {
+      console.warn("[mma reaper] hold sweep failed", e?.message || e);
+    } finally {
+      sweeping = false;
+    }
+  }, REAPER_INTERVAL_MS);
+  reaperTimer.unref?.();
+
+  return true;
+}
+
+export function stopMmaReaper() {
+  if (reaperTimer) clearInterval(reaperTimer);
+  reaperTimer = null;
+}
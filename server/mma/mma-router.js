@@ -6,6 +6,7 @@
 
 import express from "express";
 import {
+  cancelGeneration,
   fetchGeneration,
   handleMmaCreate,
   handleMmaEvent,
@@ -13,13 +14,19 @@ import {
   handleMmaVideoTweak,
   listErrors,
   listSteps,
+  quoteMma,
   refreshFromReplicate,
   registerSseClient,
 } from "./mma-controller.js";
 import { handleMmaUgcCreate } from "./mma-ugc-handler.js";
 import { getSupabaseAdmin } from "../../supabase.js";
 import { megaEnsureCustomer, resolvePassId as megaResolvePassId } from "../../mega-db.js";
-import { sendDone, sendStatus } from "./mma-sse.js";
+import { parseLastEventId, sendDone, sendStatus } from "./mma-sse.js";
+import { withIdempotency } from "../middleware/idempotency.js";
+import { getAuthUser } from "../auth-helpers.js";
+import { buildPassCandidates } from "../history-router.js";
+import { SHARE_ERRORS, createShare, listShares, revokeShare } from "../shares.js";
+import { PRINT_ERRORS, createPrintExport } from "../print-export.js";
 
 const router = express.Router();
 
@@ -35,7 +42,7 @@ function withPassId(req, rawBody) {
 // ======================================================
 // Routes
 // ======================================================
-router.post("/still/create", async (req, res) => {
+router.post("/still/create", withIdempotency("mma_still_create", async (req, res) => {
   const { passId, body } = withPassId(req, req.body);
 
   try {
@@ -50,9 +57,9 @@ router.post("/still/create", async (req, res) => {
       details: err?.details || undefined,
     });
   }
-});
+}));
 
-router.post("/still/:generation_id/tweak", async (req, res) => {
+router.post("/still/:generation_id/tweak", withIdempotency("mma_still_tweak", async (req, res) => {
   const { passId, body } = withPassId(req, req.body);
 
   try {
@@ -70,9 +77,9 @@ router.post("/still/:generation_id/tweak", async (req, res) => {
       details: err?.details || undefined,
     });
   }
-});
+}));
 
-router.post("/video/animate", async (req, res) => {
+router.post("/video/animate", withIdempotency("mma_video_animate", async (req, res) => {
   const { passId, body } = withPassId(req, req.body);
 
   try {
@@ -87,9 +94,9 @@ router.post("/video/animate", async (req, res) => {
       details: err?.details || undefined,
     });
   }
-});
+}));
 
-router.post("/video/:generation_id/tweak", async (req, res) => {
+router.post("/video/:generation_id/tweak", withIdempotency("mma_video_tweak", async (req, res) => {
   const { passId, body } = withPassId(req, req.body);
 
   try {
@@ -107,9 +114,9 @@ router.post("/video/:generation_id/tweak", async (req, res) => {
       details: err?.details || undefined,
     });
   }
-});
+}));
 
-router.post("/ugc/create", async (req, res) => {
+router.post("/ugc/create", withIdempotency("mma_ugc_create", async (req, res) => {
   const { passId, body } = withPassId(req, req.body);
 
   try {
@@ -124,6 +131,24 @@ router.post("/ugc/create", async (req, res) => {
       details: err?.details || undefined,
     });
   }
+}));
+
+// Same body as the create/tweak/ugc routes (+ `flow` or `mode`); nothing is written.
+router.post("/quote", async (req, res) => {
+  const { passId, body } = withPassId(req, req.body);
+
+  try {
+    res.set("X-Mina-Pass-Id", passId);
+    const result = await quoteMma({ body });
+    res.json(result);
+  } catch (err) {
+    console.error("[mma] quote error", err);
+    res.status(err?.statusCode || 500).json({
+      ok: false,
+      error: err?.message === "PARENT_GENERATION_NOT_FOUND" ? "PARENT_GENERATION_NOT_FOUND" : "MMA_QUOTE_FAILED",
+      message: err?.message,
+    });
+  }
 });
 
 router.post("/events", async (req, res) => {
@@ -160,6 +185,107 @@ router.post("/generations/:generation_id/refresh", async (req, res) => {
   }
 });
 
+router.post("/generations/:generation_id/cancel", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const passId = megaResolvePassId(req, body);
+    res.set("X-Mina-Pass-Id", passId);
+
+    const out = await cancelGeneration({
+      generationId: req.params.generation_id,
+      passId,
+    });
+
+    if (!out.ok) {
+      const code = out.error === "NOT_FOUND" ? 404 : out.error === "FORBIDDEN" ? 403 : 409;
+      return res.status(code).json(out);
+    }
+
+    res.json(out);
+  } catch (err) {
+    console.error("[mma] cancel error", err);
+    res.status(500).json({ ok: false, error: "CANCEL_FAILED", message: err?.message });
+  }
+});
+
+// ----------------------------
+// Share links + print exports (owner side; the public share view is GET /share/:token)
+// ----------------------------
+// Ownership = any pass linked to the caller (same candidates as /history).
+async function callerPassIds(req) {
+  const passId = megaResolvePassId(req, req.body || {});
+  const authUser = await getAuthUser(req);
+  const passIds = await buildPassCandidates({ primaryPassId: passId, authUser, supabase: getSupabaseAdmin() });
+  return { passId, passIds };
+}
+
+function sendShareError(res, label, err) {
+  const code = err?.message || "";
+  if (SHARE_ERRORS[code]) return res.status(SHARE_ERRORS[code]).json({ ok: false, error: code });
+  console.error(`[mma] ${label} error`, err);
+  return res.status(500).json({ ok: false, error: "SHARE_FAILED", message: err?.message });
+}
+
+// body: { expiresIn?: seconds, showPrompt?: boolean }
+router.post("/generations/:generation_id/share", async (req, res) => {
+  try {
+    const { passId, passIds } = await callerPassIds(req);
+    res.set("X-Mina-Pass-Id", passId);
+
+    const share = await createShare({
+      generationId: req.params.generation_id,
+      passIds,
+      expiresIn: req.body?.expiresIn ?? null,
+      showPrompt: req.body?.showPrompt === true,
+    });
+    res.status(201).json({ ok: true, share });
+  } catch (err) {
+    sendShareError(res, "share create", err);
+  }
+});
+
+router.get("/generations/:generation_id/shares", async (req, res) => {
+  try {
+    const { passId, passIds } = await callerPassIds(req);
+    res.set("X-Mina-Pass-Id", passId);
+
+    res.json({ ok: true, shares: await listShares({ generationId: req.params.generation_id, passIds }) });
+  } catch (err) {
+    sendShareError(res, "share list", err);
+  }
+});
+
+router.delete("/generations/:generation_id/share/:share_id", async (req, res) => {
+  try {
+    const { passId, passIds } = await callerPassIds(req);
+    res.set("X-Mina-Pass-Id", passId);
+
+    const share = await revokeShare({ generationId: req.params.generation_id, shareId: req.params.share_id, passIds });
+    res.json({ ok: true, share });
+  } catch (err) {
+    sendShareError(res, "share revoke", err);
+  }
+});
+
+// Print-ready CMYK TIFF of a still (bleedMode "expand" charges a fingertips expand:
+// send an Idempotency-Key).
+// body: { size: "a4" | { width, height }, unit?, orientation?, dpi?, fit?, bleed?, bleedMode?: "none"|"mirror"|"expand" }
+router.post("/generations/:generation_id/print", withIdempotency("mma_print_export", async (req, res) => {
+  try {
+    const { passId, passIds } = await callerPassIds(req);
+    res.set("X-Mina-Pass-Id", passId);
+
+    const printExport = await createPrintExport({ generationId: req.params.generation_id, passIds, options: req.body || {} });
+    res.status(printExport.cached ? 200 : 201).json({ ok: true, print: printExport });
+  } catch (err) {
+    const code = err?.code || err?.message || "";
+    const status = PRINT_ERRORS[code] || err?.statusCode;
+    if (status) return res.status(status).json({ ok: false, error: code, message: err?.detail || undefined });
+    console.error("[mma] print export error", err);
+    res.status(500).json({ ok: false, error: "PRINT_EXPORT_FAILED", message: err?.message });
+  }
+}));
+
 router.get("/generations/:generation_id", async (req, res) => {
   try {
     const payload = await fetchGeneration(req.params.generation_id);
@@ -201,11 +327,14 @@ router.get("/stream/:generation_id", async (req, res) => {
     const scanLines = data?.mg_mma_vars?.userMessages?.scan_lines || [];
     const internal = String(data?.mg_mma_status || "queued");
 
+    // EventSource sends Last-Event-ID on reconnect; ?lastEventId= for clients that can't set headers
+    const lastEventId = parseLastEventId(req.get("Last-Event-ID") ?? req.query.lastEventId);
+
     // Register first so sendStatus/sendDone hit THIS connection too
-    registerSseClient(req.params.generation_id, res, { scanLines, status: internal });
+    registerSseClient(req.params.generation_id, res, { scanLines, status: internal, lastEventId });
 
     // ✅ If already terminal, immediately emit DONE and close (prevents infinite "queued")
-    const TERMINAL = new Set(["done", "error", "suggested"]);
+    const TERMINAL = new Set(["done", "error", "suggested", "cancelled"]);
     if (TERMINAL.has(internal)) {
       try {
         sendStatus(req.params.generation_id, internal);
@@ -0,0 +1,167 @@
+// server/mma/mma-sse-bus.js — Pluggable fan-out bus for MMA SSE events
+// The pipeline may run on one instance while the browser's /mma/stream/:id
+// lands on another, so every emit goes through a bus that all instances hear.
+"use strict";
+
+import os from "node:os";
+import crypto from "node:crypto";
+import pg from "pg";
+
+// ============================================================================
+// Config
+// ============================================================================
+// MMA_SSE_BUS=memory   (default) single-instance, in-process only
+// MMA_SSE_BUS=postgres LISTEN/NOTIFY on MMA_SSE_DATABASE_URL || DATABASE_URL
+//                      (needs a session connection — Supabase port 5432, not the 6543 pooler)
+const SSE_BUS = String(process.env.MMA_SSE_BUS || "memory").toLowerCase();
+const SSE_DATABASE_URL = String(process.env.MMA_SSE_DATABASE_URL || process.env.DATABASE_URL || "");
+const SSE_CHANNEL = String(process.env.MMA_SSE_CHANNEL || "mma_sse").replace(/[^a-z0-9_]/gi, "_");
+
+// NOTIFY payloads are capped at 8000 bytes; leave room for the envelope.
+const MAX_NOTIFY_BYTES = 7800;
+const RECONNECT_MAX_MS = 30000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+// message = { generationId, event, data }
+
+// ============================================================================
+// In-memory bus
+// ============================================================================
+function createHandlerSet() {
+  const handlers = new Set();
+
+  return {
+    subscribe(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    deliver(message) {
+      for (const h of Array.from(handlers)) {
+        try {
+          h(message);
+        } catch (e) {
+          console.warn("[mma sse bus] handler failed", e?.message || e);
+        }
+      }
+    },
+    clear() {
+      handlers.clear();
+    },
+  };
+}
+
+export function createMemoryBus() {
+  const local = createHandlerSet();
+
+  return {
+    name: "memory",
+    publish: local.deliver,
+    subscribe: local.subscribe,
+    close: local.clear,
+  };
+}
+
+// ============================================================================
+// Postgres LISTEN/NOTIFY bus
+// ============================================================================
+// Local subscribers get the message synchronously (same ordering as the memory
+// bus); the NOTIFY echo of our own messages is dropped by origin.
+export function createPostgresBus({ connectionString, channel = SSE_CHANNEL } = {}) {
+  const local = createHandlerSet();
+  const pool = new pg.Pool({ connectionString, max: 2 });
+  pool.on("error", (e) => console.warn("[mma sse bus] pool error", e?.message || e));
+
+  let listener = null;
+  let closed = false;
+  let backoffMs = 1000;
+
+  async function listen() {
+    if (closed) return;
+
+    const client = new pg.Client({ connectionString });
+    client.on("notification", (msg) => {
+      if (msg.channel !== channel) return;
+      try {
+        const parsed = JSON.parse(msg.payload || "{}");
+        if (parsed.origin === INSTANCE_ID) return;
+        // keep the event id: clients resume from it with Last-Event-ID on any instance
+        local.deliver({ generationId: parsed.generationId, event: parsed.event, data: parsed.data, id: parsed.id });
+      } catch {}
+    });
+
+    const reconnect = () => {
+      if (listener !== client) return;
+      listener = null;
+      client.end().catch(() => {});
+      if (closed) return;
+      const wait = backoffMs;
+      backoffMs = Math.min(backoffMs * 2, RECONNECT_MAX_MS);
+      setTimeout(listen, wait).unref?.();
+    };
+    client.on("error", (e) => {
+      console.warn("[mma sse bus] listener error", e?.message || e);
+      reconnect();
+    });
+    client.on("end", reconnect);
+
+    listener = client;
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${channel}`);
+      backoffMs = 1000;
+    } catch (e) {
+      console.warn("[mma sse bus] listen failed", e?.message || e);
+      reconnect();
+    }
+  }
+
+  listen();
+
+  return {
+    name: "postgres",
+    publish(message) {
+      local.deliver(message);
+
+      const payload = JSON.stringify({ ...message, origin: INSTANCE_ID });
+      if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+        console.warn("[mma sse bus] event too large to fan out", message.generationId, message.event);
+        return;
+      }
+
+      pool.query("SELECT pg_notify($1, $2)", [channel, payload]).catch((e) => {
+        console.warn("[mma sse bus] notify failed", e?.message || e);
+      });
+    },
+    subscribe: local.subscribe,
+    async close() {
+      closed = true;
+      local.clear();
+      const client = listener;
+      listener = null;
+      await Promise.allSettled([client?.end(), pool.end()]);
+    },
+  };
+}
+
+// ============================================================================
+// Singleton
+// ============================================================================
+let bus = null;
+
+export function getSseBus() {
+  if (bus) return bus;
+
+  if (SSE_BUS === "postgres") {
+    if (SSE_DATABASE_URL) {
+      bus = createPostgresBus({ connectionString: SSE_DATABASE_URL });
+      return bus;
+    }
+    console.warn("[mma sse bus] MMA_SSE_BUS=postgres but no DATABASE_URL; falling back to memory");
+  } else if (SSE_BUS !== "memory") {
+    console.warn(`[mma sse bus] unknown MMA_SSE_BUS "${SSE_BUS}"; falling back to memory`);
+  }
+
+  bus = createMemoryBus();
+  return bus;
+}
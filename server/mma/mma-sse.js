@@ -1,6 +1,14 @@
 // ./server/mma/mma-sse.js
-// Part 4: Tiny in-memory SSE hub for MMA streams
+// Part 4: Tiny SSE hub for MMA streams
 // Part 4.1: Manages per-generation subscribers and forwards pipeline events.
+// Part 4.2: Emits go through the SSE bus (mma-sse-bus.js) so clients connected
+//           to another instance hear them too; the hub only tracks local clients.
+// Part 4.3: Every frame carries an `id:` (nextEventId ms clock; a scan line's id
+//           is its stored `at`), so reconnects with Last-Event-ID replay only
+//           what was missed.
+
+import { getSseBus } from "./mma-sse-bus.js";
+import { nextEventId } from "./mma-helpers.js";
 
 // -----------------------------------------------------------------------------
 // Event names
@@ -9,6 +17,9 @@ const EVENT_SCAN_LINE = "scan_line";
 const EVENT_STATUS = "status";
 const EVENT_DONE = "done";
 
+// Reconnect delay hint sent once per connection (`retry:` field).
+const SSE_RETRY_MS = Number(process.env.MMA_SSE_RETRY_MS || 3000) || 3000;
+
 // -----------------------------------------------------------------------------
 // In-memory hub state
 // -----------------------------------------------------------------------------
@@ -26,8 +37,9 @@ function safeWrite(res, chunk) {
   }
 }
 
-function writeEvent(res, event, data) {
-  // SSE frame: event + data + blank line
+function writeEvent(res, event, data, id) {
+  // SSE frame: id + event + data + blank line
+  if (id !== undefined && id !== null && !safeWrite(res, `id: ${id}\n`)) return false;
   if (!safeWrite(res, `event: ${event}\n`)) return false;
   if (!safeWrite(res, `data: ${JSON.stringify(data)}\n\n`)) return false;
   return true;
@@ -64,22 +76,38 @@ function normalizeScanLine(stream, line) {
 // -----------------------------------------------------------------------------
 // Public API
 // -----------------------------------------------------------------------------
-export function addSseClient(generationId, res, { scanLines = [], status = "queued" } = {}) {
+export function parseLastEventId(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+export function addSseClient(
+  generationId,
+  res,
+  { scanLines = [], status = "queued", lastEventId = null } = {}
+) {
   const stream = ensureStream(generationId);
   stream.clients.add(res);
 
-  // Replay stored scan lines on connect (and set nextLineIndex correctly)
+  safeWrite(res, `retry: ${SSE_RETRY_MS}\n\n`);
+
+  // Replay stored scan lines on connect (and set nextLineIndex correctly).
+  // On reconnect only lines newer than Last-Event-ID go out; lines stored
+  // before ids existed have no `at` and were already seen by such a client.
+  let cursor = lastEventId ?? 0;
   const lines = Array.isArray(scanLines) ? scanLines : [];
   for (const line of lines) {
-    const payload =
-      typeof line === "string"
-        ? normalizeScanLine(stream, line)
-        : normalizeScanLine(stream, line); // normalizes + advances counter
-    writeEvent(res, EVENT_SCAN_LINE, payload);
+    const payload = normalizeScanLine(stream, line); // normalizes + advances counter
+    const at = Number.isFinite(payload.at) ? payload.at : null;
+
+    if (lastEventId !== null && (at === null || at <= lastEventId)) continue;
+    if (at !== null) cursor = Math.max(cursor, at);
+    writeEvent(res, EVENT_SCAN_LINE, payload, at);
   }
 
-  // Send initial status (pass-through)
-  writeEvent(res, EVENT_STATUS, { status: String(status || "") });
+  // Current status; reuses the cursor so it never jumps ahead of live ids
+  writeEvent(res, EVENT_STATUS, { status: String(status || "") }, cursor);
 
   res.on("close", () => {
     const s = streams.get(generationId);
@@ -89,23 +117,32 @@ export function addSseClient(generationId, res, { scanLines = [], status = "queu
   });
 }
 
-export function sendSseEvent(generationId, event, data) {
+// Bus subscriber: write to the clients connected to THIS instance.
+function deliverLocal(generationId, event, data, id) {
   const stream = streams.get(generationId);
   if (!stream) return;
 
   // If a client write fails, drop it.
   for (const res of Array.from(stream.clients)) {
-    const ok = writeEvent(res, event, data);
+    const ok = writeEvent(res, event, data, id);
     if (!ok) stream.clients.delete(res);
   }
 
   if (stream.clients.size === 0) streams.delete(generationId);
 }
 
+getSseBus().subscribe(({ generationId, event, data, id }) => {
+  if (generationId && event) deliverLocal(generationId, event, data, id);
+});
+
+export function sendSseEvent(generationId, event, data, id = nextEventId()) {
+  getSseBus().publish({ generationId, event, data, id });
+}
+
 export function sendScanLine(generationId, line) {
   const stream = ensureStream(generationId);
   const payload = normalizeScanLine(stream, line);
-  sendSseEvent(generationId, EVENT_SCAN_LINE, payload);
+  sendSseEvent(generationId, EVENT_SCAN_LINE, payload, Number.isFinite(payload.at) ? payload.at : nextEventId());
 }
 
 export function sendStatus(generationId, status) {
@@ -11,7 +11,8 @@ import {
 } from "./mma-utils.js";
 import { safeStr } from "./mma-helpers.js";
 import {
-  ensureEnoughCredits,
+  reserveGenerationCredits,
+  releaseGenerationCredits,
 } from "./mma-credits.js";
 import {
   writeGeneration,
@@ -20,7 +21,8 @@ import {
   ensureCustomerRow,
   ensureSessionForHistory,
 } from "./mma-db.js";
-import { runUgcPipeline, ugcCostForShots } from "./mma-ugc-pipeline.js";
+import { estimateUgcShots, ugcCostForShots } from "./mma-ugc-pipeline.js";
+import { enqueueMmaJob } from "./mma-jobs.js";
 
 // ============================================================================
 // handleMmaUgcCreate
@@ -39,56 +41,56 @@ export async function handleMmaUgcCreate({ body }) {
     });
 
   const inputs = body?.inputs && typeof body.inputs === "object" ? body.inputs : {};
-  const targetDuration = Math.max(15, Math.min(120, Number(inputs.ugc_target_duration || inputs.target_duration || 60) || 60));
-  const requestedShots = Number(inputs.ugc_shot_count || inputs.shot_count || 0) || 0;
-  const estimatedShots = requestedShots || Math.ceil(targetDuration / 8);
+  const { shots: estimatedShots } = estimateUgcShots(inputs);
   const neededCredits = ugcCostForShots(estimatedShots);
 
-  await ensureEnoughCredits(passId, neededCredits, { lane: "ugc" });
-
   const generationId = newUuid();
+  await reserveGenerationCredits({ passId, generationId, cost: neededCredits, reason: "mma_ugc", lane: "ugc" });
 
-  await ensureCustomerRow(supabase, passId, {
-    shopifyCustomerId: body?.customer_id,
-    userId: body?.user_id,
-    email: body?.email,
-  });
+  try {
+    await ensureCustomerRow(supabase, passId, {
+      shopifyCustomerId: body?.customer_id,
+      userId: body?.user_id,
+      email: body?.email,
+    });
 
-  const vars = makeInitialVars({
-    mode: "video",
-    assets: body?.assets || {},
-    history: body?.history || {},
-    inputs: body?.inputs || {},
-    settings: body?.settings || {},
-    feedback: body?.feedback || {},
-    prompts: body?.prompts || {},
-  });
+    const vars = makeInitialVars({
+      mode: "video",
+      assets: body?.assets || {},
+      history: body?.history || {},
+      inputs: body?.inputs || {},
+      settings: body?.settings || {},
+      feedback: body?.feedback || {},
+      prompts: body?.prompts || {},
+    });
 
-  vars.mg_pass_id = passId;
+    vars.mg_pass_id = passId;
 
-  const sessionId =
-    safeStr(body?.sessionId || body?.session_id || inputs?.sessionId || inputs?.session_id, "") ||
-    newUuid();
-  const platform = safeStr(body?.platform || inputs?.platform, "") || "web";
-  const title = safeStr(body?.title || inputs?.title, "") || "UGC session";
+    const sessionId =
+      safeStr(body?.sessionId || body?.session_id || inputs?.sessionId || inputs?.session_id, "") ||
+      newUuid();
+    const platform = safeStr(body?.platform || inputs?.platform, "") || "web";
+    const title = safeStr(body?.title || inputs?.title, "") || "UGC session";
 
-  vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
-  vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title, flow: "ugc" };
+    vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
+    vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title, flow: "ugc" };
 
-  await ensureSessionForHistory({
-    passId,
-    sessionId,
-    platform,
-    title,
-    meta: { source: "mma", flow: "ugc" },
-  });
+    await ensureSessionForHistory({
+      passId,
+      sessionId,
+      platform,
+      title,
+      meta: { source: "mma", flow: "ugc" },
+    });
 
-  await writeGeneration({ supabase, generationId, parentId: null, passId, vars, mode: "video" });
+    await writeGeneration({ supabase, generationId, parentId: null, passId, vars, mode: "video" });
 
-  // Fire-and-forget the pipeline
-  runUgcPipeline({ supabase, generationId, passId, vars }).catch((err) =>
-    console.error("[mma] UGC pipeline error:", err)
-  );
+    // Durable queue: the job worker runs (and after a restart, resumes) the pipeline
+    await enqueueMmaJob({ supabase, generationId, passId, flow: "ugc" });
+  } catch (e) {
+    await releaseGenerationCredits({ generationId });
+    throw e;
+  }
 
   return {
     generation_id: generationId,
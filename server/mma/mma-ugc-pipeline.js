@@ -18,6 +18,7 @@ import { runKlingOmni } from "./mma-kling-omni.js";
 import { KLING_DEFAULT_NEGATIVE_PROMPT } from "./mma-kling.js";
 import { storeRemoteToR2Public } from "./mma-r2.js";
 import { stitchClips } from "./mma-ugc-stitch.js";
+import { isCancelledError } from "./mma-cancel.js";
 import {
   chargeGeneration,
   refundOnFailure,
@@ -50,10 +51,20 @@ export function ugcCostForShots(shotCount) {
   return Math.max(1, Number(shotCount) || 5) * UGC_COST_PER_SHOT;
 }
 
+// Shot estimate used for the up-front credit check (the plan may differ slightly).
+export function estimateUgcShots(inputsLike) {
+  const inputs = inputsLike && typeof inputsLike === "object" ? inputsLike : {};
+  const targetDuration = Math.max(15, Math.min(120, Number(inputs.ugc_target_duration || inputs.target_duration || 60) || 60));
+  const requestedShots = Number(inputs.ugc_shot_count || inputs.shot_count || 0) || 0;
+  return { targetDuration, shots: requestedShots || Math.ceil(targetDuration / 8) };
+}
+
 // ============================================================================
 // runUgcPipeline — the main orchestrator
 // ============================================================================
-export async function runUgcPipeline({ supabase, generationId, passId, vars }) {
+// `resume` (optional, from mma-jobs) = { plan, clipUrls: { [shot_no]: url } }
+// lets a restarted job reuse the stored plan and skip shots already in R2.
+export async function runUgcPipeline({ supabase, generationId, passId, vars, resume }) {
   const cfg = getMmaConfig();
   if (!cfg.enabled) throw new Error("MMA_DISABLED");
 
@@ -64,7 +75,7 @@ export async function runUgcPipeline({ supabase, generationId, passId, vars }) {
     inputs.motion_user_brief || inputs.brief || inputs.user_brief || inputs.userBrief,
     ""
   );
-  const targetDuration = Math.max(15, Math.min(120, Number(inputs.ugc_target_duration || inputs.target_duration || 60) || 60));
+  const { targetDuration, shots: estimatedShots } = estimateUgcShots(inputs);
   const requestedShots = Number(inputs.ugc_shot_count || inputs.shot_count || 0) || 0;
 
   // Resolve start image from assets
@@ -81,7 +92,6 @@ export async function runUgcPipeline({ supabase, generationId, passId, vars }) {
   ) || "";
 
   // Estimate cost upfront
-  const estimatedShots = requestedShots || Math.ceil(targetDuration / 8);
   const totalCost = ugcCostForShots(estimatedShots);
 
   await chargeGeneration({
@@ -125,13 +135,16 @@ export async function runUgcPipeline({ supabase, generationId, passId, vars }) {
       labeledImages.push({ role: `INSPIRATION ${i + 1}`, url: u });
     });
 
-    const plan = await planUgcShots({
-      cfg,
-      brief,
-      targetDuration,
-      shotCount: requestedShots || undefined,
-      labeledImages,
-    });
+    const resumedPlan = safeArray(resume?.plan?.shots).length ? resume.plan : null;
+    const plan =
+      resumedPlan ||
+      (await planUgcShots({
+        cfg,
+        brief,
+        targetDuration,
+        shotCount: requestedShots || undefined,
+        labeledImages,
+      }));
 
     const shots = plan.shots;
 
@@ -150,20 +163,24 @@ export async function runUgcPipeline({ supabase, generationId, passId, vars }) {
     };
     await updateVars({ supabase, generationId, vars: working });
 
-    await writeStep({
-      supabase,
-      generationId,
-      passId,
-      stepNo: stepNo++,
-      stepType: "ugc_plan",
-      payload: {
-        input: { brief, targetDuration, shotCount: requestedShots },
-        output: { shots, total_duration: plan.total_duration, negative_prompt: plan.negative_prompt },
-        raw: plan.raw,
-        timing: { started_at: nowIso(), ended_at: nowIso() },
-        error: null,
-      },
-    });
+    if (resumedPlan) {
+      stepNo++;
+    } else {
+      await writeStep({
+        supabase,
+        generationId,
+        passId,
+        stepNo: stepNo++,
+        stepType: "ugc_plan",
+        payload: {
+          input: { brief, targetDuration, shotCount: requestedShots },
+          output: { shots, total_duration: plan.total_duration, negative_prompt: plan.negative_prompt },
+          raw: plan.raw,
+          timing: { started_at: nowIso(), ended_at: nowIso() },
+          error: null,
+        },
+      });
+    }
 
     emitLine(generationId, `Planned ${shots.length} shots (${plan.total_duration}s total)`);
 
@@ -179,6 +196,14 @@ export async function runUgcPipeline({ supabase, generationId, passId, vars }) {
       const shot = shots[i];
       emitLine(generationId, `Generating shot ${i + 1}/${shots.length}...`);
 
+      const resumedClip = asHttpUrl(resume?.clipUrls?.[i + 1]);
+      if (resumedClip) {
+        clipUrls.push(resumedClip);
+        stepNo++;
+        emitLine(generationId, `Shot ${i + 1}/${shots.length} done`);
+        continue;
+      }
+
       const shotPrompt = shot.prompt;
       const shotDuration = shot.duration;
 
@@ -221,7 +246,10 @@ export async function runUgcPipeline({ supabase, generationId, passId, vars }) {
       }
 
       // Store clip in R2
-      const clipR2Url = await storeRemoteToR2Public(rawVideoUrl, `mma/ugc/${generationId}/shot-${i + 1}`);
+      const clipR2Url = await storeRemoteToR2Public(rawVideoUrl, `mma/ugc/${generationId}/shot-${i + 1}`, {
+        generationId,
+        engine: "kling_omni_ugc",
+      });
       clipUrls.push(clipR2Url);
 
       await writeStep({
@@ -260,6 +288,7 @@ export async function runUgcPipeline({ supabase, generationId, passId, vars }) {
       clipUrls,
       audioUrl: audioUrl || undefined,
       r2KeyPrefix: `mma/ugc/${generationId}`,
+      provenance: { generationId, engine: "kling_omni_ugc" },
     });
 
     await writeStep({
@@ -307,6 +336,12 @@ export async function runUgcPipeline({ supabase, generationId, passId, vars }) {
     emitLine(generationId, "Your UGC video is ready!");
     sendDone(generationId, "done");
   } catch (err) {
+    // Cancel route already marked the row cancelled, refunded unrendered shots and closed SSE.
+    if (isCancelledError(err)) {
+      console.log("[mma] UGC pipeline cancelled", generationId);
+      return;
+    }
+
     console.error("[mma] UGC pipeline error:", err);
 
     await updateStatus({ supabase, generationId, status: "error" });
@@ -6,7 +6,7 @@ import ffmpegStatic from "ffmpeg-static";
 import fs from "fs/promises";
 import path from "path";
 import os from "os";
-import { storeRemoteToR2Public, getR2, guessExt } from "./mma-r2.js";
+import { storeRemoteToR2Public, getR2, guessExt, prepareProvenance, storeProvenanceManifest } from "./mma-r2.js";
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 
 // Point fluent-ffmpeg to the bundled binary
@@ -24,23 +24,32 @@ async function downloadToFile(url, localPath) {
 }
 
 // ============================================================================
-// Upload a local file buffer to R2
+// Upload a local file buffer to R2 (+ provenance manifest when given)
 // ============================================================================
-async function uploadFileToR2(localPath, r2Key, contentType) {
+async function uploadFileToR2(localPath, r2Key, contentType, provenance = null) {
   const { enabled, client, bucket, publicBase } = getR2();
   if (!enabled || !client) throw new Error("R2_NOT_CONFIGURED");
 
-  const buf = await fs.readFile(localPath);
+  const type = contentType || "video/mp4";
+  const prepared = await prepareProvenance({
+    buffer: await fs.readFile(localPath),
+    contentType: type,
+    key: r2Key,
+    publicBase,
+    provenance,
+  });
   await client.send(
     new PutObjectCommand({
       Bucket: bucket,
       Key: r2Key,
-      Body: buf,
-      ContentType: contentType || "video/mp4",
+      Body: prepared.buffer,
+      ContentType: type,
     })
   );
 
-  return `${publicBase.replace(/\/$/, "")}/${r2Key}`;
+  const publicUrl = `${publicBase.replace(/\/$/, "")}/${r2Key}`;
+  await storeProvenanceManifest({ key: r2Key, url: publicUrl, contentType: type, ...prepared });
+  return publicUrl;
 }
 
 // ============================================================================
@@ -86,7 +95,7 @@ function ffmpegAddAudio(videoPath, audioPath, outputPath) {
 // ============================================================================
 // stitchClips — download clips → concat → optional audio → upload to R2
 // ============================================================================
-export async function stitchClips({ clipUrls, audioUrl, r2KeyPrefix }) {
+export async function stitchClips({ clipUrls, audioUrl, r2KeyPrefix, provenance = null }) {
   const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "ugc-stitch-"));
 
   try {
@@ -120,7 +129,7 @@ export async function stitchClips({ clipUrls, audioUrl, r2KeyPrefix }) {
 
     // 5. Upload final to R2
     const r2Key = `${r2KeyPrefix || "mma/ugc"}/final.mp4`;
-    const publicUrl = await uploadFileToR2(finalPath, r2Key, "video/mp4");
+    const publicUrl = await uploadFileToR2(finalPath, r2Key, "video/mp4", provenance);
     return publicUrl;
   } finally {
     // Clean up temp directory
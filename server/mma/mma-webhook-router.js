@@ -0,0 +1,124 @@
+// server/mma/mma-webhook-router.js — Signed provider webhooks (Replicate + Kling callback_url)
+// Mounted at /mma/webhooks BEFORE express.json (Replicate signs the raw body).
+"use strict";
+
+import express from "express";
+import crypto from "node:crypto";
+
+import { getSupabaseAdmin } from "../../supabase.js";
+import { safeStr } from "./mma-helpers.js";
+import { sendDone, sendStatus } from "./mma-sse.js";
+import { refreshFromReplicate } from "./mma-handlers.js";
+import { recordProviderWebhook, settleMmaJob } from "./mma-jobs.js";
+import { notifyProviderTask, verifyKlingCallback, verifyReplicateWebhook } from "./mma-webhooks.js";
+
+const router = express.Router();
+
+// ======================================================
+// Shared completion handling
+// ======================================================
+// 1) a poll loop in this process is parked on the task -> wake it, it finishes the stage
+// 2) another worker holds the job lease -> its fallback poll collects
+// 3) nobody is running it (process died) -> collect the output here
+async function handleProviderCompletion({ generationId, taskId, status, succeeded }) {
+  if (notifyProviderTask(taskId, { status })) return { resumed: "local_poller" };
+
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !generationId) return { resumed: "none" };
+
+  const job = await recordProviderWebhook({ supabase, generationId, taskId, status });
+  if (job?.live) return { resumed: "lease_holder" };
+  if (!succeeded) return { resumed: "none" };
+
+  const out = await refreshFromReplicate({ generationId });
+  if (out?.refreshed) {
+    await settleMmaJob({ supabase, generationId, status: "done" });
+    sendStatus(generationId, "done");
+    sendDone(generationId, "done");
+    return { resumed: "collected" };
+  }
+
+  return { resumed: "none", refresh: out?.error || out?.provider_status || null };
+}
+
+// ======================================================
+// Replicate
+// ======================================================
+router.post("/replicate", express.raw({ type: "*/*", limit: "5mb" }), async (req, res) => {
+  const requestId = `mma_webhook_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+
+    const ok = verifyReplicateWebhook({
+      rawBody,
+      webhookId: req.get("webhook-id"),
+      timestamp: req.get("webhook-timestamp"),
+      signatureHeader: req.get("webhook-signature"),
+    });
+    if (!ok) return res.status(401).json({ ok: false, requestId, error: "INVALID_SIGNATURE" });
+
+    let payload = {};
+    try {
+      payload = JSON.parse(rawBody || "{}");
+    } catch {
+      return res.status(400).json({ ok: false, requestId, error: "INVALID_JSON" });
+    }
+
+    const taskId = safeStr(payload?.id, "");
+    const status = safeStr(payload?.status, "");
+    if (!taskId) return res.status(400).json({ ok: false, requestId, error: "MISSING_PREDICTION_ID" });
+
+    const out = await handleProviderCompletion({
+      generationId: safeStr(req.query.generation_id, ""),
+      taskId,
+      status,
+      succeeded: status === "succeeded",
+    });
+
+    return res.json({ ok: true, requestId, ...out });
+  } catch (err) {
+    console.error("[mma webhook] replicate failed", err);
+    return res.status(500).json({ ok: false, requestId, error: "WEBHOOK_FAILED", message: err?.message });
+  }
+});
+
+// ======================================================
+// Kling (callback_url)
+// ======================================================
+router.post("/kling", express.json({ limit: "5mb" }), async (req, res) => {
+  const requestId = `mma_webhook_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    const generationId = safeStr(req.query.generation_id, "");
+    if (!verifyKlingCallback({ generationId, sig: safeStr(req.query.sig, "") })) {
+      return res.status(401).json({ ok: false, requestId, error: "INVALID_SIGNATURE" });
+    }
+
+    const payload = req.body && typeof req.body === "object" ? req.body : {};
+    const data = payload.data && typeof payload.data === "object" ? payload.data : payload;
+
+    const taskId = safeStr(data?.task_id, "");
+    const status = safeStr(data?.task_status, "").toLowerCase();
+    if (!taskId) return res.status(400).json({ ok: false, requestId, error: "MISSING_TASK_ID" });
+
+    // Kling also calls back on submitted/processing; only terminal states matter.
+    if (status !== "succeed" && status !== "failed") {
+      return res.json({ ok: true, requestId, ignored: status || "unknown" });
+    }
+
+    const out = await handleProviderCompletion({
+      generationId,
+      taskId,
+      status,
+      succeeded: status === "succeed",
+    });
+
+    return res.json({ ok: true, requestId, ...out });
+  } catch (err) {
+    console.error("[mma webhook] kling failed", err);
+    return res.status(500).json({ ok: false, requestId, error: "WEBHOOK_FAILED", message: err?.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,137 @@
+// server/mma/mma-webhooks.js — Provider webhook config, signatures and in-process task waiters
+"use strict";
+
+import crypto from "node:crypto";
+
+import { safeStr } from "./mma-helpers.js";
+import { makeCancelledError, reportParked } from "./mma-cancel.js";
+
+// ============================================================================
+// Config
+// ============================================================================
+// Webhooks are opt-in: without a public base URL the poll loops behave exactly
+// as before. With one, Replicate/Kling call us back on completion and polling
+// drops to a slow fallback interval.
+const WEBHOOK_BASE_URL = safeStr(
+  process.env.MMA_WEBHOOK_BASE_URL || process.env.PUBLIC_API_BASE_URL,
+  ""
+).replace(/\/+$/, "");
+
+const REPLICATE_WEBHOOK_SECRET = safeStr(process.env.REPLICATE_WEBHOOK_SECRET, "");
+const KLING_CALLBACK_SECRET = safeStr(process.env.MMA_KLING_CALLBACK_SECRET, "");
+
+export const WEBHOOK_FALLBACK_POLL_MS =
+  Number(process.env.MMA_WEBHOOK_FALLBACK_POLL_MS || 30000) || 30000;
+
+const REPLICATE_TOLERANCE_SEC = 5 * 60;
+
+export function replicateWebhooksEnabled() {
+  return !!(WEBHOOK_BASE_URL && REPLICATE_WEBHOOK_SECRET);
+}
+
+export function klingCallbacksEnabled() {
+  return !!(WEBHOOK_BASE_URL && KLING_CALLBACK_SECRET);
+}
+
+// ============================================================================
+// Callback URLs
+// ============================================================================
+export function replicateWebhookUrl(generationId) {
+  const id = safeStr(generationId, "");
+  if (!id || !replicateWebhooksEnabled()) return "";
+  return `${WEBHOOK_BASE_URL}/mma/webhooks/replicate?generation_id=${encodeURIComponent(id)}`;
+}
+
+// Kling doesn't sign callbacks, so we sign the generation id into the URL.
+export function signKlingRef(generationId) {
+  return crypto.createHmac("sha256", KLING_CALLBACK_SECRET).update(String(generationId)).digest("hex");
+}
+
+export function klingCallbackUrl(generationId) {
+  const id = safeStr(generationId, "");
+  if (!id || !klingCallbacksEnabled()) return "";
+  return `${WEBHOOK_BASE_URL}/mma/webhooks/kling?generation_id=${encodeURIComponent(id)}&sig=${signKlingRef(id)}`;
+}
+
+// ============================================================================
+// Signature checks
+// ============================================================================
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  if (x.length !== y.length) return false;
+  return crypto.timingSafeEqual(x, y);
+}
+
+// Replicate follows the Standard Webhooks scheme:
+// base64(HMAC-SHA256(key, `${webhook-id}.${webhook-timestamp}.${body}`)), key = base64 part of "whsec_…".
+export function verifyReplicateWebhook({ rawBody, webhookId, timestamp, signatureHeader }) {
+  if (!REPLICATE_WEBHOOK_SECRET || !rawBody || !webhookId || !timestamp || !signatureHeader) return false;
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > REPLICATE_TOLERANCE_SEC) return false;
+
+  const key = Buffer.from(REPLICATE_WEBHOOK_SECRET.replace(/^whsec_/, ""), "base64");
+  const expected = crypto
+    .createHmac("sha256", key)
+    .update(`${webhookId}.${timestamp}.${rawBody}`)
+    .digest("base64");
+
+  return String(signatureHeader)
+    .split(" ")
+    .map((part) => part.split(",")[1] || "")
+    .some((sig) => safeEqual(sig, expected));
+}
+
+export function verifyKlingCallback({ generationId, sig }) {
+  if (!KLING_CALLBACK_SECRET || !generationId || !sig) return false;
+  return safeEqual(signKlingRef(generationId), sig);
+}
+
+// ============================================================================
+// In-process waiters
+// ============================================================================
+// Poll loops park here between fallback polls; a webhook for the same task
+// wakes them immediately. Webhooks that land on another instance are picked up
+// by that loop's next fallback poll. While parked the job doesn't count against
+// the worker's MMA_JOB_CONCURRENCY (it keeps its lease and heartbeat).
+const waiters = new Map(); // taskId -> Set<wake>
+
+export function waitForProviderTask(taskId, ms, signal) {
+  const id = safeStr(taskId, "");
+  if (signal?.aborted) return Promise.reject(makeCancelledError());
+
+  const unpark = reportParked();
+  return new Promise((resolve, reject) => {
+    let set = waiters.get(id);
+    if (!set) waiters.set(id, (set = new Set()));
+
+    const cleanup = () => {
+      unpark();
+      clearTimeout(timer);
+      set.delete(wake);
+      if (!set.size) waiters.delete(id);
+      signal?.removeEventListener?.("abort", onAbort);
+    };
+    const wake = (payload) => {
+      cleanup();
+      resolve(payload || null);
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(makeCancelledError());
+    };
+    const timer = setTimeout(() => wake(null), ms);
+
+    set.add(wake);
+    signal?.addEventListener?.("abort", onAbort, { once: true });
+  });
+}
+
+// Returns true if a poll loop in this process was waiting on the task.
+export function notifyProviderTask(taskId, payload) {
+  const set = waiters.get(safeStr(taskId, ""));
+  if (!set || !set.size) return false;
+  for (const wake of Array.from(set)) wake(payload);
+  return true;
+}
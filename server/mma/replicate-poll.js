@@ -5,9 +5,13 @@
 
 "use strict";
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+import {
+  currentCancelSignal,
+  currentScopeGenerationId,
+  makeCancelledError,
+  reportProviderTask,
+} from "./mma-cancel.js";
+import { replicateWebhookUrl, waitForProviderTask, WEBHOOK_FALLBACK_POLL_MS } from "./mma-webhooks.js";
 
 function withTimeout(promise, ms, label = "REPLICATE_CALL_TIMEOUT") {
   const t = Math.max(1000, Number(ms || 0) || 15000);
@@ -37,6 +41,7 @@ export async function replicatePredictWithTimeout({
   pollMs = 2500,
   callTimeoutMs = 15000,
   cancelOnTimeout = false,
+  signal = currentCancelSignal(),
 }) {
   if (!replicate) throw new Error("REPLICATE_CLIENT_MISSING");
   if (!version) throw new Error("REPLICATE_VERSION_MISSING");
@@ -54,6 +59,14 @@ export async function replicatePredictWithTimeout({
     ? { version, input }
     : { model: version, input };
 
+  // With a webhook registered, Replicate wakes us on completion and polling is only a fallback.
+  const webhook = replicateWebhookUrl(currentScopeGenerationId());
+  if (webhook) {
+    createPayload.webhook = webhook;
+    createPayload.webhook_events_filter = ["completed"];
+  }
+  const waitMs = webhook ? Math.max(poll, WEBHOOK_FALLBACK_POLL_MS) : poll;
+
   let created;
   created = await withTimeout(
     replicate.predictions.create(createPayload),
@@ -64,6 +77,20 @@ export async function replicatePredictWithTimeout({
   const predictionId = created?.id || "";
   let last = created;
 
+  if (predictionId) reportProviderTask({ provider: "replicate", task_id: predictionId });
+
+  // user cancel: stop polling + cancel on Replicate (best effort)
+  const cancelAndThrow = async () => {
+    try {
+      await withTimeout(
+        replicate.predictions.cancel(predictionId),
+        callT,
+        "REPLICATE_CANCEL_TIMEOUT"
+      );
+    } catch {}
+    throw makeCancelledError({ id: predictionId || null, status: "canceled" });
+  };
+
   // 2) poll
   while (true) {
     const status = String(last?.status || "");
@@ -72,7 +99,13 @@ export async function replicatePredictWithTimeout({
     const elapsed = Date.now() - t0;
     if (elapsed >= hard) break;
 
-    await sleep(poll);
+    if (signal?.aborted) await cancelAndThrow();
+
+    try {
+      await waitForProviderTask(predictionId, waitMs, signal);
+    } catch {
+      await cancelAndThrow();
+    }
 
     try {
       last = await withTimeout(
@@ -0,0 +1,414 @@
+// server/print-export.js — Print-ready exports of still generations (CMYK TIFF + ICC, bleed)
+// The TIFF is stored next to the original output (<output key>.print-<hash>.tif) and
+// listed in the generation's mg_meta.print_exports, which doubles as the cache:
+// asking again with the same options returns the stored file.
+// Errors are thrown as Error(CODE) (see PRINT_ERRORS); fingertips expand errors
+// keep their own statusCode.
+"use strict";
+
+import crypto from "node:crypto";
+import sharp from "sharp";
+import { getSupabaseAdmin } from "../supabase.js";
+import { keyFromPublicUrl, publicUrlForKey, putBufferToR2, r2ObjectExists } from "../r2.js";
+import { createLimiter, nowIso, safeString } from "./helpers.js";
+import { handleFingertipsGenerate, resumeFingertipsGeneration } from "./fingertips/fingertips-controller.js";
+
+// ============================================================================
+// Config
+// ============================================================================
+// libvips built-in "cmyk" profile, or a path to an .icc/.icm file (e.g. FOGRA39, GRACoL)
+const PRINT_ICC_PROFILE = safeString(process.env.PRINT_ICC_PROFILE, "cmyk");
+const PRINT_MAX_MEGAPIXELS = Number(process.env.PRINT_MAX_MEGAPIXELS || 80) || 80;
+// decoded size cap for the source and the expand output (decompression bombs);
+// nothing is rendered larger than the print canvas cap
+const PRINT_MAX_INPUT_PIXELS = Math.round(PRINT_MAX_MEGAPIXELS * 1e6);
+const SOURCE_OPTS = { failOn: "none", limitInputPixels: PRINT_MAX_INPUT_PIXELS };
+const PRINT_FETCH_TIMEOUT_MS = Number(process.env.PRINT_FETCH_TIMEOUT_MS || 60000) || 60000;
+// renders running at once (an 80 MP canvas is a few hundred MB); more wait in a
+// queue of PRINT_QUEUE_MAX, past that → PRINT_BUSY
+const PRINT_CONCURRENCY = Number(process.env.PRINT_CONCURRENCY || 1) || 1;
+const PRINT_QUEUE_MAX = Number(process.env.PRINT_QUEUE_MAX || 10) || 10;
+const PRINT_DEFAULT_BLEED_MM = 3;
+const PRINT_MAX_BLEED_MM = 25;
+// Bria expand canvas limit
+const EXPAND_MAX_SIDE = 5000;
+// bump when the rendering changes so cached exports are re-rendered
+const PRINT_VERSION = 1;
+// compare-and-swap rounds when recording an export on a busy generation row
+const RECORD_MAX_ATTEMPTS = 5;
+
+const MM_PER_UNIT = { mm: 1, cm: 10, in: 25.4 };
+// portrait [width, height] in mm
+const PRINT_SIZES = {
+  a6: [105, 148],
+  a5: [148, 210],
+  a4: [210, 297],
+  a3: [297, 420],
+  a2: [420, 594],
+  a1: [594, 841],
+  letter: [215.9, 279.4],
+  legal: [215.9, 355.6],
+  tabloid: [279.4, 431.8],
+};
+const BLEED_MODES = ["none", "mirror", "expand"];
+
+export const PRINT_ERRORS = {
+  GENERATION_NOT_FOUND: 404,
+  NOT_A_STILL: 409,
+  OUTPUT_NOT_IN_R2: 409,
+  INVALID_PRINT_OPTIONS: 400,
+  PRINT_TOO_LARGE: 400,
+  SOURCE_FETCH_FAILED: 502,
+  SOURCE_TOO_LARGE: 413,
+  PRINT_BUSY: 503,
+  PRINT_EXPORT_CONFLICT: 409,
+};
+
+function requireSupabase() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+  return supabase;
+}
+
+function invalid(message) {
+  const err = new Error("INVALID_PRINT_OPTIONS");
+  err.detail = message;
+  return err;
+}
+
+function positive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// ============================================================================
+// Options
+// ============================================================================
+// body: { size: "a4" | { width, height }, unit?: "mm"|"cm"|"in", orientation?: "auto"|"portrait"|"landscape",
+//         dpi?: 300, fit?: "cover"|"contain", bleed?: number (in unit), bleedMode?: "none"|"mirror"|"expand" }
+// Orientation "auto" follows the source's aspect.
+export function parsePrintOptions(body = {}, { sourceWidth, sourceHeight }) {
+  const unit = String(body.unit || "mm").toLowerCase();
+  if (!MM_PER_UNIT[unit]) throw invalid("unit must be mm, cm or in");
+  const perUnit = MM_PER_UNIT[unit];
+
+  let trimMm;
+  const preset = typeof body.size === "string" ? body.size.toLowerCase() : "";
+  if (preset) {
+    if (!PRINT_SIZES[preset]) throw invalid(`size must be one of ${Object.keys(PRINT_SIZES).join(", ")} or { width, height }`);
+    trimMm = [...PRINT_SIZES[preset]];
+  } else {
+    const w = positive(body.size?.width ?? body.width);
+    const h = positive(body.size?.height ?? body.height);
+    if (!w || !h) throw invalid("size (preset) or width and height are required");
+    trimMm = [w * perUnit, h * perUnit];
+  }
+
+  const orientation = String(body.orientation || (preset ? "auto" : "portrait")).toLowerCase();
+  if (!["auto", "portrait", "landscape"].includes(orientation)) throw invalid("orientation must be auto, portrait or landscape");
+  if (preset) {
+    const landscape = orientation === "landscape" || (orientation === "auto" && sourceWidth > sourceHeight);
+    if (landscape) trimMm.reverse();
+  }
+
+  const dpi = body.dpi === undefined || body.dpi === null || body.dpi === "" ? 300 : Number(body.dpi);
+  if (!Number.isInteger(dpi) || dpi < 72 || dpi > 1200) throw invalid("dpi must be an integer from 72 to 1200");
+
+  const fit = String(body.fit || "cover").toLowerCase();
+  if (!["cover", "contain"].includes(fit)) throw invalid("fit must be cover or contain");
+
+  const bleedMode = String(body.bleedMode || (body.bleed ? "mirror" : "none")).toLowerCase();
+  if (!BLEED_MODES.includes(bleedMode)) throw invalid(`bleedMode must be one of ${BLEED_MODES.join(", ")}`);
+
+  let bleedMm = 0;
+  if (bleedMode !== "none") {
+    bleedMm = body.bleed === undefined || body.bleed === null || body.bleed === "" ? PRINT_DEFAULT_BLEED_MM : Number(body.bleed) * perUnit;
+    if (!Number.isFinite(bleedMm) || bleedMm <= 0 || bleedMm > PRINT_MAX_BLEED_MM) {
+      throw invalid(`bleed must be greater than 0 and at most ${PRINT_MAX_BLEED_MM} mm`);
+    }
+  }
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const opts = { trimMm: trimMm.map(round2), dpi, fit, bleedMm: round2(bleedMm), bleedMode };
+
+  const px = (mm) => Math.round((mm / 25.4) * dpi);
+  const bleedPx = px(opts.bleedMm);
+  opts.trimPx = opts.trimMm.map(px);
+  opts.canvasPx = opts.trimPx.map((n) => n + 2 * bleedPx);
+  opts.bleedPx = bleedPx;
+
+  if ((opts.canvasPx[0] * opts.canvasPx[1]) / 1e6 > PRINT_MAX_MEGAPIXELS) {
+    const err = new Error("PRINT_TOO_LARGE");
+    err.detail = `${opts.canvasPx[0]}x${opts.canvasPx[1]} px is over ${PRINT_MAX_MEGAPIXELS} MP; lower the size or dpi`;
+    throw err;
+  }
+  return opts;
+}
+
+function optionsHash(opts) {
+  const { trimMm, dpi, fit, bleedMm, bleedMode } = opts;
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ v: PRINT_VERSION, trimMm, dpi, fit, bleedMm, bleedMode, icc: PRINT_ICC_PROFILE }))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+async function fetchImage(url) {
+  const resp = await fetch(url, { signal: AbortSignal.timeout(PRINT_FETCH_TIMEOUT_MS) });
+  if (!resp.ok) throw new Error("SOURCE_FETCH_FAILED");
+  return Buffer.from(await resp.arrayBuffer());
+}
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+
+// source → trim area at print resolution, RGB raw
+async function renderTrim(source, { trimPx, fit }) {
+  return sharp(source, SOURCE_OPTS)
+    .rotate()
+    .resize(trimPx[0], trimPx[1], { fit, background: WHITE, kernel: "lanczos3" })
+    .flatten({ background: WHITE })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+// Bleed outpainted by the fingertips expand model (charged to the owner like any
+// fingertips edit). The trim is sent at source resolution (canvas capped at
+// EXPAND_MAX_SIDE) and the result scaled up to the print canvas.
+// `previous` = { expandGenerationId, trimUploadUrl } of an earlier render that timed
+// out: its expand is picked up (same inputs) rather than charged again.
+async function expandBleed({ source, sourceWidth, sourceHeight, opts, baseKey, hash, passId, previous = null }) {
+  const trimKey = `${baseKey}.print-${hash}-trim.png`;
+  let out = previous?.expandGenerationId ? await resumeFingertipsGeneration(previous.expandGenerationId) : null;
+  if (out?.status === "processing") {
+    const err = new Error("EXPAND_TIMED_OUT");
+    err.expandGenerationId = out.generation_id;
+    err.trimUploadUrl = previous.trimUploadUrl || publicUrlForKey(trimKey);
+    throw err;
+  }
+  if (out?.status === "done") {
+    const trimUploadUrl = previous.trimUploadUrl || publicUrlForKey(trimKey);
+    return { background: await expandedBackground(out.output_url, opts), expandGenerationId: out.generation_id, trimUploadUrl };
+  }
+
+  const aspect = opts.trimPx[0] / opts.trimPx[1];
+  let tw = opts.fit === "cover" ? Math.min(sourceWidth, sourceHeight * aspect) : Math.max(sourceWidth, sourceHeight * aspect);
+  let th = tw / aspect;
+  let b = (opts.bleedPx * tw) / opts.trimPx[0];
+  const k = Math.min(1, EXPAND_MAX_SIDE / (tw + 2 * b), EXPAND_MAX_SIDE / (th + 2 * b));
+  [tw, th, b] = [Math.round(tw * k), Math.round(th * k), Math.max(1, Math.round(b * k))];
+
+  const trimSrc = await sharp(source, SOURCE_OPTS)
+    .rotate()
+    .resize(tw, th, { fit: opts.fit, background: WHITE })
+    .flatten({ background: WHITE })
+    .png()
+    .toBuffer();
+  const { publicUrl } = await putBufferToR2({ key: trimKey, buffer: trimSrc, contentType: "image/png" });
+
+  out = await handleFingertipsGenerate({
+    passId,
+    modelKey: "expand",
+    inputs: {
+      image: publicUrl,
+      canvas_size: [tw + 2 * b, th + 2 * b],
+      original_image_size: [tw, th],
+      original_image_location: [b, b],
+    },
+  });
+  if (out?.status !== "done" || !out.output_url) {
+    const err = new Error("EXPAND_TIMED_OUT");
+    err.expandGenerationId = out?.generation_id || null;
+    err.trimUploadUrl = publicUrl;
+    throw err;
+  }
+
+  return { background: await expandedBackground(out.output_url, opts), expandGenerationId: out.generation_id, trimUploadUrl: publicUrl };
+}
+
+async function expandedBackground(url, opts) {
+  const expanded = await fetchImage(url);
+  return sharp(expanded, SOURCE_OPTS)
+    .resize(opts.canvasPx[0], opts.canvasPx[1], { fit: "fill", kernel: "lanczos3" })
+    .flatten({ background: WHITE })
+    .removeAlpha()
+    .png({ compressionLevel: 0 })
+    .toBuffer();
+}
+
+async function renderPrint({ source, sourceWidth, sourceHeight, opts, baseKey, hash, passId, previous }) {
+  const trim = await renderTrim(source, opts);
+  const raw = { raw: { width: trim.info.width, height: trim.info.height, channels: trim.info.channels } };
+  const b = opts.bleedPx;
+  const extra = { bleedModeUsed: opts.bleedMode };
+
+  let img;
+  if (opts.bleedMode === "expand") {
+    try {
+      const exp = await expandBleed({ source, sourceWidth, sourceHeight, opts, baseKey, hash, passId, previous });
+      // the trim itself stays pixel-exact; only the bleed comes from the model
+      img = sharp(exp.background).composite([{ input: trim.data, ...raw, left: b, top: b }]);
+      extra.expandGenerationId = exp.expandGenerationId;
+      extra.trimUploadUrl = exp.trimUploadUrl;
+    } catch (e) {
+      if (e?.message !== "EXPAND_TIMED_OUT") throw e;
+      // still running at the provider: fall back to a mirrored edge
+      extra.bleedModeUsed = "mirror";
+      extra.bleedFallback = "EXPAND_TIMED_OUT";
+      extra.expandGenerationId = e.expandGenerationId;
+      extra.trimUploadUrl = e.trimUploadUrl || previous?.trimUploadUrl;
+    }
+  }
+  if (!img) {
+    img = sharp(trim.data, raw);
+    if (b > 0) img = img.extend({ top: b, bottom: b, left: b, right: b, extendWith: "mirror" });
+  }
+
+  // flatten the composite first: a CMYK transform on a composite pipeline would
+  // otherwise run before the overlay is applied
+  const rgb = await img.png({ compressionLevel: 0 }).toBuffer();
+  const pxPerMm = opts.dpi / 25.4;
+  const buffer = await sharp(rgb)
+    .withIccProfile(PRINT_ICC_PROFILE)
+    .tiff({ compression: "lzw", xres: pxPerMm, yres: pxPerMm, resolutionUnit: "inch" })
+    .toBuffer();
+
+  return { buffer, ...extra };
+}
+
+// ============================================================================
+// Entry point
+// ============================================================================
+function toPrintExport(entry, cached) {
+  return {
+    id: entry.id,
+    url: entry.url,
+    cached,
+    trimMm: entry.trim_mm,
+    bleedMm: entry.bleed_mm,
+    bleedMode: entry.bleed_mode,
+    bleedFallback: entry.bleed_fallback || null,
+    dpi: entry.dpi,
+    fit: entry.fit,
+    pixels: entry.pixels,
+    effectiveDpi: entry.effective_dpi,
+    iccProfile: entry.icc,
+    size: entry.size,
+    expandGenerationId: entry.expand_generation_id || null,
+    createdAt: entry.created_at,
+  };
+}
+
+const withPrintSlot = createLimiter({ concurrency: PRINT_CONCURRENCY, queueMax: PRINT_QUEUE_MAX, busyCode: "PRINT_BUSY" });
+
+// passIds = the caller's pass candidates (only their own, non-trashed stills).
+export async function createPrintExport({ generationId, passIds, options }) {
+  const supabase = requireSupabase();
+
+  const { data: gen, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_generation_id, mg_pass_id, mg_type, mg_content_type, mg_output_url, mg_meta")
+    .eq("mg_record_type", "generation")
+    .eq("mg_generation_id", safeString(generationId, ""))
+    .in("mg_pass_id", passIds)
+    .is("mg_deleted_at", null)
+    .maybeSingle();
+  if (error) throw error;
+  if (!gen || !gen.mg_output_url) throw new Error("GENERATION_NOT_FOUND");
+  if (String(gen.mg_type || gen.mg_content_type || "image") === "video") throw new Error("NOT_A_STILL");
+
+  return withPrintSlot(() => renderPrintExport({ supabase, gen, options }));
+}
+
+async function renderPrintExport({ supabase, gen, options }) {
+  const sourceKey = keyFromPublicUrl(gen.mg_output_url);
+  if (!sourceKey) throw new Error("OUTPUT_NOT_IN_R2");
+  const baseKey = sourceKey.replace(/\.[a-z0-9]{2,5}$/i, "");
+
+  const source = await fetchImage(gen.mg_output_url);
+  const meta = await sharp(source, SOURCE_OPTS).metadata();
+  // metadata() reads the header only: refuse oversized sources before any decode
+  if ((meta.width || 0) * (meta.height || 0) > PRINT_MAX_INPUT_PIXELS) throw new Error("SOURCE_TOO_LARGE");
+  // EXIF orientations 5-8 swap the axes
+  const rotated = (meta.orientation || 1) >= 5;
+  const sourceWidth = rotated ? meta.height : meta.width;
+  const sourceHeight = rotated ? meta.width : meta.height;
+
+  const opts = parsePrintOptions(options, { sourceWidth, sourceHeight });
+  const hash = optionsHash(opts);
+  const key = `${baseKey}.print-${hash}.tif`;
+
+  const genMeta = gen.mg_meta && typeof gen.mg_meta === "object" ? gen.mg_meta : {};
+  const existing = (Array.isArray(genMeta.print_exports) ? genMeta.print_exports : []).find((p) => p?.id === hash);
+  if (existing && !existing.bleed_fallback && (await r2ObjectExists(key).catch(() => false))) {
+    return toPrintExport(existing, true);
+  }
+
+  // a fallback render's expand may have finished since
+  const previous = existing?.expand_generation_id
+    ? { expandGenerationId: existing.expand_generation_id, trimUploadUrl: existing.trim_upload_url || null }
+    : null;
+  const rendered = await renderPrint({ source, sourceWidth, sourceHeight, opts, baseKey, hash, passId: gen.mg_pass_id, previous });
+  const { publicUrl } = await putBufferToR2({ key, buffer: rendered.buffer, contentType: "image/tiff" });
+
+  // what the source really supports at this size (below dpi = upscaled)
+  const fitScale = opts.fit === "cover" ? Math.max : Math.min;
+  const scale = fitScale(opts.trimPx[0] / sourceWidth, opts.trimPx[1] / sourceHeight);
+  const entry = {
+    id: hash,
+    key,
+    url: publicUrl,
+    trim_mm: opts.trimMm,
+    bleed_mm: opts.bleedMm,
+    bleed_mode: rendered.bleedModeUsed,
+    bleed_fallback: rendered.bleedFallback || null,
+    dpi: opts.dpi,
+    fit: opts.fit,
+    pixels: opts.canvasPx,
+    effective_dpi: Math.round(opts.dpi / Math.max(scale, 1e-9)),
+    icc: PRINT_ICC_PROFILE.split("/").pop(),
+    size: rendered.buffer.length,
+    expand_generation_id: rendered.expandGenerationId || null,
+    // the trim sent to the expand model; kept so deleting the generation removes it too
+    trim_upload_url: rendered.trimUploadUrl || null,
+    created_at: nowIso(),
+  };
+
+  // recorded even for a fallback render (so it gets deleted with the
+  // generation); that one is just never served from the cache
+  await recordPrintExport(supabase, gen.mg_id, entry);
+  return toPrintExport(entry, false);
+}
+
+// Adds (or replaces) the entry in mg_meta.print_exports. The render can take
+// minutes, so the row is read again here and only written if mg_updated_at hasn't
+// moved since: another write in between (an export from another instance, any
+// other mg_meta change) makes it start over instead of being overwritten.
+async function recordPrintExport(supabase, rowId, entry) {
+  for (let attempt = 0; attempt < RECORD_MAX_ATTEMPTS; attempt += 1) {
+    const { data: row, error } = await supabase
+      .from("mega_generations")
+      .select("mg_meta, mg_updated_at")
+      .eq("mg_id", rowId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!row) throw new Error("GENERATION_NOT_FOUND");
+
+    const meta = row.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+    const kept = (Array.isArray(meta.print_exports) ? meta.print_exports : []).filter((p) => p?.id !== entry.id);
+    let q = supabase
+      .from("mega_generations")
+      .update({ mg_meta: { ...meta, print_exports: [...kept, entry] }, mg_updated_at: nowIso() })
+      .eq("mg_id", rowId);
+    q = row.mg_updated_at ? q.eq("mg_updated_at", row.mg_updated_at) : q.is("mg_updated_at", null);
+
+    const { data: updated, error: updErr } = await q.select("mg_id");
+    if (updErr) throw updErr;
+    if (Array.isArray(updated) && updated.length) return;
+  }
+  throw new Error("PRINT_EXPORT_CONFLICT");
+}
@@ -0,0 +1,452 @@
+// server/privacy.js — Personal-data packages, redaction and deletion for MEGA passes
+// Used by the Shopify GDPR webhooks (customers/data_request, customers/redact,
+// shop/redact) and DELETE /account. A redaction keeps the ledger (credit rows move to an anonymous
+// pass, so totals still reconcile) and scrubs everything that identifies a person.
+"use strict";
+
+import crypto from "node:crypto";
+import { getSupabaseAdmin } from "../supabase.js";
+import { deleteR2Keys, deleteR2Prefixes, keyFromPublicUrl, listR2Keys } from "../r2.js";
+import { derivativePrefixes } from "./image-derivatives.js";
+import { manifestKeyFor } from "./provenance.js";
+import { nowIso, safeString } from "./helpers.js";
+
+const PAGE = 1000;
+
+// Ledger-like rows survive a redaction (re-pointed to the anonymous pass).
+const LEDGER_RECORD_TYPES = ["credit_transaction", "credit_lot", "credit_hold"];
+
+// Rows that make up someone's data package.
+const PACKAGE_RECORD_TYPES = ["generation", "session", "feedback", "credit_transaction", "mma_event", "collection", "collection_item", "share"];
+
+function requireSupabase() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+  return supabase;
+}
+
+async function selectAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE) return rows;
+  }
+}
+
+export function anonymousPassId(passId) {
+  return `pass:redacted:${crypto.createHash("sha256").update(String(passId)).digest("hex").slice(0, 24)}`;
+}
+
+// ============================================================================
+// Locate
+// ============================================================================
+export async function findPassIdsForShopifyCustomer({ shopifyCustomerId, email }) {
+  const supabase = requireSupabase();
+  const cid = safeString(shopifyCustomerId, "");
+  const em = safeString(email, "").toLowerCase();
+
+  const found = new Set();
+  const add = (rows) => (rows || []).forEach((r) => r?.mg_pass_id && found.add(r.mg_pass_id));
+
+  if (cid) {
+    const { data, error } = await supabase
+      .from("mega_customers")
+      .select("mg_pass_id")
+      .eq("mg_shopify_customer_id", cid)
+      .limit(50);
+    if (error) throw error;
+    add(data);
+  }
+
+  if (em) {
+    const { data, error } = await supabase.from("mega_customers").select("mg_pass_id").eq("mg_email", em).limit(50);
+    if (error) throw error;
+    add(data);
+  }
+
+  return Array.from(found);
+}
+
+// ============================================================================
+// Data package
+// ============================================================================
+export async function collectAccountData({ passIds }) {
+  const supabase = requireSupabase();
+  const ids = Array.from(new Set((passIds || []).filter(Boolean)));
+  if (!ids.length) return { generatedAt: nowIso(), passIds: [], customers: [], records: {} };
+
+  const { data: customers, error } = await supabase
+    .from("mega_customers")
+    .select(
+      "mg_pass_id, mg_email, mg_user_id, mg_shopify_customer_id, mg_first_name, mg_last_name, mg_display_name, mg_locale, mg_timezone, mg_marketing_opt_in, mg_product_updates_opt_in, mg_credits, mg_expires_at, mg_mma_preferences, mg_last_active, mg_created_at"
+    )
+    .in("mg_pass_id", ids);
+  if (error) throw error;
+
+  const rows = await selectAll(() =>
+    supabase
+      .from("mega_generations")
+      .select(
+        "mg_id, mg_record_type, mg_pass_id, mg_generation_id, mg_session_id, mg_platform, mg_title, mg_type, mg_prompt, mg_output_url, mg_image_url, mg_video_url, mg_comment, mg_mma_mode, mg_mma_vars, mg_delta, mg_reason, mg_source, mg_ref_type, mg_ref_id, mg_meta, mg_created_at, mg_deleted_at"
+      )
+      .in("mg_pass_id", ids)
+      .in("mg_record_type", PACKAGE_RECORD_TYPES)
+      .order("mg_created_at", { ascending: true })
+  );
+
+  const records = {};
+  for (const type of PACKAGE_RECORD_TYPES) records[type] = [];
+
+  for (const r of rows) {
+    const vars = r.mg_mma_vars && typeof r.mg_mma_vars === "object" ? r.mg_mma_vars : null;
+    records[r.mg_record_type]?.push({
+      id: r.mg_id,
+      passId: r.mg_pass_id,
+      createdAt: r.mg_created_at,
+      // in the history trash (still stored until purged)
+      deletedAt: r.mg_deleted_at || null,
+      generationId: r.mg_generation_id || null,
+      sessionId: r.mg_session_id || null,
+      platform: r.mg_platform || null,
+      title: r.mg_title || null,
+      type: r.mg_type || null,
+      mode: r.mg_mma_mode || null,
+      prompt: r.mg_prompt || null,
+      outputUrl: r.mg_output_url || null,
+      imageUrl: r.mg_image_url || null,
+      videoUrl: r.mg_video_url || null,
+      comment: r.mg_comment || null,
+      // what the person typed/uploaded, not provider internals
+      inputs: vars ? { inputs: vars.inputs ?? null, assets: vars.assets ?? null } : null,
+      delta: r.mg_delta ?? null,
+      reason: r.mg_reason || null,
+      source: r.mg_source || null,
+      refType: r.mg_ref_type || null,
+      refId: r.mg_ref_id || null,
+      meta: r.mg_record_type === "generation" ? null : r.mg_meta ?? null,
+    });
+  }
+
+  return {
+    generatedAt: nowIso(),
+    passIds: ids,
+    customers: (customers || []).map((c) => ({
+      passId: c.mg_pass_id,
+      email: c.mg_email || null,
+      userId: c.mg_user_id || null,
+      shopifyCustomerId: c.mg_shopify_customer_id || null,
+      firstName: c.mg_first_name || null,
+      lastName: c.mg_last_name || null,
+      displayName: c.mg_display_name || null,
+      locale: c.mg_locale || null,
+      timezone: c.mg_timezone || null,
+      marketingOptIn: c.mg_marketing_opt_in ?? null,
+      productUpdatesOptIn: c.mg_product_updates_opt_in ?? null,
+      credits: c.mg_credits ?? 0,
+      creditsExpireAt: c.mg_expires_at || null,
+      preferences: c.mg_mma_preferences || {},
+      lastActive: c.mg_last_active || null,
+      createdAt: c.mg_created_at || null,
+    })),
+    records,
+  };
+}
+
+// ============================================================================
+// Redaction
+// ============================================================================
+// Only objects the pass provably owns are deleted: outputs of its own
+// generations, and its uploads. URLs found in vars/meta are never deleted —
+// anyone can put another person's asset URL in their inputs.
+
+// Upload folders keyed by the raw pass id (r2.js makeKey). Uploads sit directly
+// in the folder, so it is listed shallow: "uploads/a/" must not take the files
+// of a pass called "a/b". Ids that are not a single path segment get no
+// folders. The presign gateway (server/index.js) files uploads under a
+// sanitised id that several passes can share, so those are not deleted.
+const UPLOAD_KINDS = ["product", "logo", "inspiration", "style", "style_hero", "start", "end", "generation", "generations", "mma", "uploads"];
+
+// mma/<pid>/ must never resolve to the shared output folders
+const RESERVED_UPLOAD_FOLDERS = new Set(["still", "video", "ugc", ".", ".."]);
+
+function passUploadPrefixes(passId) {
+  const pid = String(passId || "");
+  if (!pid || pid.includes("/") || RESERVED_UPLOAD_FOLDERS.has(pid)) return [];
+  return UPLOAD_KINDS.map((kind) => `${kind}/${pid}/`);
+}
+
+async function listPassUploadKeys(passId) {
+  const keys = [];
+  for (const prefix of passUploadPrefixes(passId)) keys.push(...(await listR2Keys(prefix, { shallow: true })));
+  return keys;
+}
+
+export function generationAssetPrefixes(generationId) {
+  const g = String(generationId);
+  const prefixes = [`mma/still/${g}.`, `mma/video/${g}.`, `mma/ugc/${g}/`];
+  return [...prefixes, ...derivativePrefixes(prefixes)];
+}
+
+// Output key of a generation row, if it is one the server wrote for that
+// generation (mma/still/<gid>.png, fingertips/<model>/<gid>.png, ...).
+function ownedOutputKey(row) {
+  const gid = safeString(row.mg_generation_id, "");
+  if (!gid) return "";
+  const key = safeString(row.mg_output_key, "") || keyFromPublicUrl(row.mg_output_url);
+  if (!key) return "";
+  const file = key.split("/").pop() || "";
+  const owned = file.startsWith(`${gid}.`) || key.includes(`/${gid}/`);
+  return owned ? key : "";
+}
+
+// Print exports of a generation (server/print-export.js): the TIFFs and the trims
+// sent to the expand model, listed in mg_meta.print_exports and stored next to
+// the output as <output key without ext>.print-*. Entries pointing anywhere else are ignored.
+export function printExportKeys(row) {
+  const exports = Array.isArray(row.mg_meta?.print_exports) ? row.mg_meta.print_exports : [];
+  const outputKey = ownedOutputKey(row);
+  if (!exports.length || !outputKey) return [];
+  const base = `${outputKey.replace(/\.[a-z0-9]{2,5}$/i, "")}.print-`;
+  const keys = exports
+    .flatMap((p) => [p?.key, keyFromPublicUrl(p?.url), keyFromPublicUrl(p?.trim_upload_url)])
+    .filter((k) => typeof k === "string" && k.startsWith(base));
+  return Array.from(new Set(keys));
+}
+
+// R2 objects belonging to the pass: its generations' outputs (+ manifests,
+// derivatives and print exports), the MMA folders of its generations, its
+// exports and its uploads.
+async function collectPassAssets(supabase, passId) {
+  const rows = await selectAll(() =>
+    supabase
+      .from("mega_generations")
+      .select("mg_id, mg_record_type, mg_generation_id, mg_output_url, mg_output_key, mg_meta")
+      .eq("mg_pass_id", passId)
+      .in("mg_record_type", ["generation", "account_export"])
+  );
+
+  const keys = new Set();
+  const privateKeys = new Set();
+  const prefixes = new Set();
+
+  for (const r of rows) {
+    if (r.mg_record_type === "account_export") {
+      if (r.mg_meta?.key) privateKeys.add(String(r.mg_meta.key));
+      continue;
+    }
+    if (!r.mg_generation_id) continue;
+    generationAssetPrefixes(r.mg_generation_id).forEach((x) => prefixes.add(x));
+    // fingertips outputs live outside the MMA prefixes
+    const outputKey = ownedOutputKey(r);
+    if (outputKey) {
+      keys.add(outputKey);
+      keys.add(manifestKeyFor(outputKey));
+      derivativePrefixes([`${outputKey}/`]).forEach((x) => prefixes.add(x));
+    }
+    printExportKeys(r).forEach((k) => keys.add(k));
+  }
+
+  const uploadKeys = await listPassUploadKeys(passId);
+  uploadKeys.forEach((k) => keys.add(k));
+  derivativePrefixes(uploadKeys.map((k) => `${k}/`)).forEach((x) => prefixes.add(x));
+
+  return { keys: Array.from(keys), privateKeys: Array.from(privateKeys), prefixes: Array.from(prefixes) };
+}
+
+async function deletePassAssets(supabase, passId) {
+  const { keys, privateKeys, prefixes } = await collectPassAssets(supabase, passId);
+  const total = { deleted: 0, errors: [] };
+
+  const steps = [
+    () => (keys.length ? deleteR2Keys(keys) : null),
+    () => (privateKeys.length ? deleteR2Keys(privateKeys, { privateBucket: true }) : null),
+    () => deleteR2Prefixes(prefixes),
+  ];
+  for (const step of steps) {
+    try {
+      const out = await step();
+      if (!out) continue;
+      total.deleted += out.deleted;
+      total.errors.push(...out.errors);
+    } catch (e) {
+      total.errors.push({ code: "R2_DELETE_FAILED", message: e?.message || String(e) });
+    }
+  }
+  return total;
+}
+
+// Scrub one pass: delete its R2 assets, blank (or, with deleteRows, delete)
+// every non-ledger row, move what's left to an anonymous pass (credits carried
+// over) and drop the original customer row. Returns counts only — nothing identifying.
+export async function redactPass(passId, { reason = "redacted", deleteRows = false } = {}) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+  if (pid.startsWith("pass:redacted:")) return { skipped: true };
+
+  const anonId = anonymousPassId(pid);
+  const ts = nowIso();
+
+  // 1) assets
+  const assets = await deletePassAssets(supabase, pid);
+
+  // 2) content
+  const content = deleteRows
+    ? supabase.from("mega_generations").delete()
+    : supabase.from("mega_generations").update({
+        mg_title: null,
+        mg_prompt: null,
+        mg_output_url: null,
+        mg_output_key: null,
+        mg_image_url: null,
+        mg_video_url: null,
+        mg_comment: null,
+        mg_error: null,
+        mg_mma_vars: {},
+        mg_payload: null,
+        mg_meta: { redacted: true, redacted_at: ts, reason },
+        mg_updated_at: ts,
+      });
+  const { data: scrubbed, error: scrubErr } = await content
+    .eq("mg_pass_id", pid)
+    .not("mg_record_type", "in", `(${LEDGER_RECORD_TYPES.join(",")})`)
+    .select("mg_id");
+  if (scrubErr) throw scrubErr;
+
+  // 3) anonymous pass takes over the rows (ledger totals keep reconciling)
+  const { data: cust, error: custErr } = await supabase
+    .from("mega_customers")
+    .select("mg_credits, mg_expires_at, mg_created_at")
+    .eq("mg_pass_id", pid)
+    .maybeSingle();
+  if (custErr) throw custErr;
+
+  const { count: remaining, error: countErr } = await supabase
+    .from("mega_generations")
+    .select("mg_id", { count: "exact", head: true })
+    .eq("mg_pass_id", pid);
+  if (countErr) throw countErr;
+
+  // a candidate id nothing was ever stored under: no anonymous pass needed
+  if (!cust && !remaining) {
+    return {
+      anonymousPassId: null,
+      [deleteRows ? "rowsDeleted" : "rowsScrubbed"]: scrubbed?.length || 0,
+      rowsMoved: 0,
+      assetsDeleted: assets.deleted,
+      assetErrors: assets.errors.length,
+    };
+  }
+
+  const { error: anonErr } = await supabase.from("mega_customers").upsert(
+    {
+      mg_pass_id: anonId,
+      mg_shopify_customer_id: null,
+      mg_user_id: null,
+      mg_email: null,
+      mg_mma_preferences: {},
+      mg_credits: cust?.mg_credits ?? 0,
+      mg_expires_at: cust?.mg_expires_at ?? null,
+      mg_disabled: true,
+      mg_created_at: cust?.mg_created_at || ts,
+      mg_updated_at: ts,
+    },
+    { onConflict: "mg_pass_id" }
+  );
+  if (anonErr) throw anonErr;
+
+  const { data: moved, error: moveErr } = await supabase
+    .from("mega_generations")
+    .update({ mg_pass_id: anonId, mg_updated_at: ts })
+    .eq("mg_pass_id", pid)
+    .select("mg_id");
+  if (moveErr) throw moveErr;
+
+  const { error: adminErr } = await supabase
+    .from("mega_admin")
+    .update({ mg_actor_pass_id: anonId, mg_updated_at: ts })
+    .eq("mg_actor_pass_id", pid);
+  if (adminErr) throw adminErr;
+
+  const { error: delErr } = await supabase.from("mega_customers").delete().eq("mg_pass_id", pid);
+  if (delErr) throw delErr;
+
+  return {
+    anonymousPassId: anonId,
+    [deleteRows ? "rowsDeleted" : "rowsScrubbed"]: scrubbed?.length || 0,
+    rowsMoved: moved?.length || 0,
+    assetsDeleted: assets.deleted,
+    assetErrors: assets.errors.length,
+  };
+}
+
+// Account deletion: every linked pass loses its rows and assets; only the
+// anonymised ledger survives. Stored Shopify payloads for those people are scrubbed too.
+export async function deleteAccountData({ passIds, reason = "account-deleted" }) {
+  const supabase = requireSupabase();
+  const ids = Array.from(new Set((passIds || []).map((p) => safeString(p, "")).filter(Boolean)));
+  if (!ids.length) return { passes: 0, results: [], webhookPayloadsScrubbed: 0 };
+
+  const { data: customers, error } = await supabase
+    .from("mega_customers")
+    .select("mg_pass_id, mg_email, mg_shopify_customer_id")
+    .in("mg_pass_id", ids);
+  if (error) throw error;
+
+  const results = [];
+  for (const pid of ids) results.push(await redactPass(pid, { reason, deleteRows: true }));
+
+  let webhookPayloadsScrubbed = 0;
+  for (const c of customers || []) {
+    if (!c.mg_email && !c.mg_shopify_customer_id) continue;
+    const { scrubbed } = await scrubShopifyPayloads({ shopifyCustomerId: c.mg_shopify_customer_id, email: c.mg_email });
+    webhookPayloadsScrubbed += scrubbed;
+  }
+
+  return { passes: results.filter((r) => !r.skipped).length, results, webhookPayloadsScrubbed };
+}
+
+// Stored Shopify payloads carry names, emails and addresses; keep only the ids.
+export async function scrubShopifyPayloads({ shopifyCustomerId = null, email = null, shopDomain = null } = {}) {
+  const supabase = requireSupabase();
+  const filters = [];
+  const cid = safeString(shopifyCustomerId, "");
+  const em = safeString(email, "").toLowerCase();
+  if (cid) filters.push(`mg_payload->customer->>id.eq.${cid}`);
+  if (em) filters.push(`mg_payload->>email.eq."${em}"`, `mg_payload->customer->>email.eq."${em}"`);
+  if (shopDomain) filters.push(`mg_meta->>shop_domain.eq."${shopDomain}"`);
+  if (!filters.length) return { scrubbed: 0 };
+
+  const rows = await selectAll(() =>
+    supabase
+      .from("mega_admin")
+      .select("mg_id, mg_payload")
+      .eq("mg_record_type", "shopify_webhook")
+      .or(filters.join(","))
+  );
+
+  const ts = nowIso();
+  let scrubbed = 0;
+  for (const r of rows) {
+    const p = r.mg_payload && typeof r.mg_payload === "object" ? r.mg_payload : {};
+    const { error } = await supabase
+      .from("mega_admin")
+      .update({
+        mg_payload: {
+          redacted: true,
+          redacted_at: ts,
+          id: p.id ?? null,
+          order_id: p.order_id ?? null,
+          customer: p.customer?.id != null ? { id: p.customer.id } : null,
+        },
+        mg_updated_at: ts,
+      })
+      .eq("mg_id", r.mg_id);
+    if (error) throw error;
+    scrubbed += 1;
+  }
+
+  return { scrubbed };
+}
@@ -0,0 +1,224 @@
+// server/provenance.js — Provenance for generated outputs: XMP in stills, JSON manifest sidecars, verification
+// Stills are re-saved with an XMP packet carrying the IPTC photo metadata fields
+// (Credit Line, Digital Source Type "trainedAlgorithmicMedia") plus our generation
+// id and engine. Every stored output, stills and videos, gets a manifest at
+// <output key without ext>.provenance.json holding the same fields and the sha256
+// of the stored bytes, so it is deleted with the output (generationAssetPrefixes).
+// Outputs are public URLs: prompts and pass ids are never written.
+"use strict";
+
+import crypto from "node:crypto";
+import sharp from "sharp";
+import { getR2ObjectBuffer, keyFromPublicUrl } from "../r2.js";
+import { nowIso, safeString } from "./helpers.js";
+
+// ============================================================================
+// Config
+// ============================================================================
+const PROVENANCE_ENABLED = String(process.env.PROVENANCE_ENABLED || "true").toLowerCase() !== "false";
+const PROVENANCE_CREDIT_LINE = safeString(process.env.PROVENANCE_CREDIT_LINE, "") || "Made with Mina";
+const MANIFEST_VERSION = 1;
+export const MANIFEST_SUFFIX = ".provenance.json";
+
+const MINA_XMP_NS = "https://mina.faltastudio.com/ns/provenance/1.0/";
+// IPTC NewsCodes digital source type for fully AI-generated media
+const AI_SOURCE_TYPE = "http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia";
+
+export const PROVENANCE_ERRORS = {
+  EMPTY_FILE: 400,
+};
+
+export function provenanceEnabled() {
+  return PROVENANCE_ENABLED;
+}
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// Fields written to both the XMP packet and the manifest.
+export function buildProvenance({ generationId, engine = "", createdAt = null, manifestUrl = "" } = {}) {
+  return {
+    ai_generated: true,
+    digital_source_type: AI_SOURCE_TYPE,
+    credit: PROVENANCE_CREDIT_LINE,
+    generation_id: safeString(generationId, ""),
+    engine: safeString(engine, ""),
+    created_at: createdAt || nowIso(),
+    manifest_url: safeString(manifestUrl, ""),
+  };
+}
+
+// ============================================================================
+// XMP
+// ============================================================================
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function xmlUnescape(s) {
+  return String(s ?? "")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&#039;", "'")
+    .replaceAll("&apos;", "'")
+    .replaceAll("&amp;", "&");
+}
+
+export function buildXmp(p) {
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '  <rdf:Description rdf:about=""',
+    '    xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    '    xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"',
+    '    xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/"',
+    `    xmlns:mina="${MINA_XMP_NS}">`,
+    `   <xmp:CreateDate>${xmlEscape(p.created_at)}</xmp:CreateDate>`,
+    "   <xmp:CreatorTool>Mina</xmp:CreatorTool>",
+    `   <photoshop:Credit>${xmlEscape(p.credit)}</photoshop:Credit>`,
+    `   <Iptc4xmpExt:DigitalSourceType>${xmlEscape(p.digital_source_type)}</Iptc4xmpExt:DigitalSourceType>`,
+    `   <mina:AIGenerated>${p.ai_generated ? "True" : "False"}</mina:AIGenerated>`,
+    `   <mina:GenerationId>${xmlEscape(p.generation_id)}</mina:GenerationId>`,
+    `   <mina:Engine>${xmlEscape(p.engine)}</mina:Engine>`,
+    `   <mina:Manifest>${xmlEscape(p.manifest_url)}</mina:Manifest>`,
+    "  </rdf:Description>",
+    " </rdf:RDF>",
+    "</x:xmpmeta>",
+    '<?xpacket end="w"?>',
+  ].join("\n");
+}
+
+// Element (<ns:Name>v</ns:Name>, also inside rdf:Alt) or attribute (ns:Name="v") form;
+// editors rewrite packets in either.
+function xmpField(xml, name) {
+  const el = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`).exec(xml);
+  const attr = el ? null : new RegExp(`\\s${name}="([^"]*)"`).exec(xml);
+  const raw = el ? el[1].replace(/<[^>]+>/g, "") : attr ? attr[1] : null;
+  return raw === null ? null : xmlUnescape(raw.trim()) || null;
+}
+
+// → provenance fields found in an XMP packet, or null when it has none of them
+export function parseXmp(xmp) {
+  const xml = Buffer.isBuffer(xmp) ? xmp.toString("utf8") : String(xmp || "");
+  if (!xml) return null;
+
+  const sourceType = xmpField(xml, "Iptc4xmpExt:DigitalSourceType");
+  const fields = {
+    ai_generated: xmpField(xml, "mina:AIGenerated") === "True" || /AlgorithmicMedia$/i.test(sourceType || ""),
+    digital_source_type: sourceType,
+    credit: xmpField(xml, "photoshop:Credit"),
+    generation_id: xmpField(xml, "mina:GenerationId"),
+    engine: xmpField(xml, "mina:Engine"),
+    created_at: xmpField(xml, "xmp:CreateDate"),
+    manifest_url: xmpField(xml, "mina:Manifest"),
+  };
+  return Object.values(fields).some(Boolean) ? fields : null;
+}
+
+// Re-saves a still with the XMP packet (existing EXIF and ICC profile kept).
+// PNG stays lossless; JPEG and WebP are re-encoded at quality 95.
+// → Buffer, or null for formats we don't write (stored as they are).
+export async function embedProvenance(buffer, provenance) {
+  const img = sharp(buffer, { failOn: "none" });
+  const { format } = await img.metadata();
+
+  let out = img.keepExif().keepIccProfile().withXmp(buildXmp(provenance));
+  if (format === "png") out = out.png();
+  else if (format === "jpeg") out = out.jpeg({ quality: 95, chromaSubsampling: "4:4:4" });
+  else if (format === "webp") out = out.webp({ quality: 95 });
+  else return null;
+
+  return out.toBuffer();
+}
+
+// ============================================================================
+// Manifests
+// ============================================================================
+// mma/still/<gid>.png → mma/still/<gid>.provenance.json
+export function manifestKeyFor(objectKey) {
+  return `${String(objectKey).replace(/\.[a-z0-9]{2,5}$/i, "")}${MANIFEST_SUFFIX}`;
+}
+
+export function buildManifest({ provenance, buffer, url, contentType, xmpEmbedded = false }) {
+  const ct = safeString(contentType, "application/octet-stream");
+  return {
+    version: MANIFEST_VERSION,
+    ...provenance,
+    xmp_embedded: !!xmpEmbedded,
+    media: {
+      type: ct.startsWith("video/") ? "video" : "image",
+      url,
+      content_type: ct,
+      bytes: buffer.length,
+      sha256: sha256(buffer),
+    },
+  };
+}
+
+// Where a generation's MMA outputs keep their manifests (fingertips outputs are
+// only found through the manifest URL embedded in them)
+function manifestKeysForGeneration(generationId) {
+  return [
+    `mma/still/${generationId}${MANIFEST_SUFFIX}`,
+    `mma/video/${generationId}${MANIFEST_SUFFIX}`,
+    `mma/ugc/${generationId}/final${MANIFEST_SUFFIX}`,
+  ];
+}
+
+async function loadManifests(keys) {
+  const bodies = await Promise.all(keys.map((k) => getR2ObjectBuffer(k)));
+  const out = [];
+  for (const body of bodies) {
+    if (!body) continue;
+    try {
+      out.push(JSON.parse(body.toString("utf8")));
+    } catch {}
+  }
+  return out;
+}
+
+// ============================================================================
+// Verification
+// ============================================================================
+// Reads provenance back from any file. Embedded XMP alone proves nothing (anyone
+// can write it); "verified" means the bytes match one of our manifests. The
+// manifest is looked up from the embedded manifest URL / generation id, or
+// `generationId` for files without XMP (videos, stills re-saved elsewhere).
+export async function verifyProvenance(buffer, { generationId = "" } = {}) {
+  if (!buffer || !buffer.length) throw new Error("EMPTY_FILE");
+
+  const digest = sha256(buffer);
+  let format = null;
+  let embedded = null;
+  try {
+    const meta = await sharp(buffer, { failOn: "none" }).metadata();
+    format = meta.format || null;
+    embedded = meta.xmp ? parseXmp(meta.xmp) : null;
+  } catch {
+    // not an image sharp can read (videos, documents)
+  }
+
+  const keys = new Set();
+  const embeddedKey = keyFromPublicUrl(embedded?.manifest_url);
+  if (embeddedKey.endsWith(MANIFEST_SUFFIX)) keys.add(embeddedKey);
+  const gid = safeString(embedded?.generation_id || generationId, "");
+  if (/^[A-Za-z0-9_-]{1,128}$/.test(gid)) manifestKeysForGeneration(gid).forEach((k) => keys.add(k));
+
+  const manifests = keys.size ? await loadManifests(Array.from(keys)) : [];
+  const matching = manifests.find((m) => m?.media?.sha256 === digest) || null;
+
+  return {
+    verdict: matching ? "verified" : embedded ? "metadata_only" : "unknown",
+    file: { bytes: buffer.length, sha256: digest, format },
+    embedded,
+    manifest: matching || manifests[0] || null,
+    matchesManifest: !!matching,
+  };
+}
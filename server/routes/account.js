@@ -0,0 +1,157 @@
+// server/routes/account.js — /account/export (self-service data export), DELETE /account
+"use strict";
+
+import express from "express";
+import crypto from "node:crypto";
+import { getSupabaseAdmin, sbEnabled, logAdminAction } from "../../supabase.js";
+import { safeString, normalizeIncomingPassId, setPassIdHeader } from "../helpers.js";
+import { getAuthUser } from "../auth-helpers.js";
+import { requestAccountExport, getAccountExport, describeAccountExport } from "../account-export.js";
+import { buildPassCandidates } from "../history-router.js";
+import { deleteAccountData } from "../privacy.js";
+
+const router = express.Router();
+
+// Pass id the client sent (body / query / X-Mina-Pass-Id), "" when none.
+function requestPassId(req) {
+  return normalizeIncomingPassId(
+    req.body?.passId || req.body?.customerId || req.query.passId || req.get("x-mina-pass-id") || ""
+  );
+}
+
+// Passes provably linked to the signed-in user (the /history candidates minus
+// the caller-supplied id): pass:email:<email> and the customer rows carrying
+// their email or user id.
+async function ownedPassIds(authUser, supabase) {
+  return buildPassCandidates({ primaryPassId: "", authUser, supabase });
+}
+
+// The owned form of a requested pass id (legacy anon ids come with or without
+// the pass:anon: prefix), or "" if the user doesn't own it.
+function ownedForm(owned, passId) {
+  if (!passId) return "";
+  return [passId, `pass:anon:${passId}`].find((p) => owned.includes(p)) || "";
+}
+
+function notAuthenticated(res, requestId) {
+  return res.status(401).json({ ok: false, requestId, error: "NOT_AUTHENTICATED", message: "Sign in to continue." });
+}
+
+function passNotOwned(res, requestId) {
+  return res.status(403).json({ ok: false, requestId, error: "PASS_NOT_OWNED", message: "This pass is not linked to your account." });
+}
+
+// POST /account/export → 202 { exportId, status }; poll GET /account/export/:id for the link.
+// Signed-in only; the export covers every pass linked to the user.
+router.post("/account/export", async (req, res) => {
+  const requestId = `export_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const authUser = await getAuthUser(req);
+    if (!authUser) return notAuthenticated(res, requestId);
+
+    const owned = await ownedPassIds(authUser, getSupabaseAdmin());
+    const requested = requestPassId(req);
+    const passId = requested ? ownedForm(owned, requested) : owned[0] || "";
+    if (requested && !passId) return passNotOwned(res, requestId);
+    if (!passId) return res.status(400).json({ ok: false, requestId, error: "MISSING_PASS_ID" });
+    setPassIdHeader(res, passId);
+
+    const { row, created } = await requestAccountExport({ passId, passIds: owned });
+    return res.status(202).json({ ok: true, requestId, passId, created, ...(await describeAccountExport(row)) });
+  } catch (e) {
+    console.error("POST /account/export failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "EXPORT_FAILED", message: e?.message || String(e) });
+  }
+});
+
+router.get("/account/export/:id", async (req, res) => {
+  const requestId = `export_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const authUser = await getAuthUser(req);
+    if (!authUser) return notAuthenticated(res, requestId);
+
+    // someone else's export is indistinguishable from a missing one
+    const owned = await ownedPassIds(authUser, getSupabaseAdmin());
+    const row = await getAccountExport(req.params.id);
+    if (!row || !owned.includes(row.mg_pass_id)) {
+      return res.status(404).json({ ok: false, requestId, error: "NOT_FOUND" });
+    }
+    setPassIdHeader(res, row.mg_pass_id);
+
+    res.set("Cache-Control", "no-store");
+    return res.json({ ok: true, requestId, passId: row.mg_pass_id, ...(await describeAccountExport(row)) });
+  } catch (e) {
+    console.error("GET /account/export/:id failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "EXPORT_FAILED", message: e?.message || String(e) });
+  }
+});
+
+// DELETE /account  body: { confirm: "DELETE" }
+// Signed-in only. Deletes every pass linked to the user, their rows and R2
+// assets; the credit ledger survives only on anonymous passes.
+router.delete("/account", async (req, res) => {
+  const requestId = `acctdel_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const authUser = await getAuthUser(req);
+    if (!authUser) return notAuthenticated(res, requestId);
+
+    if (safeString(req.body?.confirm, "") !== "DELETE") {
+      return res.status(400).json({
+        ok: false,
+        requestId,
+        error: "CONFIRMATION_REQUIRED",
+        message: 'Send { "confirm": "DELETE" } to delete this account.',
+      });
+    }
+
+    const supabase = getSupabaseAdmin();
+    const passIds = await ownedPassIds(authUser, supabase);
+    const requested = requestPassId(req);
+    if (requested && !ownedForm(passIds, requested)) return passNotOwned(res, requestId);
+
+    const out = await deleteAccountData({ passIds });
+
+    // the login goes too, otherwise signing in again recreates the pass
+    const { error: authErr } = await supabase.auth.admin.deleteUser(authUser.userId);
+    if (authErr) console.error("[account] auth user delete failed", authErr.message || authErr);
+    const authUserDeleted = !authErr;
+
+    const assetErrors = out.results.reduce((n, r) => n + (r.assetErrors || 0), 0);
+    void logAdminAction({
+      userId: authUser.userId,
+      action: "account.delete",
+      status: 200,
+      route: "/account",
+      method: "DELETE",
+      // no email / pass ids: only the anonymous passes the ledger now lives on
+      detail: {
+        requestId,
+        passes: out.passes,
+        anonymous_pass_ids: out.results.map((r) => r.anonymousPassId).filter(Boolean),
+        rows_deleted: out.results.reduce((n, r) => n + (r.rowsDeleted || 0), 0),
+        assets_deleted: out.results.reduce((n, r) => n + (r.assetsDeleted || 0), 0),
+        asset_errors: assetErrors,
+        webhook_payloads_scrubbed: out.webhookPayloadsScrubbed,
+        auth_user_deleted: authUserDeleted,
+      },
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    return res.json({ ok: true, requestId, deleted: true, passes: out.passes, assetErrors, authUserDeleted });
+  } catch (e) {
+    console.error("DELETE /account failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "ACCOUNT_DELETE_FAILED", message: e?.message || String(e) });
+  }
+});
+
+export default router;
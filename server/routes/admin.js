@@ -1,4 +1,4 @@
-// server/routes/admin.js — /admin/summary, /admin/credits/adjust
+// server/routes/admin.js — /admin/summary, /admin/credits/adjust, /admin/shopify/webhooks, /admin/gdpr/requests
 "use strict";
 
 import express from "express";
@@ -7,6 +7,8 @@ import { getSupabaseAdmin, sbEnabled, logAdminAction } from "../../supabase.js";
 import { megaEnsureCustomer, megaAdjustCredits } from "../../mega-db.js";
 import { requireAdmin } from "../../auth.js";
 import { safeString, nowIso } from "../helpers.js";
+import { getShopifyWebhook, listShopifyWebhooks, INBOX_STATES } from "../shopify-inbox.js";
+import { replayShopifyWebhook } from "./shopify-webhook.js";
 
 const router = express.Router();
 
@@ -77,4 +79,129 @@ router.post("/admin/credits/adjust", requireAdmin, async (req, res) => {
   }
 });
 
+// GET /admin/shopify/webhooks?state=dead,failed&limit=50
+router.get("/admin/shopify/webhooks", requireAdmin, async (req, res) => {
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, error: "NO_SUPABASE" });
+
+    const states = safeString(req.query.state, "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter((s) => INBOX_STATES.includes(s));
+    const limit = Math.max(1, Math.min(200, Math.floor(Number(req.query.limit) || 50)));
+
+    const rows = await listShopifyWebhooks({ states, limit });
+    return res.json({
+      ok: true,
+      webhooks: rows.map((r) => ({
+        id: r.mg_id,
+        topic: r.mg_meta?.topic || r.mg_action || null,
+        state: r.mg_meta?.state || null,
+        attempts: Number(r.mg_meta?.attempts || 0),
+        lastError: r.mg_meta?.last_error || null,
+        nextAttemptAt: r.mg_meta?.next_attempt_at || null,
+        result: r.mg_meta?.result || null,
+        receivedAt: r.mg_created_at,
+        updatedAt: r.mg_updated_at,
+      })),
+    });
+  } catch (e) {
+    console.error("GET /admin/shopify/webhooks failed", e);
+    return res.status(500).json({ ok: false, error: "ADMIN_WEBHOOKS_FAILED", message: e?.message || String(e) });
+  }
+});
+
+router.get("/admin/shopify/webhooks/:id", requireAdmin, async (req, res) => {
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, error: "NO_SUPABASE" });
+
+    const row = await getShopifyWebhook(req.params.id);
+    if (!row) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    return res.json({ ok: true, webhook: row });
+  } catch (e) {
+    console.error("GET /admin/shopify/webhooks/:id failed", e);
+    return res.status(500).json({ ok: false, error: "ADMIN_WEBHOOKS_FAILED", message: e?.message || String(e) });
+  }
+});
+
+// Re-runs a stored webhook (dead, failed or even processed — processors are idempotent).
+router.post("/admin/shopify/webhooks/:id/replay", requireAdmin, async (req, res) => {
+  const requestId = `admhook_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const out = await replayShopifyWebhook(req.params.id, { actor: req.user?.email || req.user?.userId || null });
+    if (!out) return res.status(404).json({ ok: false, requestId, error: "NOT_FOUND" });
+
+    const status = out.busy ? 409 : 200;
+    void logAdminAction({
+      userId: req.user?.userId,
+      email: req.user?.email,
+      action: "admin.shopify_webhook.replay",
+      status,
+      route: "/admin/shopify/webhooks/:id/replay",
+      method: "POST",
+      detail: { id: out.id, state: out.meta?.state || null },
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    if (out.busy) {
+      return res.status(409).json({ ok: false, requestId, error: "WEBHOOK_PROCESSING", id: out.id });
+    }
+
+    return res.json({
+      ok: out.meta?.state === "processed",
+      requestId,
+      id: out.id,
+      state: out.meta?.state || null,
+      result: out.meta?.result || null,
+      lastError: out.meta?.last_error || null,
+    });
+  } catch (e) {
+    console.error("POST /admin/shopify/webhooks/:id/replay failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "ADMIN_WEBHOOK_REPLAY_FAILED", message: e?.message || String(e) });
+  }
+});
+
+// Data package built for a Shopify customers/data_request (id = Shopify data_request id).
+router.get("/admin/gdpr/requests/:id", requireAdmin, async (req, res) => {
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, error: "NO_SUPABASE" });
+
+    const supabase = getSupabaseAdmin();
+    const rid = safeString(req.params.id, "").replace(/^gdpr_request:/, "");
+    const { data, error } = await supabase
+      .from("mega_admin")
+      .select("mg_id, mg_payload, mg_meta, mg_created_at")
+      .eq("mg_id", `gdpr_request:${rid}`)
+      .eq("mg_record_type", "gdpr_request")
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    void logAdminAction({
+      userId: req.user?.userId,
+      email: req.user?.email,
+      action: "admin.gdpr_request.download",
+      status: 200,
+      route: "/admin/gdpr/requests/:id",
+      method: "GET",
+      detail: { id: data.mg_id },
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    if (String(req.query.download || "") === "1") {
+      res.setHeader("Content-Disposition", `attachment; filename="mina-data-request-${rid.replace(/[^\w-]/g, "")}.json"`);
+    }
+    return res.json({ ok: true, id: data.mg_id, createdAt: data.mg_created_at, meta: data.mg_meta, package: data.mg_payload });
+  } catch (e) {
+    console.error("GET /admin/gdpr/requests/:id failed", e);
+    return res.status(500).json({ ok: false, error: "ADMIN_GDPR_FAILED", message: e?.message || String(e) });
+  }
+});
+
 export default router;
@@ -0,0 +1,135 @@
+// server/routes/collections.js — /collections (boards of generations owned by a pass)
+"use strict";
+
+import express from "express";
+import crypto from "node:crypto";
+import { getSupabaseAdmin, sbEnabled } from "../../supabase.js";
+import { normalizeIncomingPassId, setPassIdHeader } from "../helpers.js";
+import { getAuthUser, resolvePassIdForRequest } from "../auth-helpers.js";
+import { buildPassCandidates } from "../history-router.js";
+import {
+  COLLECTION_ERRORS,
+  listCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionItems,
+  removeCollectionItem,
+  reorderCollectionItems,
+} from "../collections.js";
+
+const router = express.Router();
+
+function requestPassId(req) {
+  const q = normalizeIncomingPassId(req.body?.passId || req.body?.customerId || req.query.passId || "");
+  return q || normalizeIncomingPassId(resolvePassIdForRequest(req, { customerId: q }));
+}
+
+// Runs fn({ passId, passIds }) for the caller. New collections belong to passId;
+// existing ones (and the generations put in them) may belong to any linked pass.
+function collectionRoute(label, fn) {
+  return async (req, res) => {
+    const requestId = `coll_${Date.now()}_${crypto.randomUUID()}`;
+
+    try {
+      if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+      const passId = requestPassId(req);
+      if (!passId) return res.status(400).json({ ok: false, requestId, error: "MISSING_PASS_ID" });
+      setPassIdHeader(res, passId);
+
+      const authUser = await getAuthUser(req);
+      const passIds = await buildPassCandidates({ primaryPassId: passId, authUser, supabase: getSupabaseAdmin() });
+
+      const { status = 200, ...out } = await fn(req, { passId, passIds });
+      return res.status(status).json({ ok: true, requestId, passId, ...out });
+    } catch (e) {
+      const code = e?.message || "";
+      if (COLLECTION_ERRORS[code]) {
+        return res.status(COLLECTION_ERRORS[code]).json({ ok: false, requestId, error: code });
+      }
+      console.error(`${label} failed`, e);
+      return res.status(500).json({ ok: false, requestId, error: "COLLECTION_FAILED", message: e?.message || String(e) });
+    }
+  };
+}
+
+router.get(
+  "/collections",
+  collectionRoute("GET /collections", async (_req, { passIds }) => ({ collections: await listCollections({ passIds }) }))
+);
+
+// body: { name, description? }
+router.post(
+  "/collections",
+  collectionRoute("POST /collections", async (req, { passId }) => ({
+    status: 201,
+    collection: await createCollection({ passId, name: req.body?.name, description: req.body?.description }),
+  }))
+);
+
+// Collection view: metadata + generations in order, with output URLs.
+router.get(
+  "/collections/:id",
+  collectionRoute("GET /collections/:id", async (req, { passIds }) => ({
+    collection: await getCollection({ collectionId: req.params.id, passIds }),
+  }))
+);
+
+// body: { name?, description?, coverGenerationId? } (null cover = first item)
+router.patch(
+  "/collections/:id",
+  collectionRoute("PATCH /collections/:id", async (req, { passIds }) => ({
+    collection: await updateCollection({
+      collectionId: req.params.id,
+      passIds,
+      name: req.body?.name,
+      description: req.body?.description,
+      coverGenerationId: req.body?.coverGenerationId,
+    }),
+  }))
+);
+
+// Deletes the collection and its memberships; the generations stay in history.
+router.delete(
+  "/collections/:id",
+  collectionRoute("DELETE /collections/:id", (req, { passIds }) => deleteCollection({ collectionId: req.params.id, passIds }))
+);
+
+// body: { generationIds: [...], position? } (position = index to insert at; default append)
+router.post(
+  "/collections/:id/items",
+  collectionRoute("POST /collections/:id/items", async (req, { passIds }) => {
+    const ids = req.body?.generationIds ?? (req.body?.generationId ? [req.body.generationId] : []);
+    return {
+      collection: await addCollectionItems({
+        collectionId: req.params.id,
+        passIds,
+        generationIds: Array.isArray(ids) ? ids : [ids],
+        position: req.body?.position ?? null,
+      }),
+    };
+  })
+);
+
+// body: { generationIds: [...] } — the complete new order
+router.put(
+  "/collections/:id/items/order",
+  collectionRoute("PUT /collections/:id/items/order", async (req, { passIds }) => ({
+    collection: await reorderCollectionItems({
+      collectionId: req.params.id,
+      passIds,
+      generationIds: Array.isArray(req.body?.generationIds) ? req.body.generationIds : [],
+    }),
+  }))
+);
+
+router.delete(
+  "/collections/:id/items/:generationId",
+  collectionRoute("DELETE /collections/:id/items/:generationId", async (req, { passIds }) => ({
+    collection: await removeCollectionItem({ collectionId: req.params.id, passIds, generationId: req.params.generationId }),
+  }))
+);
+
+export default router;
@@ -1,4 +1,4 @@
-// server/routes/credits.js — /credits/balance, /sessions/start, /feedback/like
+// server/routes/credits.js — /credits/balance, /credits/ledger, /sessions/start, /feedback/like
 "use strict";
 
 import express from "express";
@@ -6,15 +6,33 @@ import crypto from "node:crypto";
 import { sbEnabled } from "../../supabase.js";
 import {
   megaEnsureCustomer,
-  megaGetCredits,
+  megaGetAvailableCredits,
+  megaGetCreditLots,
+  megaListCreditTransactions,
   megaWriteSession,
   megaWriteFeedback,
 } from "../../mega-db.js";
 import { safeString, nowIso, normalizeIncomingPassId, setPassIdHeader } from "../helpers.js";
 import { getAuthUser, resolvePassIdForRequest } from "../auth-helpers.js";
+import { ledgerCsv, toLedgerEntry } from "../credit-ledger.js";
 
 const router = express.Router();
 
+const LEDGER_PAGE_DEFAULT = Number(process.env.CREDITS_LEDGER_PAGE_DEFAULT || 50) || 50;
+const LEDGER_PAGE_MAX = Number(process.env.CREDITS_LEDGER_PAGE_MAX || 200) || 200;
+const LEDGER_CSV_MAX_ROWS = Number(process.env.CREDITS_LEDGER_CSV_MAX_ROWS || 10000) || 10000;
+const LEDGER_CSV_PAGE = 500;
+
+// "2026-03-01" or a full ISO timestamp; a bare date as `to` includes that whole day.
+function parseLedgerDate(raw, { endOfDay = false } = {}) {
+  const s = safeString(raw, "");
+  if (!s) return null;
+  const t = Date.parse(s);
+  if (!Number.isFinite(t)) return undefined;
+  const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(s);
+  return new Date(endOfDay && dayOnly ? t + 24 * 60 * 60 * 1000 : t).toISOString();
+}
+
 router.get("/credits/balance", async (req, res) => {
   const requestId = `credits_${Date.now()}_${crypto.randomUUID()}`;
 
@@ -28,14 +46,111 @@ router.get("/credits/balance", async (req, res) => {
     const authUser = await getAuthUser(req);
     await megaEnsureCustomer({ passId, userId: authUser?.userId || null, email: authUser?.email || null });
 
-    const { credits, expiresAt } = await megaGetCredits(passId);
-    return res.json({ ok: true, requestId, passId, balance: credits, expiresAt, source: "mega_customers" });
+    // balance = credits on the account; available = balance minus matcha held by in-flight jobs
+    const { credits, held, available, expiresAt } = await megaGetAvailableCredits(passId);
+    // one entry per grant still holding matcha, soonest expiry first (the order charges use them)
+    const lots = await megaGetCreditLots(passId);
+    return res.json({
+      ok: true,
+      requestId,
+      passId,
+      balance: credits,
+      held,
+      available,
+      expiresAt,
+      lots,
+      source: "mega_customers",
+    });
   } catch (e) {
     console.error("GET /credits/balance failed", e);
     return res.status(500).json({ ok: false, requestId, error: "CREDITS_FAILED", message: e?.message || String(e) });
   }
 });
 
+// GET /credits/ledger?passId=&limit=&cursor=&from=&to=&reason=a,b&format=json|csv
+router.get("/credits/ledger", async (req, res) => {
+  const requestId = `ledger_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const q = normalizeIncomingPassId(req.query.customerId || req.query.passId || "");
+    const passId = q || normalizeIncomingPassId(resolvePassIdForRequest(req, { customerId: q }));
+    setPassIdHeader(res, passId);
+
+    const from = parseLedgerDate(req.query.from);
+    const to = parseLedgerDate(req.query.to, { endOfDay: true });
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        ok: false,
+        requestId,
+        error: "INVALID_DATE",
+        message: "from/to must be YYYY-MM-DD or an ISO timestamp.",
+      });
+    }
+
+    const reasons = safeString(req.query.reason, "")
+      .split(",")
+      .map((r) => r.trim())
+      .filter(Boolean)
+      .slice(0, 20);
+
+    const format = safeString(req.query.format, "json").toLowerCase();
+    const filters = { passId, from, to, reasons };
+
+    if (format === "csv") {
+      const entries = [];
+      let cursor = null;
+      let truncated = false;
+
+      do {
+        const page = await megaListCreditTransactions({ ...filters, cursor, limit: LEDGER_CSV_PAGE });
+        entries.push(...page.rows.map(toLedgerEntry));
+        cursor = page.nextCursor;
+        if (cursor && entries.length >= LEDGER_CSV_MAX_ROWS) {
+          truncated = true;
+          break;
+        }
+      } while (cursor);
+
+      const day = new Date().toISOString().slice(0, 10);
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="mina-credits-${day}.csv"`);
+      if (truncated) res.set("X-Ledger-Truncated", "true");
+      return res.send(ledgerCsv(entries.slice(0, LEDGER_CSV_MAX_ROWS)));
+    }
+
+    if (format !== "json") {
+      return res.status(400).json({ ok: false, requestId, error: "INVALID_FORMAT", message: "format must be json or csv." });
+    }
+
+    const limit = Math.max(1, Math.min(LEDGER_PAGE_MAX, Math.floor(Number(req.query.limit) || LEDGER_PAGE_DEFAULT)));
+    const cursor = safeString(req.query.cursor, "") || null;
+
+    let page;
+    try {
+      page = await megaListCreditTransactions({ ...filters, cursor, limit });
+    } catch (e) {
+      if (e?.message === "CURSOR_INVALID") {
+        return res.status(400).json({ ok: false, requestId, error: "INVALID_CURSOR" });
+      }
+      throw e;
+    }
+
+    return res.json({
+      ok: true,
+      requestId,
+      passId,
+      filters: { from, to, reasons },
+      page: { limit, cursor, nextCursor: page.nextCursor, hasMore: page.hasMore, returned: page.rows.length },
+      entries: page.rows.map(toLedgerEntry),
+    });
+  } catch (e) {
+    console.error("GET /credits/ledger failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "LEDGER_FAILED", message: e?.message || String(e) });
+  }
+});
+
 router.post("/sessions/start", async (req, res) => {
   const requestId = `sess_${Date.now()}_${crypto.randomUUID()}`;
 
@@ -1,36 +1,357 @@
-// server/routes/download-proxy.js — /public/download
+// server/routes/download-proxy.js — /public/download, /public/download/bundle
+// Only our R2 assets (isOurAssetUrl) and DOWNLOAD_PROXY_ALLOWED_HOSTS are fetched,
+// redirects included, and bodies are streamed through instead of buffered.
 "use strict";
 
 import express from "express";
+import crypto from "node:crypto";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import archiver from "archiver";
+import { getSupabaseAdmin, sbEnabled } from "../../supabase.js";
+import { isOurAssetUrl } from "../../r2.js";
+import { normalizeIncomingPassId, safeString } from "../helpers.js";
+import { getAuthUser, resolvePassIdForRequest } from "../auth-helpers.js";
+import { buildPassCandidates } from "../history-router.js";
+import { appendEntry, outputExt } from "../account-export.js";
+import { getOrCreateDerivative, parseConversionOptions } from "../image-derivatives.js";
 
 const router = express.Router();
 
+// ============================================================================
+// Config
+// ============================================================================
+// extra hosts (provider CDNs); "example.com" also matches its subdomains
+const ALLOWED_HOSTS = String(process.env.DOWNLOAD_PROXY_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((h) => h.trim().toLowerCase().replace(/^\*?\./, ""))
+  .filter(Boolean);
+// time to response headers; the body itself may take as long as it needs
+const DOWNLOAD_PROXY_TIMEOUT_MS = Number(process.env.DOWNLOAD_PROXY_TIMEOUT_MS || 15000) || 15000;
+const DOWNLOAD_BUNDLE_MAX_ITEMS = Number(process.env.DOWNLOAD_BUNDLE_MAX_ITEMS || 100) || 100;
+const MAX_REDIRECTS = 3;
+
+const PASSTHROUGH_HEADERS = ["content-type", "content-length", "content-range", "accept-ranges", "etag", "last-modified"];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+export function isAllowedDownloadUrl(u) {
+  let url;
+  try {
+    url = new URL(String(u));
+  } catch {
+    return false;
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return false;
+  if (url.username || url.password) return false;
+
+  if (isOurAssetUrl(url.toString())) return true;
+
+  // allowlisted hosts: https on the default port only
+  if (url.protocol !== "https:" || url.port) return false;
+  const host = url.hostname.toLowerCase();
+  return ALLOWED_HOSTS.some((h) => host === h || host.endsWith(`.${h}`));
+}
+
+// fetch() with every redirect hop re-checked against the allowlist.
+// signal aborts the whole transfer (client went away).
+async function fetchAllowed(url, { headers = {}, signal } = {}) {
+  let current = String(url);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+    if (!isAllowedDownloadUrl(current)) throw new Error("URL_NOT_ALLOWED");
+
+    const ctrl = new AbortController();
+    const onAbort = () => ctrl.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const timer = setTimeout(() => ctrl.abort(new Error("UPSTREAM_TIMEOUT")), DOWNLOAD_PROXY_TIMEOUT_MS);
+
+    let resp;
+    try {
+      resp = await fetch(current, { redirect: "manual", headers, signal: ctrl.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const location = resp.headers.get("location");
+    if (resp.status >= 300 && resp.status < 400 && location) {
+      await resp.body?.cancel().catch(() => {});
+      signal?.removeEventListener("abort", onAbort);
+      current = new URL(location, current).toString();
+      continue;
+    }
+    return resp;
+  }
+
+  throw new Error("TOO_MANY_REDIRECTS");
+}
+
+function attachmentName(name, fallback = "download") {
+  const clean = String(name || "")
+    .replace(/[\r\n"\\/]/g, "_")
+    .trim();
+  return clean || fallback;
+}
+
+function contentDisposition(name) {
+  const ascii = name.replace(/[^\x20-\x7e]/g, "_");
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+function setDownloadCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Disposition, Content-Length, Content-Range, Accept-Ranges");
+}
+
+const CONVERSION_ERRORS = {
+  NOT_AN_IMAGE: 415,
+  CONVERSION_FAILED: 415,
+  SOURCE_TOO_LARGE: 413,
+  CONVERSION_BUSY: 503,
+};
+
+// Conversions cost CPU and R2 space: only the output of one of the caller's own
+// (non-trashed) generations can be converted. Pass id from ?passId= or X-Mina-Pass-Id.
+async function ownsConversionSource(req, url) {
+  if (!sbEnabled()) return false;
+  const supabase = getSupabaseAdmin();
+  const passId = normalizeIncomingPassId(resolvePassIdForRequest(req, { passId: req.query.passId }));
+  const authUser = await getAuthUser(req);
+  const passIds = await buildPassCandidates({ primaryPassId: passId, authUser, supabase });
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id")
+    .eq("mg_record_type", "generation")
+    .eq("mg_output_url", url)
+    .in("mg_pass_id", passIds)
+    .is("mg_deleted_at", null)
+    .limit(1);
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// ============================================================================
+// GET /public/download?url=&filename=
+//   [&format=png|jpg|webp|avif|tiff&width=&height=&fit=&quality=&dpi=&passId=]
+// With conversion options the derivative (cached in R2) is served instead;
+// converting needs the caller to own the generation whose output `url` is.
+// ============================================================================
 router.get("/public/download", async (req, res) => {
-  const url = String(req.query.url || "").trim();
+  let url = String(req.query.url || "").trim();
   if (!url) return res.status(400).json({ error: "Missing url param" });
+  if (!isAllowedDownloadUrl(url)) return res.status(403).json({ ok: false, error: "URL_NOT_ALLOWED" });
+
+  const conversion = parseConversionOptions(req.query, url);
+  if (conversion?.error) return res.status(400).json({ ok: false, error: "INVALID_CONVERSION", message: conversion.error });
 
+  const abort = new AbortController();
+  res.on("close", () => abort.abort());
+
+  // Build download filename from query param or URL path
+  let fallbackName = "download";
   try {
-    const upstream = await fetch(url, { redirect: "follow" });
-    if (!upstream.ok) return res.status(upstream.status).json({ error: `Upstream ${upstream.status}` });
+    fallbackName = decodeURIComponent(new URL(url).pathname.split("/").pop() || "download");
+  } catch {}
+  let dlName = attachmentName(req.query.filename || fallbackName);
 
-    const ct = upstream.headers.get("content-type") || "application/octet-stream";
-    const cl = upstream.headers.get("content-length");
+  if (conversion) {
+    try {
+      if (!(await ownsConversionSource(req, url))) return res.status(403).json({ ok: false, error: "SOURCE_NOT_OWNED" });
+      const out = await getOrCreateDerivative({
+        sourceUrl: url,
+        options: conversion,
+        // not tied to this client: other requests may be waiting on the same conversion
+        fetchSource: (u) => fetchAllowed(u),
+      });
+      dlName = `${dlName.replace(/\.[a-z0-9]{2,5}$/i, "")}.${conversion.format}`;
 
-    res.setHeader("Content-Type", ct);
-    res.setHeader("Access-Control-Allow-Origin", "*");
-    if (cl) res.setHeader("Content-Length", cl);
+      if (out.buffer) {
+        res.setHeader("Content-Type", out.contentType);
+        res.setHeader("Content-Length", out.buffer.length);
+        res.setHeader("Content-Disposition", contentDisposition(dlName));
+        res.setHeader("X-Content-Type-Options", "nosniff");
+        setDownloadCors(res);
+        return res.end(req.method === "HEAD" ? undefined : out.buffer);
+      }
+      url = out.url;
+    } catch (err) {
+      if (abort.signal.aborted) return;
+      const code = err?.message || "";
+      if (CONVERSION_ERRORS[code]) return res.status(CONVERSION_ERRORS[code]).json({ ok: false, error: code });
+      if (code === "URL_NOT_ALLOWED") return res.status(403).json({ ok: false, error: code });
+      console.error("[download-proxy] conversion", err?.message || err, err?.cause?.message || "");
+      return res.status(502).json({ error: "Failed to fetch upstream" });
+    }
+  }
 
-    // Build download filename from query param or URL path
-    const rawName = String(req.query.filename || "").trim();
-    const fallbackName = decodeURIComponent(new URL(url).pathname.split("/").pop() || "download");
-    const dlName = (rawName || fallbackName).replace(/[\r\n"]/g, "_");
-    res.setHeader("Content-Disposition", `attachment; filename="${dlName}"`);
+  try {
+    const headers = {};
+    if (req.get("range")) headers.Range = req.get("range");
+    if (req.get("if-range")) headers["If-Range"] = req.get("if-range");
 
-    const buf = Buffer.from(await upstream.arrayBuffer());
-    res.end(buf);
+    const upstream = await fetchAllowed(url, { headers, signal: abort.signal });
+    if (upstream.status === 416) {
+      await upstream.body?.cancel().catch(() => {});
+      setDownloadCors(res);
+      const cr = upstream.headers.get("content-range");
+      if (cr) res.setHeader("Content-Range", cr);
+      return res.status(416).end();
+    }
+    if (!upstream.ok) {
+      await upstream.body?.cancel().catch(() => {});
+      return res.status(upstream.status).json({ error: `Upstream ${upstream.status}` });
+    }
+
+    for (const h of PASSTHROUGH_HEADERS) {
+      const v = upstream.headers.get(h);
+      if (v) res.setHeader(h, v);
+    }
+    if (!upstream.headers.get("content-type")) res.setHeader("Content-Type", "application/octet-stream");
+    if (!upstream.headers.get("accept-ranges")) res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    setDownloadCors(res);
+
+    res.setHeader("Content-Disposition", contentDisposition(dlName));
+
+    res.status(upstream.status === 206 ? 206 : 200);
+    if (req.method === "HEAD" || !upstream.body) {
+      await upstream.body?.cancel().catch(() => {});
+      return res.end();
+    }
+    await pipeline(Readable.fromWeb(upstream.body), res);
   } catch (err) {
+    if (abort.signal.aborted && res.headersSent) return;
+    const code = err?.message === "URL_NOT_ALLOWED" ? 403 : 502;
     console.error("[download-proxy]", err?.message || err);
-    res.status(502).json({ error: "Failed to fetch upstream" });
+    if (res.headersSent) return res.destroy(err);
+    res.status(code).json(code === 403 ? { ok: false, error: "URL_NOT_ALLOWED" } : { error: "Failed to fetch upstream" });
+  }
+});
+
+// ============================================================================
+// POST /public/download/bundle  body: { generationIds?: [...], sessionId?, filename? }
+// Streams a zip of the caller's generation outputs (requested order, or a whole
+// session oldest first). Outputs that can't be fetched are listed in MISSING.txt.
+// ============================================================================
+async function listBundleGenerations({ passIds, generationIds, sessionId }) {
+  const supabase = getSupabaseAdmin();
+  let q = supabase
+    .from("mega_generations")
+    .select("mg_generation_id, mg_mma_mode, mg_type, mg_content_type, mg_output_url, mg_created_at")
+    .eq("mg_record_type", "generation")
+    .in("mg_pass_id", passIds)
+    .is("mg_deleted_at", null)
+    .not("mg_output_url", "is", null)
+    .order("mg_created_at", { ascending: true })
+    .limit(DOWNLOAD_BUNDLE_MAX_ITEMS + 1);
+
+  q = generationIds.length ? q.in("mg_generation_id", generationIds) : q.eq("mg_session_id", sessionId);
+
+  const { data, error } = await q;
+  if (error) throw error;
+
+  const rows = data || [];
+  if (!generationIds.length) return rows;
+  const order = new Map(generationIds.map((id, i) => [id, i]));
+  return rows.sort((a, b) => order.get(a.mg_generation_id) - order.get(b.mg_generation_id));
+}
+
+// 001_still_2026-10-19_1a2b3c4d.png
+function bundleEntryName(g, index, url, contentType) {
+  const mode = safeString(g.mg_mma_mode || g.mg_type || g.mg_content_type, "output").replace(/[^\w-]/g, "_");
+  const day = String(g.mg_created_at || "").slice(0, 10) || "undated";
+  const shortId = String(g.mg_generation_id || "").replace(/[^\w-]/g, "").slice(0, 8);
+  return `${String(index + 1).padStart(3, "0")}_${mode}_${day}_${shortId}.${outputExt(url, contentType)}`;
+}
+
+router.post("/public/download/bundle", async (req, res) => {
+  const requestId = `bundle_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const body = req.body || {};
+    const generationIds = Array.from(
+      new Set((Array.isArray(body.generationIds) ? body.generationIds : []).map((g) => safeString(g, "")).filter(Boolean))
+    );
+    const sessionId = safeString(body.sessionId, "");
+    if (!generationIds.length && !sessionId) {
+      return res.status(400).json({ ok: false, requestId, error: "MISSING_ITEMS", message: "Send generationIds or sessionId." });
+    }
+    if (generationIds.length > DOWNLOAD_BUNDLE_MAX_ITEMS) {
+      return res.status(400).json({ ok: false, requestId, error: "TOO_MANY_ITEMS", max: DOWNLOAD_BUNDLE_MAX_ITEMS });
+    }
+
+    const bodyPassId = normalizeIncomingPassId(body.passId || body.customerId || "");
+    const passId = bodyPassId || normalizeIncomingPassId(resolvePassIdForRequest(req, { customerId: bodyPassId }));
+    if (!passId) return res.status(400).json({ ok: false, requestId, error: "MISSING_PASS_ID" });
+
+    const authUser = await getAuthUser(req);
+    const passIds = await buildPassCandidates({ primaryPassId: passId, authUser, supabase: getSupabaseAdmin() });
+    const generations = await listBundleGenerations({ passIds, generationIds, sessionId });
+
+    if (!generations.length) return res.status(404).json({ ok: false, requestId, error: "NOTHING_TO_DOWNLOAD" });
+    if (generations.length > DOWNLOAD_BUNDLE_MAX_ITEMS) {
+      return res.status(400).json({ ok: false, requestId, error: "TOO_MANY_ITEMS", max: DOWNLOAD_BUNDLE_MAX_ITEMS });
+    }
+
+    const day = new Date().toISOString().slice(0, 10);
+    const zipName = attachmentName(
+      String(body.filename || "").replace(/\.zip$/i, ""),
+      `mina-${sessionId && !generationIds.length ? "session" : "generations"}-${day}`
+    );
+
+    const abort = new AbortController();
+    // media is already compressed; storing keeps the CPU free
+    const archive = archiver("zip", { store: true });
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        abort.abort();
+        archive.abort();
+      }
+    });
+
+    res.status(200);
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", contentDisposition(`${zipName}.zip`));
+    res.setHeader("Cache-Control", "no-store");
+    setDownloadCors(res);
+    archive.on("error", (err) => {
+      console.error("[download-proxy] bundle archive error", err?.message || err);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    const missing = [];
+    for (let i = 0; i < generations.length; i += 1) {
+      if (abort.signal.aborted) return;
+      const g = generations[i];
+      const url = String(g.mg_output_url || "");
+
+      try {
+        const upstream = await fetchAllowed(url, { signal: abort.signal });
+        if (!upstream.ok || !upstream.body) {
+          await upstream.body?.cancel().catch(() => {});
+          throw new Error(`HTTP ${upstream.status}`);
+        }
+        const name = bundleEntryName(g, i, url, upstream.headers.get("content-type"));
+        await appendEntry(archive, Readable.fromWeb(upstream.body), name);
+      } catch (e) {
+        if (abort.signal.aborted) return;
+        missing.push(`${g.mg_generation_id}\t${url}\t${e?.message || e}`);
+      }
+    }
+
+    if (missing.length) {
+      archive.append(`Could not be included:\n${missing.join("\n")}\n`, { name: "MISSING.txt" });
+    }
+    await archive.finalize();
+  } catch (e) {
+    console.error("POST /public/download/bundle failed", e);
+    if (res.headersSent) return res.destroy(e);
+    return res.status(500).json({ ok: false, requestId, error: "BUNDLE_FAILED", message: e?.message || String(e) });
   }
 });
 
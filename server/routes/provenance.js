@@ -0,0 +1,62 @@
+// server/routes/provenance.js — Public provenance check for any file (POST /public/provenance/verify)
+"use strict";
+
+import express from "express";
+import crypto from "node:crypto";
+import { parseDataUrl } from "../../r2.js";
+import { safeString } from "../helpers.js";
+import { PROVENANCE_ERRORS, verifyProvenance } from "../provenance.js";
+
+const router = express.Router();
+
+const PROVENANCE_VERIFY_MAX_BYTES =
+  Number(process.env.PROVENANCE_VERIFY_MAX_BYTES || 50 * 1024 * 1024) || 50 * 1024 * 1024;
+
+// JSON bodies are already parsed by the app's express.json; everything else is the file itself.
+const rawBody = express.raw({ type: () => true, limit: PROVENANCE_VERIFY_MAX_BYTES });
+
+function readRawBody(req, res, next) {
+  rawBody(req, res, (err) => {
+    if (!err) return next();
+    const tooLarge = err.type === "entity.too.large";
+    return res.status(tooLarge ? 413 : 400).json({
+      ok: false,
+      requestId: `prov_${Date.now()}_${crypto.randomUUID()}`,
+      error: tooLarge ? "FILE_TOO_LARGE" : "INVALID_BODY",
+      message: tooLarge ? `Files up to ${PROVENANCE_VERIFY_MAX_BYTES} bytes can be checked.` : err.message,
+    });
+  });
+}
+
+// Body: the file (any content type), or JSON { dataUrl }.
+// ?generationId= finds the manifest of files without embedded XMP (videos).
+router.post("/public/provenance/verify", readRawBody, async (req, res) => {
+  const requestId = `prov_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    let buffer = Buffer.isBuffer(req.body) ? req.body : null;
+    if (!buffer && req.body?.dataUrl) {
+      try {
+        buffer = parseDataUrl(req.body.dataUrl).buffer;
+      } catch (e) {
+        return res.status(400).json({ ok: false, requestId, error: "INVALID_DATA_URL", message: e?.message || String(e) });
+      }
+    }
+
+    const generationId = safeString(req.query.generationId || req.body?.generationId, "");
+    const result = await verifyProvenance(buffer, { generationId });
+    return res.json({ ok: true, requestId, ...result });
+  } catch (e) {
+    const code = e?.message || "";
+    const status = PROVENANCE_ERRORS[code] || 500;
+    if (status === 500) console.error("POST /public/provenance/verify failed", e);
+    return res.status(status).json({
+      ok: false,
+      requestId,
+      error: status === 500 ? "PROVENANCE_VERIFY_FAILED" : code,
+      message: status === 500 ? e?.message || String(e) : "Send the file as the request body.",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+// server/routes/share.js — Public share links (GET /share/:token), JSON or Open Graph HTML
+"use strict";
+
+import express from "express";
+import crypto from "node:crypto";
+import { sbEnabled } from "../../supabase.js";
+import { SHARE_ERRORS, resolveShare, shareUrl } from "../shares.js";
+
+const router = express.Router();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "https://mina.faltastudio.com";
+// short, so a revoked link stops unfurling soon after
+const SHARE_CACHE_MAX_AGE_S = Number(process.env.SHARE_CACHE_MAX_AGE_S || 60) || 60;
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+// Unfurlers (Slack, iMessage) and browsers get HTML; API clients ask for JSON.
+function wantsHtml(req) {
+  const format = String(req.query.format || "").toLowerCase();
+  if (format === "html") return true;
+  if (format === "json") return false;
+  return req.accepts(["html", "json"]) === "html";
+}
+
+function shareHtml({ share, url }) {
+  const title = "Made with Mina";
+  const description = share.prompt ? share.prompt.slice(0, 200) : "A creation shared from Mina.";
+  const image = share.thumbnailUrl || (share.type === "image" ? share.outputUrl : "");
+
+  const meta = [
+    ["og:site_name", "Mina"],
+    ["og:title", title],
+    ["og:description", description],
+    ["og:url", url],
+    ["og:type", share.type === "video" ? "video.other" : "website"],
+    ...(image ? [["og:image", image]] : []),
+    ...(share.type === "video"
+      ? [
+          ["og:video", share.outputUrl],
+          ["og:video:secure_url", share.outputUrl],
+          ["og:video:type", "video/mp4"],
+        ]
+      : []),
+    ["twitter:card", image ? "summary_large_image" : "summary"],
+    ["twitter:title", title],
+    ["twitter:description", description],
+    ...(image ? [["twitter:image", image]] : []),
+  ]
+    .map(([k, v]) => `<meta ${k.startsWith("og:") ? "property" : "name"}="${k}" content="${escapeHtml(v)}">`)
+    .join("\n    ");
+
+  const media =
+    share.type === "video"
+      ? `<video src="${escapeHtml(share.outputUrl)}"${image ? ` poster="${escapeHtml(image)}"` : ""} controls playsinline loop></video>`
+      : `<img src="${escapeHtml(share.outputUrl)}" alt="${escapeHtml(title)}">`;
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+    <link rel="canonical" href="${escapeHtml(url)}">
+    ${meta}
+    <style>
+      body { margin: 0; min-height: 100vh; display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 16px; background: #111; color: #eee; font-family: system-ui, sans-serif; }
+      img, video { max-width: 92vw; max-height: 80vh; }
+      p { max-width: 640px; padding: 0 16px; text-align: center; opacity: 0.8; }
+      a { color: #eee; }
+    </style>
+  </head>
+  <body>
+    ${media}
+    ${share.prompt ? `<p>${escapeHtml(share.prompt)}</p>` : ""}
+    <a href="${escapeHtml(FRONTEND_URL)}">Made with Mina</a>
+  </body>
+</html>`;
+}
+
+function notFoundHtml() {
+  return `<!doctype html>
+<html lang="en">
+  <head><meta charset="utf-8"><meta name="robots" content="noindex"><title>Link unavailable</title></head>
+  <body><p>This link has expired or was removed.</p></body>
+</html>`;
+}
+
+router.get("/share/:token", async (req, res) => {
+  const requestId = `share_${Date.now()}_${crypto.randomUUID()}`;
+  const html = wantsHtml(req);
+  res.set("X-Robots-Tag", "noindex");
+  res.vary("Accept");
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const share = await resolveShare(req.params.token);
+    res.set("Cache-Control", `public, max-age=${SHARE_CACHE_MAX_AGE_S}`);
+
+    if (html) return res.type("html").send(shareHtml({ share, url: shareUrl(req.params.token, `${req.protocol}://${req.get("host")}`) }));
+    return res.json({ ok: true, requestId, share });
+  } catch (e) {
+    const code = e?.message || "";
+    const status = SHARE_ERRORS[code] || 500;
+    if (status === 500) console.error("GET /share/:token failed", e);
+
+    res.set("Cache-Control", "no-store");
+    if (html) return res.status(status).type("html").send(notFoundHtml());
+    return res.status(status).json({
+      ok: false,
+      requestId,
+      error: status === 500 ? "SHARE_FAILED" : code,
+      ...(status === 500 ? { message: e?.message || String(e) } : {}),
+    });
+  }
+});
+
+export default router;
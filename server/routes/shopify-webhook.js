@@ -1,4 +1,4 @@
-// server/routes/shopify-webhook.js — Shopify order webhook + helpers
+// server/routes/shopify-webhook.js — Shopify order / refund / cancel + GDPR webhooks (via the inbox) + helpers
 "use strict";
 
 import express from "express";
@@ -11,6 +11,19 @@ import {
   megaHasCreditRef,
 } from "../../mega-db.js";
 import { safeString, nowIso, normalizeIncomingPassId } from "../helpers.js";
+import {
+  insertShopifyWebhook,
+  claimShopifyWebhook,
+  settleShopifyWebhook,
+  resetShopifyWebhook,
+  listDueShopifyWebhooks,
+} from "../shopify-inbox.js";
+import {
+  findPassIdsForShopifyCustomer,
+  collectAccountData,
+  redactPass,
+  scrubShopifyPayloads,
+} from "../privacy.js";
 
 const router = express.Router();
 
@@ -95,39 +108,55 @@ export async function addCustomerTag(customerId, tag) {
   return { ok: true, already: false, tags: [...existing, tag] };
 }
 
+function parseMinaSkuCredits(skuRaw) {
+  const sku = String(skuRaw || "").trim().toUpperCase();
+  const m = sku.match(/^MINA-(\d+)\b/);
+  if (!m) return 0;
+  const n = Number(m[1]);
+  if (!Number.isFinite(n)) return 0;
+  return Math.max(0, Math.min(100000, Math.floor(n)));
+}
+
+// Matcha per unit of a line item: MINA-<n> SKU first, then CREDIT_PRODUCT_MAP by SKU / variant id.
+function creditsPerUnit(li) {
+  const sku = String(li?.sku || "").trim();
+  const variantId = li?.variant_id != null ? String(li.variant_id) : "";
+
+  const minaPerUnit = parseMinaSkuCredits(sku);
+  if (minaPerUnit > 0) return minaPerUnit;
+
+  let perUnit = 0;
+  if (sku && Object.prototype.hasOwnProperty.call(CREDIT_PRODUCT_MAP, sku)) {
+    perUnit = Number(CREDIT_PRODUCT_MAP[sku] || 0);
+  } else if (variantId && Object.prototype.hasOwnProperty.call(CREDIT_PRODUCT_MAP, variantId)) {
+    perUnit = Number(CREDIT_PRODUCT_MAP[variantId] || 0);
+  }
+
+  return perUnit > 0 ? perUnit : 0;
+}
+
 function creditsFromOrder(order) {
   const items = Array.isArray(order?.line_items) ? order.line_items : [];
   let credits = 0;
 
-  function parseMinaSkuCredits(skuRaw) {
-    const sku = String(skuRaw || "").trim().toUpperCase();
-    const m = sku.match(/^MINA-(\d+)\b/);
-    if (!m) return 0;
-    const n = Number(m[1]);
-    if (!Number.isFinite(n)) return 0;
-    return Math.max(0, Math.min(100000, Math.floor(n)));
-  }
-
   for (const li of items) {
-    const sku = String(li?.sku || "").trim();
-    const variantId = li?.variant_id != null ? String(li.variant_id) : "";
     const qtyRaw = li?.quantity;
     const qty = Math.max(1, Number.isFinite(Number(qtyRaw)) ? Math.floor(Number(qtyRaw)) : 1);
+    credits += creditsPerUnit(li) * qty;
+  }
 
-    const minaPerUnit = parseMinaSkuCredits(sku);
-    if (minaPerUnit > 0) {
-      credits += minaPerUnit * qty;
-      continue;
-    }
+  return credits;
+}
 
-    let perUnit = 0;
-    if (sku && Object.prototype.hasOwnProperty.call(CREDIT_PRODUCT_MAP, sku)) {
-      perUnit = Number(CREDIT_PRODUCT_MAP[sku] || 0);
-    } else if (variantId && Object.prototype.hasOwnProperty.call(CREDIT_PRODUCT_MAP, variantId)) {
-      perUnit = Number(CREDIT_PRODUCT_MAP[variantId] || 0);
-    }
+// refunds/create: only the refunded quantity of each credit line item counts.
+function creditsFromRefund(refund) {
+  const items = Array.isArray(refund?.refund_line_items) ? refund.refund_line_items : [];
+  let credits = 0;
 
-    if (perUnit > 0) credits += perUnit * qty;
+  for (const rli of items) {
+    const qty = Math.max(0, Math.floor(Number(rli?.quantity) || 0));
+    if (!qty) continue;
+    credits += creditsPerUnit(rli?.line_item) * qty;
   }
 
   return credits;
@@ -220,96 +249,465 @@ export async function mergeCreditsByEmail({ supabase, primaryPassId, email }) {
   }
 }
 
-// ---- Webhook route (RAW body + HMAC verify) ----
+// ---- Refund / cancel claw-back ----
+
+// Claw-backs for one order share a numbered ref (`<orderId>#<n>`), so two that
+// run at once (a merchant cancelling with a refund sends refunds/create and
+// orders/cancelled together) collide on the same ref inside mega_adjust_credits,
+// which checks refs under the customer lock. Only one applies; the other is
+// retried against the new total. `mg_meta.clawback_of` names the refund/cancel.
+const CLAWBACK_REF_TYPE = "shopify_clawback";
+// rows written before the numbered ref were keyed on the refund / order id
+const LEGACY_CLAWBACK_REF_TYPES = { shopify_refund: "refund", shopify_cancel: "cancel" };
+const CLAWBACK_REF_TYPES = [CLAWBACK_REF_TYPE, ...Object.keys(LEGACY_CLAWBACK_REF_TYPES)];
+
+// The pass that got the order's matcha, and how much.
+async function findOrderGrant(supabase, orderId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_pass_id, mg_delta")
+    .eq("mg_record_type", "credit_transaction")
+    .eq("mg_ref_type", "shopify_order")
+    .eq("mg_ref_id", orderId)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data?.mg_pass_id) return null;
+  return { passId: data.mg_pass_id, granted: Math.max(0, Number(data.mg_delta || 0)) };
+}
+
+async function listOrderClawBacks(supabase, orderId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_delta, mg_ref_type, mg_ref_id, mg_meta")
+    .eq("mg_record_type", "credit_transaction")
+    .in("mg_ref_type", CLAWBACK_REF_TYPES)
+    .eq("mg_meta->>shopify_order_id", orderId);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// "refund:<refund id>" / "cancel:<order id>"
+function clawBackSource(row) {
+  if (row.mg_meta?.clawback_of) return String(row.mg_meta.clawback_of);
+  const kind = LEGACY_CLAWBACK_REF_TYPES[row.mg_ref_type];
+  return kind ? `${kind}:${row.mg_ref_id}` : null;
+}
+
+// Never claws back more than the order granted (a cancel after partial refunds
+// only takes what's left). The balance may go negative if the matcha was spent.
+async function clawBackOrderCredits({ orderId, wanted, source, reason, eventAt, meta }) {
+  const supabase = getSupabaseAdmin();
+
+  // orders/paid may still be in the inbox (or retrying): try again later
+  const grant = await findOrderGrant(supabase, orderId);
+  if (!grant) throw retryableError("ORDER_GRANT_NOT_FOUND", `No matcha grant for order ${orderId} yet`);
+
+  const previous = await listOrderClawBacks(supabase, orderId);
+  if (previous.some((r) => clawBackSource(r) === source)) {
+    return { clawedBack: 0, alreadyProcessed: true, passId: grant.passId };
+  }
+
+  const taken = previous.reduce((sum, r) => sum + Math.max(0, -Number(r.mg_delta || 0)), 0);
+  const amount = Math.min(Math.max(0, Math.floor(wanted)), grant.granted - taken);
+  if (amount <= 0) return { clawedBack: 0, reason: "NOTHING_LEFT", passId: grant.passId };
+
+  const out = await megaAdjustCredits({
+    passId: grant.passId,
+    delta: -amount,
+    reason,
+    source: "shopify",
+    refType: CLAWBACK_REF_TYPE,
+    refId: `${orderId}#${previous.length + 1}`,
+    grantedAt: eventAt || nowIso(),
+    allowNegative: true,
+    meta: { shopify_order_id: orderId, clawback_of: source, ...meta },
+  });
+
+  // another claw-back for this order took the slot first
+  if (out.alreadyApplied) throw retryableError("CLAWBACK_CONFLICT", `Concurrent claw-back on order ${orderId}`);
+
+  const negativeBalance = Number(out.creditsAfter) < 0;
+  if (negativeBalance) {
+    console.warn("[shopify webhook] claw-back left a negative balance", grant.passId, orderId, out.creditsAfter);
+  }
+
+  return {
+    clawedBack: amount,
+    alreadyProcessed: false,
+    passId: grant.passId,
+    balance: out.creditsAfter,
+    negativeBalance,
+  };
+}
+
+// ---- Processors (one per topic; must stay idempotent — replays run them again) ----
+
+function permanentError(code, message = code) {
+  const err = new Error(message);
+  err.code = code;
+  err.permanent = true; // retrying can't fix it; goes straight to dead
+  return err;
+}
+
+function retryableError(code, message = code) {
+  const err = new Error(message);
+  err.code = code; // not permanent: the inbox retries it with backoff
+  return err;
+}
+
+// orders/paid (or orders/create, depending on how the store is set up)
+async function processOrderPaid(order) {
+  const orderId = order?.id != null ? String(order.id) : null;
+  if (!orderId) throw permanentError("MISSING_ORDER_ID");
+
+  const already = await megaHasCreditRef({ refType: "shopify_order", refId: orderId });
+  if (already) return { alreadyProcessed: true, orderId };
+
+  const credits = creditsFromOrder(order);
+  if (!credits) return { orderId, credited: 0, reason: "NO_MATCHING_PRODUCT" };
+
+  const shopifyCustomerId = order?.customer?.id != null ? String(order.customer.id) : null;
+  const email = safeString(order?.email || order?.customer?.email || "").toLowerCase() || null;
+
+  const noteAttrs = Array.isArray(order?.note_attributes) ? order.note_attributes : [];
+  const minaPassIdAttr = noteAttrs.find((a) => a?.name === "mina_pass_id")?.value || null;
+  const minaPassId = minaPassIdAttr ? safeString(minaPassIdAttr, "") : "";
+
+  const supabase = getSupabaseAdmin();
+
+  const existingPassId =
+    minaPassId ||
+    (await findExistingPassIdForShopify({
+      supabase,
+      shopifyCustomerId,
+      email,
+    }));
+
+  const passId =
+    existingPassId ||
+    (shopifyCustomerId
+      ? `pass:shopify:${shopifyCustomerId}`
+      : email
+        ? `pass:email:${email}`
+        : `pass:anon:${crypto.randomUUID()}`);
+
+  await megaEnsureCustomer({ passId, email, shopifyCustomerId: shopifyCustomerId || null, userId: null });
+
+  const grantedAt = order?.processed_at || order?.created_at || nowIso();
+
+  const out = await megaAdjustCredits({
+    passId,
+    delta: credits,
+    reason: "shopify-order",
+    source: "shopify",
+    refType: "shopify_order",
+    refId: orderId,
+    grantedAt,
+  });
+
+  if (shopifyCustomerId) {
+    try {
+      await addCustomerTag(shopifyCustomerId, SHOPIFY_MINA_TAG);
+    } catch (e) {
+      console.error("[shopify] add tag failed:", e?.message || e);
+    }
+  }
+
+  return {
+    orderId,
+    passId,
+    credited: credits,
+    balance: out.creditsAfter,
+    expiresAt: out.expiresAt,
+  };
+}
+
+async function processRefund(refund) {
+  const orderId = refund?.order_id != null ? String(refund.order_id) : null;
+  const refundId = refund?.id != null ? String(refund.id) : null;
+  if (!orderId || !refundId) throw permanentError("MISSING_REFUND_ID");
+
+  const wanted = creditsFromRefund(refund);
+  if (!wanted) return { orderId, refundId, clawedBack: 0, reason: "NO_MATCHING_PRODUCT" };
+
+  const out = await clawBackOrderCredits({
+    orderId,
+    wanted,
+    source: `refund:${refundId}`,
+    reason: "shopify-refund",
+    eventAt: refund?.processed_at || refund?.created_at,
+    meta: { shopify_refund_id: refundId },
+  });
+
+  return { orderId, refundId, ...out };
+}
+
+// takes back whatever refunds haven't already
+async function processOrderCancelled(order) {
+  const orderId = order?.id != null ? String(order.id) : null;
+  if (!orderId) throw permanentError("MISSING_ORDER_ID");
+
+  const wanted = creditsFromOrder(order);
+  if (!wanted) return { orderId, clawedBack: 0, reason: "NO_MATCHING_PRODUCT" };
+
+  const out = await clawBackOrderCredits({
+    orderId,
+    wanted,
+    source: `cancel:${orderId}`,
+    reason: "shopify-cancel",
+    eventAt: order?.cancelled_at,
+    meta: { shopify_cancel_reason: order?.cancel_reason || null },
+  });
 
-router.post(
-  "/api/credits/shopify-order",
-  express.raw({ type: "application/json" }),
-  async (req, res) => {
+  return { orderId, ...out };
+}
+
+// ---- GDPR (mandatory compliance topics) ----
+
+function gdprCustomer(payload) {
+  return {
+    shopifyCustomerId: payload?.customer?.id != null ? String(payload.customer.id) : null,
+    email: safeString(payload?.customer?.email || "").toLowerCase() || null,
+  };
+}
+
+// customers/data_request: build the package and keep it as a mega_admin row for
+// the merchant to send on (the R2 bucket is public, so it doesn't go there).
+async function processCustomerDataRequest(payload) {
+  const requestId = payload?.data_request?.id != null ? String(payload.data_request.id) : null;
+  if (!requestId) throw permanentError("MISSING_DATA_REQUEST_ID");
+
+  const passIds = await findPassIdsForShopifyCustomer(gdprCustomer(payload));
+  const pkg = await collectAccountData({ passIds });
+  const counts = Object.fromEntries(Object.entries(pkg.records).map(([k, v]) => [k, v.length]));
+
+  const supabase = getSupabaseAdmin();
+  const ts = nowIso();
+  const { error } = await supabase.from("mega_admin").upsert(
+    {
+      mg_id: `gdpr_request:${requestId}`,
+      mg_record_type: "gdpr_request",
+      mg_action: "customers/data_request",
+      mg_shopify_customer_id: gdprCustomer(payload).shopifyCustomerId,
+      mg_payload: pkg,
+      mg_meta: { request_id: requestId, pass_ids: passIds, counts, generated_at: pkg.generatedAt },
+      mg_source_system: "shopify",
+      mg_created_at: ts,
+      mg_updated_at: ts,
+    },
+    { onConflict: "mg_id" }
+  );
+  if (error) throw error;
+
+  return { requestId, passIds: passIds.length, counts };
+}
+
+// customers/redact: scrub every pass the customer maps to; ledger totals stay
+// (on an anonymous pass) so credit reporting still reconciles.
+async function processCustomerRedact(payload) {
+  const customer = gdprCustomer(payload);
+  if (!customer.shopifyCustomerId && !customer.email) throw permanentError("MISSING_CUSTOMER");
+
+  const passIds = await findPassIdsForShopifyCustomer(customer);
+  const redacted = [];
+  for (const passId of passIds) {
+    redacted.push(await redactPass(passId, { reason: "shopify-customers-redact" }));
+  }
+
+  const { scrubbed } = await scrubShopifyPayloads(customer);
+
+  // earlier data packages are personal data too
+  let packagesDeleted = 0;
+  if (customer.shopifyCustomerId) {
+    const { data, error } = await getSupabaseAdmin()
+      .from("mega_admin")
+      .delete()
+      .eq("mg_record_type", "gdpr_request")
+      .eq("mg_shopify_customer_id", customer.shopifyCustomerId)
+      .select("mg_id");
+    if (error) throw error;
+    packagesDeleted = data?.length || 0;
+  }
+
+  return { passes: redacted.length, redacted, webhookPayloadsScrubbed: scrubbed, packagesDeleted };
+}
+
+// shop/redact: the store uninstalled us 48h ago. Mina accounts belong to the
+// people who made them, so only the Shopify side is dropped.
+async function processShopRedact(payload) {
+  const shopDomain = safeString(payload?.shop_domain, "");
+  if (!shopDomain) throw permanentError("MISSING_SHOP_DOMAIN");
+  if (SHOPIFY_STORE_DOMAIN && shopDomain !== SHOPIFY_STORE_DOMAIN) return { shopDomain, skipped: "OTHER_SHOP" };
+
+  const supabase = getSupabaseAdmin();
+  const { data, error } = await supabase
+    .from(MEGA_CUSTOMERS_TABLE)
+    .update({ [COL_SHOPIFY_ID]: null, [COL_UPDATED_AT]: nowIso() })
+    .not(COL_SHOPIFY_ID, "is", null)
+    .select(COL_PASS_ID);
+  if (error) throw error;
+
+  const { scrubbed } = await scrubShopifyPayloads({ shopDomain });
+  return { shopDomain, customersUnlinked: data?.length || 0, webhookPayloadsScrubbed: scrubbed };
+}
+
+const TOPIC_PROCESSORS = {
+  "orders/paid": processOrderPaid,
+  "orders/create": processOrderPaid,
+  "refunds/create": processRefund,
+  "orders/cancelled": processOrderCancelled,
+  "customers/data_request": processCustomerDataRequest,
+  "customers/redact": processCustomerRedact,
+  "shop/redact": processShopRedact,
+};
+
+// ---- Inbox processing ----
+
+// Claims the row (no-op if another process has it), runs its topic processor
+// and records the outcome. Returns the row's final mg_meta, or null if not claimed.
+export async function processShopifyInboxRow(id) {
+  const row = await claimShopifyWebhook(id);
+  if (!row) return null;
+
+  const topic = row.mg_meta?.topic || row.mg_action;
+  const processor = TOPIC_PROCESSORS[topic];
+
+  let result = null;
+  let err = null;
+  try {
+    if (!processor) throw permanentError("UNSUPPORTED_TOPIC", `No processor for topic "${topic}"`);
+    result = await processor(row.mg_payload || {});
+  } catch (e) {
+    err = e;
+    console.error("[shopify inbox] processing failed", row.mg_id, topic, e?.message || e);
+  }
+
+  const meta = await settleShopifyWebhook(row, { result, err });
+  if (meta.state === "dead") console.error("[shopify inbox] dead-lettered", row.mg_id, topic);
+  return meta;
+}
+
+// Admin replay: reset whatever state it ended in and process it now.
+export async function replayShopifyWebhook(id, { actor = null } = {}) {
+  const reset = await resetShopifyWebhook(id, { actor });
+  if (!reset) return null;
+  if (reset.busy) return { id: reset.row.mg_id, busy: true, meta: reset.row.mg_meta };
+
+  const meta = await processShopifyInboxRow(reset.row.mg_id);
+  return { id: reset.row.mg_id, busy: !meta, meta: meta || reset.row.mg_meta };
+}
+
+// ---- Webhook routes (RAW body + HMAC verify → inbox → 200) ----
+
+// Verify, store, answer Shopify, then process out of band. A 5xx only happens
+// when the payload couldn't be stored, so Shopify's retry is what we want.
+function inboxRoute(path, { topics, defaultTopic }) {
+  router.post(path, express.raw({ type: "application/json" }), async (req, res) => {
     const requestId = `shopify_${Date.now()}_${crypto.randomUUID()}`;
 
     try {
       const rawBody = req.body?.toString("utf8") || "";
-      const hmac = req.get("X-Shopify-Hmac-Sha256") || req.get("x-shopify-hmac-sha256") || "";
+      const hmac = req.get("X-Shopify-Hmac-Sha256") || "";
 
       const ok = verifyShopifyWebhook({ secret: SHOPIFY_ORDER_WEBHOOK_SECRET, rawBody, hmacHeader: hmac });
       if (!ok) return res.status(401).json({ ok: false, error: "INVALID_HMAC", requestId });
 
+      const topic = safeString(req.get("X-Shopify-Topic"), defaultTopic);
+      if (!topics.includes(topic)) {
+        return res.status(400).json({ ok: false, error: "UNEXPECTED_TOPIC", requestId, expected: topics, topic });
+      }
+
       if (!sbEnabled()) return res.status(503).json({ ok: false, error: "NO_SUPABASE", requestId });
 
-      const order = rawBody ? JSON.parse(rawBody) : {};
-      const orderId = order?.id != null ? String(order.id) : null;
-      if (!orderId) return res.status(400).json({ ok: false, error: "MISSING_ORDER_ID", requestId });
+      let payload;
+      try {
+        payload = rawBody ? JSON.parse(rawBody) : {};
+      } catch {
+        return res.status(400).json({ ok: false, error: "INVALID_JSON", requestId });
+      }
+
+      const { id, duplicate } = await insertShopifyWebhook({
+        webhookId: req.get("X-Shopify-Webhook-Id"),
+        topic,
+        shopDomain: req.get("X-Shopify-Shop-Domain"),
+        route: path,
+        rawBody,
+        payload,
+      });
 
-      const already = await megaHasCreditRef({ refType: "shopify_order", refId: orderId });
-      if (already) return res.status(200).json({ ok: true, requestId, alreadyProcessed: true, orderId });
+      res.status(200).json({ ok: true, requestId, inboxId: id, topic, duplicate });
 
-      const credits = creditsFromOrder(order);
-      if (!credits) {
-        return res.status(200).json({ ok: true, requestId, orderId, credited: 0, reason: "NO_MATCHING_PRODUCT" });
+      if (!duplicate) {
+        processShopifyInboxRow(id).catch((e) => {
+          console.error("[shopify inbox] process after receive failed", id, e?.message || e);
+        });
       }
+    } catch (e) {
+      console.error("[shopify webhook] failed", e);
+      return res.status(500).json({ ok: false, error: "WEBHOOK_FAILED", requestId, message: e?.message || String(e) });
+    }
+  });
+}
 
-      const shopifyCustomerId = order?.customer?.id != null ? String(order.customer.id) : null;
-      const email = safeString(order?.email || order?.customer?.email || "").toLowerCase() || null;
+inboxRoute("/api/credits/shopify-order", { topics: ["orders/paid", "orders/create"], defaultTopic: "orders/paid" });
+inboxRoute("/api/credits/shopify-refund", { topics: ["refunds/create"], defaultTopic: "refunds/create" });
+inboxRoute("/api/credits/shopify-order-cancelled", { topics: ["orders/cancelled"], defaultTopic: "orders/cancelled" });
+// one endpoint for the three compliance topics, so X-Shopify-Topic is required
+inboxRoute("/api/shopify/gdpr", {
+  topics: ["customers/data_request", "customers/redact", "shop/redact"],
+  defaultTopic: "",
+});
 
-      const noteAttrs = Array.isArray(order?.note_attributes) ? order.note_attributes : [];
-      const minaPassIdAttr = noteAttrs.find((a) => a?.name === "mina_pass_id")?.value || null;
-      const minaPassId = minaPassIdAttr ? safeString(minaPassIdAttr, "") : "";
+// ---- Inbox worker (retries failed rows, picks up rows a dead process left) ----
 
-      const supabase = getSupabaseAdmin();
+const INBOX_INTERVAL_MS = Number(ENV.SHOPIFY_INBOX_INTERVAL_MS || 30000) || 30000;
+const INBOX_BATCH = Number(ENV.SHOPIFY_INBOX_BATCH || 20) || 20;
+const INBOX_WORKER_ENABLED = String(ENV.SHOPIFY_INBOX_WORKER_ENABLED || "true").toLowerCase() !== "false";
 
-      const existingPassId =
-        minaPassId ||
-        (await findExistingPassIdForShopify({
-          supabase,
-          shopifyCustomerId,
-          email,
-        }));
-
-      const passId =
-        existingPassId ||
-        (shopifyCustomerId
-          ? `pass:shopify:${shopifyCustomerId}`
-          : email
-            ? `pass:email:${email}`
-            : `pass:anon:${crypto.randomUUID()}`);
-
-      await megaEnsureCustomer({ passId, email, shopifyCustomerId: shopifyCustomerId || null, userId: null });
-
-      const grantedAt = order?.processed_at || order?.created_at || nowIso();
-
-      const out = await megaAdjustCredits({
-        passId,
-        delta: credits,
-        reason: "shopify-order",
-        source: "shopify",
-        refType: "shopify_order",
-        refId: orderId,
-        grantedAt,
-      });
+let inboxTimer = null;
+let inboxSweeping = false;
 
-      if (shopifyCustomerId) {
-        try {
-          await addCustomerTag(shopifyCustomerId, SHOPIFY_MINA_TAG);
-        } catch (e) {
-          console.error("[shopify] add tag failed:", e?.message || e);
-        }
-      }
+export async function sweepShopifyInbox() {
+  if (!sbEnabled()) return [];
 
-      return res.status(200).json({
-        ok: true,
-        requestId,
-        orderId,
-        passId,
-        credited: credits,
-        balance: out.creditsAfter,
-        expiresAt: out.expiresAt,
-      });
+  const rows = await listDueShopifyWebhooks({ limit: INBOX_BATCH });
+  const results = [];
+  for (const row of rows) {
+    try {
+      const meta = await processShopifyInboxRow(row.mg_id);
+      if (meta) results.push({ id: row.mg_id, state: meta.state });
     } catch (e) {
-      console.error("[shopify webhook] failed", e);
-      return res.status(500).json({ ok: false, error: "WEBHOOK_FAILED", requestId, message: e?.message || String(e) });
+      console.error("[shopify inbox] sweep row failed", row.mg_id, e?.message || e);
     }
   }
-);
+  return results;
+}
+
+export function startShopifyInboxWorker() {
+  if (!INBOX_WORKER_ENABLED || inboxTimer) return false;
+
+  inboxTimer = setInterval(async () => {
+    if (inboxSweeping) return;
+    inboxSweeping = true;
+    try {
+      await sweepShopifyInbox();
+    } catch (e) {
+      console.warn("[shopify inbox] sweep failed", e?.message || e);
+    } finally {
+      inboxSweeping = false;
+    }
+  }, INBOX_INTERVAL_MS);
+  inboxTimer.unref?.();
+
+  return true;
+}
+
+export function stopShopifyInboxWorker() {
+  if (inboxTimer) clearInterval(inboxTimer);
+  inboxTimer = null;
+}
 
 export default router;
@@ -0,0 +1,295 @@
+// server/shares.js — Public share links for single generations
+// A share is a "share" row in mega_generations (owner pass + generation + options).
+// The token handed out is signed with SHARE_TOKEN_SECRET and carries the share id
+// and expiry, so forged/expired links are rejected before touching the DB; the
+// row decides revocation. Errors are thrown as Error(CODE) (see SHARE_ERRORS).
+"use strict";
+
+import crypto from "node:crypto";
+import { getSupabaseAdmin } from "../supabase.js";
+import { nowIso, safeString } from "./helpers.js";
+
+// ============================================================================
+// Config
+// ============================================================================
+const SHARE_TOKEN_SECRET = safeString(process.env.SHARE_TOKEN_SECRET, "");
+// where /share/:token is reachable (links in responses + og:url)
+const SHARE_BASE_URL = safeString(process.env.SHARE_BASE_URL || process.env.PUBLIC_API_BASE_URL, "").replace(/\/+$/, "");
+const SHARE_MAX_TTL_S = Number(process.env.SHARE_MAX_TTL_S || 365 * 24 * 3600) || 365 * 24 * 3600;
+const SHARES_MAX_PER_GENERATION = Number(process.env.SHARES_MAX_PER_GENERATION || 20) || 20;
+const SHARE_CHILDREN_MAX = 12;
+
+export const SHARE_ERRORS = {
+  SHARE_NOT_CONFIGURED: 503,
+  GENERATION_NOT_FOUND: 404,
+  SHARE_NOT_FOUND: 404,
+  GENERATION_NOT_READY: 409,
+  TOO_MANY_SHARES: 409,
+  INVALID_EXPIRY: 400,
+};
+
+export function sharesEnabled() {
+  return !!SHARE_TOKEN_SECRET;
+}
+
+function requireSupabase() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+  return supabase;
+}
+
+// ============================================================================
+// Tokens: base64url({ s: share uuid, e: expiry epoch seconds | 0 }).base64url(hmac)
+// ============================================================================
+function sign(payloadB64) {
+  return crypto.createHmac("sha256", SHARE_TOKEN_SECRET).update(payloadB64).digest("base64url");
+}
+
+export function signShareToken({ shareId, expiresAt = null }) {
+  const e = expiresAt ? Math.floor(Date.parse(expiresAt) / 1000) : 0;
+  const payloadB64 = Buffer.from(JSON.stringify({ s: shareId, e }), "utf8").toString("base64url");
+  return `${payloadB64}.${sign(payloadB64)}`;
+}
+
+// → share uuid, or null if the token is malformed, forged or expired.
+export function verifyShareToken(token) {
+  if (!sharesEnabled()) return null;
+  const [payloadB64, sig, extra] = String(token || "").split(".");
+  if (!payloadB64 || !sig || extra !== undefined) return null;
+
+  const a = Buffer.from(sig);
+  const b = Buffer.from(sign(payloadB64));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(payloadB64, "base64url").toString("utf8"));
+    if (!payload || typeof payload.s !== "string") return null;
+    if (payload.e && Date.now() / 1000 > payload.e) return null;
+    return payload.s;
+  } catch {
+    return null;
+  }
+}
+
+// relative when SHARE_BASE_URL is unset (the public route passes its own origin)
+export function shareUrl(token, baseUrl = "") {
+  return `${SHARE_BASE_URL || baseUrl}/share/${encodeURIComponent(token)}`;
+}
+
+function shareRowId(shareId) {
+  return `share:${shareId}`;
+}
+
+function isExpired(row) {
+  const exp = row.mg_meta?.expires_at;
+  return !!exp && Date.parse(exp) <= Date.now();
+}
+
+function toShare(row) {
+  const meta = row.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+  const shareId = String(row.mg_id).slice("share:".length);
+  const token = signShareToken({ shareId, expiresAt: meta.expires_at || null });
+  return {
+    id: shareId,
+    generationId: row.mg_generation_id,
+    token,
+    url: shareUrl(token),
+    showPrompt: !!meta.show_prompt,
+    status: row.mg_status === "revoked" ? "revoked" : isExpired(row) ? "expired" : "active",
+    expiresAt: meta.expires_at || null,
+    revokedAt: meta.revoked_at || null,
+    createdAt: row.mg_created_at,
+  };
+}
+
+// ============================================================================
+// Owner side
+// ============================================================================
+// passIds = the caller's pass candidates; only their (non-trashed) generations can be shared.
+async function getOwnedGeneration(supabase, generationId, passIds) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_generation_id, mg_pass_id, mg_mma_status, mg_output_url")
+    .eq("mg_record_type", "generation")
+    .eq("mg_generation_id", safeString(generationId, ""))
+    .in("mg_pass_id", passIds)
+    .is("mg_deleted_at", null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new Error("GENERATION_NOT_FOUND");
+  return data;
+}
+
+// expiresIn: seconds from now (omit/null = never, capped at SHARE_MAX_TTL_S)
+export async function createShare({ generationId, passIds, expiresIn = null, showPrompt = false }) {
+  if (!sharesEnabled()) throw new Error("SHARE_NOT_CONFIGURED");
+  const supabase = requireSupabase();
+
+  const gen = await getOwnedGeneration(supabase, generationId, passIds);
+  if (!gen.mg_output_url) throw new Error("GENERATION_NOT_READY");
+
+  let expiresAt = null;
+  if (expiresIn !== null && expiresIn !== undefined && expiresIn !== "") {
+    const ttl = Number(expiresIn);
+    if (!Number.isFinite(ttl) || ttl <= 0 || ttl > SHARE_MAX_TTL_S) throw new Error("INVALID_EXPIRY");
+    expiresAt = new Date(Date.now() + ttl * 1000).toISOString();
+  }
+
+  const { count, error: countErr } = await supabase
+    .from("mega_generations")
+    .select("mg_id", { count: "exact", head: true })
+    .eq("mg_record_type", "share")
+    .eq("mg_generation_id", gen.mg_generation_id)
+    .eq("mg_status", "active")
+    .or(`mg_meta->>expires_at.is.null,mg_meta->>expires_at.gt."${nowIso()}"`);
+  if (countErr) throw countErr;
+  if ((count || 0) >= SHARES_MAX_PER_GENERATION) throw new Error("TOO_MANY_SHARES");
+
+  const ts = nowIso();
+  const row = {
+    mg_id: shareRowId(crypto.randomUUID()),
+    mg_record_type: "share",
+    mg_pass_id: gen.mg_pass_id,
+    mg_generation_id: gen.mg_generation_id,
+    mg_parent_id: `generation:${gen.mg_generation_id}`,
+    mg_status: "active",
+    mg_meta: { show_prompt: !!showPrompt, expires_at: expiresAt, revoked_at: null },
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  };
+
+  const { error } = await supabase.from("mega_generations").insert(row);
+  if (error) throw error;
+  return toShare(row);
+}
+
+export async function listShares({ generationId, passIds }) {
+  if (!sharesEnabled()) throw new Error("SHARE_NOT_CONFIGURED");
+  const supabase = requireSupabase();
+  const gen = await getOwnedGeneration(supabase, generationId, passIds);
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_generation_id, mg_status, mg_meta, mg_created_at")
+    .eq("mg_record_type", "share")
+    .eq("mg_generation_id", gen.mg_generation_id)
+    .order("mg_created_at", { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(toShare);
+}
+
+export async function revokeShare({ generationId, shareId, passIds }) {
+  const supabase = requireSupabase();
+  const gen = await getOwnedGeneration(supabase, generationId, passIds);
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_generation_id, mg_status, mg_meta, mg_created_at")
+    .eq("mg_id", shareRowId(safeString(shareId, "")))
+    .eq("mg_record_type", "share")
+    .eq("mg_generation_id", gen.mg_generation_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new Error("SHARE_NOT_FOUND");
+
+  if (data.mg_status !== "revoked") {
+    const ts = nowIso();
+    data.mg_status = "revoked";
+    data.mg_meta = { ...(data.mg_meta || {}), revoked_at: ts };
+    const { error: updErr } = await supabase
+      .from("mega_generations")
+      .update({ mg_status: "revoked", mg_meta: data.mg_meta, mg_updated_at: ts })
+      .eq("mg_id", data.mg_id);
+    if (updErr) throw updErr;
+  }
+
+  return toShare(data);
+}
+
+// ============================================================================
+// Public side
+// ============================================================================
+function mediaType(g) {
+  return String(g.mg_type || g.mg_content_type || "image") === "video" ? "video" : "image";
+}
+
+// videos have no still of their own, and their inputs are the owner's (not part
+// of what was shared): no thumbnail
+function thumbnailUrl(g) {
+  return mediaType(g) === "image" ? g.mg_output_url || "" : "";
+}
+
+function toRelated(g) {
+  return {
+    generationId: g.mg_generation_id,
+    type: mediaType(g),
+    thumbnailUrl: thumbnailUrl(g),
+  };
+}
+
+const PUBLIC_GENERATION_COLUMNS =
+  "mg_generation_id, mg_pass_id, mg_parent_id, mg_type, mg_content_type, mg_mma_status, mg_prompt, mg_output_url, mg_created_at";
+
+// Resolves a token to the sanitized public payload (no pass ids, vars or
+// provider data). Anything not viewable → SHARE_NOT_FOUND, whatever the reason.
+export async function resolveShare(token) {
+  const shareId = verifyShareToken(token);
+  if (!shareId) throw new Error("SHARE_NOT_FOUND");
+  const supabase = requireSupabase();
+
+  const { data: share, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_pass_id, mg_generation_id, mg_status, mg_meta")
+    .eq("mg_id", shareRowId(shareId))
+    .eq("mg_record_type", "share")
+    .maybeSingle();
+  if (error) throw error;
+  if (!share || share.mg_status !== "active" || isExpired(share)) throw new Error("SHARE_NOT_FOUND");
+
+  const { data: gen, error: genErr } = await supabase
+    .from("mega_generations")
+    .select(PUBLIC_GENERATION_COLUMNS)
+    .eq("mg_record_type", "generation")
+    .eq("mg_generation_id", share.mg_generation_id)
+    .eq("mg_pass_id", share.mg_pass_id)
+    .is("mg_deleted_at", null)
+    .maybeSingle();
+  if (genErr) throw genErr;
+  if (!gen || !gen.mg_output_url) throw new Error("SHARE_NOT_FOUND");
+
+  // parent / children: same owner, finished, not trashed
+  const related = (q) =>
+    q
+      .eq("mg_record_type", "generation")
+      .eq("mg_pass_id", share.mg_pass_id)
+      .is("mg_deleted_at", null)
+      .not("mg_output_url", "is", null);
+
+  const parentId = gen.mg_parent_id ? String(gen.mg_parent_id).replace(/^generation:/, "") : "";
+  const [parentRes, childrenRes] = await Promise.all([
+    parentId
+      ? related(supabase.from("mega_generations").select(PUBLIC_GENERATION_COLUMNS)).eq("mg_generation_id", parentId).maybeSingle()
+      : Promise.resolve({ data: null, error: null }),
+    related(supabase.from("mega_generations").select(PUBLIC_GENERATION_COLUMNS))
+      .eq("mg_parent_id", `generation:${gen.mg_generation_id}`)
+      .order("mg_created_at", { ascending: true })
+      .limit(SHARE_CHILDREN_MAX),
+  ]);
+  if (parentRes.error) throw parentRes.error;
+  if (childrenRes.error) throw childrenRes.error;
+
+  const meta = share.mg_meta || {};
+  return {
+    generationId: gen.mg_generation_id,
+    type: mediaType(gen),
+    outputUrl: gen.mg_output_url,
+    thumbnailUrl: thumbnailUrl(gen),
+    prompt: meta.show_prompt ? gen.mg_prompt || "" : null,
+    createdAt: gen.mg_created_at,
+    expiresAt: meta.expires_at || null,
+    parent: parentRes.data ? toRelated(parentRes.data) : null,
+    children: (childrenRes.data || []).map(toRelated),
+  };
+}
@@ -0,0 +1,232 @@
+// server/shopify-inbox.js — Shopify webhook inbox (mega_admin rows) with dead-letter state
+// Every HMAC-verified webhook is stored before we answer Shopify, then processed
+// from here. A failing row is retried with backoff and ends up "dead" for an
+// admin to replay instead of being lost once Shopify stops retrying.
+"use strict";
+
+import crypto from "node:crypto";
+import { getSupabaseAdmin } from "../supabase.js";
+import { nowIso } from "./helpers.js";
+
+// ============================================================================
+// Config
+// ============================================================================
+const INBOX_MAX_ATTEMPTS = Number(process.env.SHOPIFY_INBOX_MAX_ATTEMPTS || 5) || 5;
+const INBOX_RETRY_BASE_MS = Number(process.env.SHOPIFY_INBOX_RETRY_BASE_MS || 60000) || 60000;
+// a row left "processing" this long belonged to a process that died
+const INBOX_STALE_PROCESSING_MS = Number(process.env.SHOPIFY_INBOX_STALE_MS || 10 * 60000) || 10 * 60000;
+
+const TABLE = "mega_admin";
+const RECORD_TYPE = "shopify_webhook";
+
+// mg_meta.state: received → processing → processed | failed (retried) | dead
+export const INBOX_STATES = ["received", "processing", "processed", "failed", "dead"];
+
+export function shopifyInboxRowId(webhookId) {
+  return `${RECORD_TYPE}:${webhookId}`;
+}
+
+// Accepts the full mg_id or just the Shopify webhook id.
+export function normalizeShopifyInboxId(id) {
+  const s = String(id || "").trim();
+  if (!s) return "";
+  return s.startsWith(`${RECORD_TYPE}:`) ? s : shopifyInboxRowId(s);
+}
+
+function requireSupabase() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+  return supabase;
+}
+
+// ============================================================================
+// Store
+// ============================================================================
+// X-Shopify-Webhook-Id is stable across Shopify's retries, so a retry of a
+// webhook we already stored is a duplicate, not a second row.
+export async function insertShopifyWebhook({ webhookId, topic, shopDomain, route, rawBody, payload }) {
+  const supabase = requireSupabase();
+  const wid = String(webhookId || "").trim() || crypto.createHash("sha256").update(rawBody || "").digest("hex");
+  const id = shopifyInboxRowId(wid);
+  const ts = nowIso();
+
+  const { error } = await supabase.from(TABLE).insert({
+    mg_id: id,
+    mg_record_type: RECORD_TYPE,
+    mg_action: topic,
+    mg_route: route,
+    mg_method: "POST",
+    mg_payload: payload,
+    mg_meta: {
+      state: "received",
+      topic,
+      shop_domain: shopDomain || null,
+      webhook_id: wid,
+      attempts: 0,
+      received_at: ts,
+    },
+    mg_source_system: "shopify",
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  });
+
+  if (error) {
+    if (String(error.code || "") === "23505") return { id, duplicate: true };
+    throw error;
+  }
+  return { id, duplicate: false };
+}
+
+export async function getShopifyWebhook(id) {
+  const supabase = requireSupabase();
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("mg_id, mg_action, mg_route, mg_payload, mg_meta, mg_created_at, mg_updated_at")
+    .eq("mg_id", normalizeShopifyInboxId(id))
+    .eq("mg_record_type", RECORD_TYPE)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+function claimable(row) {
+  const state = row?.mg_meta?.state;
+  if (state === "received") return true;
+  if (state === "failed") {
+    const next = Date.parse(row?.mg_meta?.next_attempt_at || "");
+    return !Number.isFinite(next) || next <= Date.now();
+  }
+  return state === "processing" && isStaleProcessing(row);
+}
+
+function isStaleProcessing(row) {
+  const started = Date.parse(row?.mg_meta?.processing_at || row?.mg_updated_at || "");
+  return Number.isFinite(started) && Date.now() - started > INBOX_STALE_PROCESSING_MS;
+}
+
+// Optimistic claim on mg_updated_at: only one process moves a row to "processing".
+export async function claimShopifyWebhook(id) {
+  const supabase = requireSupabase();
+  const row = await getShopifyWebhook(id);
+  if (!row || !claimable(row)) return null;
+
+  const ts = nowIso();
+  const meta = {
+    ...(row.mg_meta || {}),
+    state: "processing",
+    processing_at: ts,
+    attempts: Number(row.mg_meta?.attempts || 0) + 1,
+  };
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({ mg_meta: meta, mg_updated_at: ts })
+    .eq("mg_id", row.mg_id)
+    .eq("mg_updated_at", row.mg_updated_at)
+    .select("mg_id");
+
+  if (error) throw error;
+  if (!Array.isArray(data) || !data.length) return null;
+  return { ...row, mg_meta: meta, mg_updated_at: ts };
+}
+
+// Close a claimed row. err = undefined → processed; err.permanent or out of
+// attempts → dead; otherwise failed with the next retry time.
+export async function settleShopifyWebhook(row, { result = null, err = null } = {}) {
+  const supabase = requireSupabase();
+  const ts = nowIso();
+  const attempts = Number(row.mg_meta?.attempts || 0);
+  const meta = { ...(row.mg_meta || {}) };
+  delete meta.processing_at;
+
+  if (!err) {
+    Object.assign(meta, { state: "processed", processed_at: ts, result, last_error: null, next_attempt_at: null });
+  } else {
+    const dead = !!err.permanent || attempts >= INBOX_MAX_ATTEMPTS;
+    Object.assign(meta, {
+      state: dead ? "dead" : "failed",
+      last_error: { code: err.code || null, message: String(err?.message || err).slice(0, 2000), at: ts },
+      next_attempt_at: dead ? null : new Date(Date.now() + INBOX_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1)).toISOString(),
+    });
+  }
+
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ mg_meta: meta, mg_updated_at: ts })
+    .eq("mg_id", row.mg_id);
+
+  if (error) throw error;
+  return meta;
+}
+
+// Admin replay: back to "received" (attempts reset) so the next claim takes it,
+// whatever state it ended in. Processors are idempotent, so replaying a
+// processed row is safe.
+export async function resetShopifyWebhook(id, { actor = null } = {}) {
+  const supabase = requireSupabase();
+  const row = await getShopifyWebhook(id);
+  if (!row) return null;
+  if (row.mg_meta?.state === "processing" && !isStaleProcessing(row)) return { row, busy: true };
+
+  const ts = nowIso();
+  const replays = Array.isArray(row.mg_meta?.replays) ? row.mg_meta.replays : [];
+  const meta = {
+    ...(row.mg_meta || {}),
+    state: "received",
+    attempts: 0,
+    next_attempt_at: null,
+    replays: [...replays, { at: ts, by: actor, previous_state: row.mg_meta?.state || null }].slice(-20),
+  };
+
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ mg_meta: meta, mg_updated_at: ts })
+    .eq("mg_id", row.mg_id);
+
+  if (error) throw error;
+  return { row: { ...row, mg_meta: meta, mg_updated_at: ts }, busy: false };
+}
+
+export async function listShopifyWebhooks({ states = null, limit = 50, oldestFirst = false } = {}) {
+  const supabase = requireSupabase();
+  let q = supabase
+    .from(TABLE)
+    .select("mg_id, mg_action, mg_route, mg_meta, mg_created_at, mg_updated_at")
+    .eq("mg_record_type", RECORD_TYPE)
+    .order("mg_created_at", { ascending: oldestFirst })
+    .limit(limit);
+
+  if (Array.isArray(states) && states.length) q = q.in("mg_meta->>state", states);
+
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
+
+// Rows the worker should pick up: new, due for retry, or abandoned mid-processing.
+// Due-ness is filtered in the query so rows still backing off can't fill the page.
+export async function listDueShopifyWebhooks({ limit = 20 } = {}) {
+  const supabase = requireSupabase();
+  const now = nowIso();
+  const staleBefore = new Date(Date.now() - INBOX_STALE_PROCESSING_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("mg_id, mg_action, mg_route, mg_meta, mg_created_at, mg_updated_at")
+    .eq("mg_record_type", RECORD_TYPE)
+    .or(
+      [
+        "mg_meta->>state.eq.received",
+        `and(mg_meta->>state.eq.failed,or(mg_meta->>next_attempt_at.is.null,mg_meta->>next_attempt_at.lte."${now}"))`,
+        `and(mg_meta->>state.eq.processing,mg_meta->>processing_at.lt."${staleBefore}")`,
+        `and(mg_meta->>state.eq.processing,mg_meta->>processing_at.is.null,mg_updated_at.lt."${staleBefore}")`,
+      ].join(",")
+    )
+    .order("mg_created_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  // the claim re-checks anyway; this only drops rows that changed since the query
+  return (data || []).filter((r) => claimable(r));
+}